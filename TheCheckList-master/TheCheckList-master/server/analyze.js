@@ -0,0 +1,84 @@
+import { buildCombinePrompt, buildExtractionPrompt, buildRepairPrompt, parseModelJson } from './prompt.js';
+import { COMBINED_NOTES_SCHEMA, validateAgainstSchema } from '../src/lib/schema.js';
+import { analysisSchemaFor } from '../src/lib/templates.js';
+
+const MAX_REPAIR_ATTEMPTS = Number(process.env.LLM_REPAIR_ATTEMPTS ?? 2);
+
+// The provider answered, but not with something matching the analysis schema
+export class AnalysisOutputError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'AnalysisOutputError';
+    this.details = details;
+  }
+}
+
+function checkResponse(responseText, schema) {
+  let parsed;
+  try {
+    parsed = parseModelJson(responseText);
+  } catch (err) {
+    return { parsed: null, errors: [`Response is not valid JSON: ${err.message}`] };
+  }
+  return { parsed, errors: validateAgainstSchema(parsed, schema) };
+}
+
+// Run the extraction with the given provider. `text` is the prompt-ready
+// transcript with detection hints, `transcript` the plain spoken text.
+// `glossary` lists the user's { term, kind, heardAs } vocabulary entries and `template`
+// is the meeting template (see templates.js), whose sections are extracted too.
+// `previous` holds the notes from earlier parts of a meeting that is still being
+// recorded; the result then covers the earlier notes plus the new transcript
+export async function analyzeTranscript(provider, { text, transcript, model, language, speakers = [], glossary = [], previous, template }) {
+  const schema = analysisSchemaFor(template);
+
+  // Ignore earlier notes we can't trust rather than feeding them back to the model
+  if (previous !== undefined && validateAgainstSchema(previous, schema).length > 0) {
+    console.warn('Ignoring previous notes that do not match the schema');
+    previous = undefined;
+  }
+
+  if (typeof provider.analyze === 'function') {
+    const analysis = await provider.analyze(transcript || text, { model, language, speakers, glossary, previous, template });
+    const errors = validateAgainstSchema(analysis, schema);
+    if (errors.length > 0) {
+      throw new AnalysisOutputError(`${provider.label} produced a result that does not match the schema`, errors);
+    }
+    return analysis;
+  }
+
+  let responseText = await provider.generateText(buildExtractionPrompt(text, { language, speakers, glossary, previous, template }), { model });
+  let { parsed, errors } = checkResponse(responseText, schema);
+
+  // Ask the model to fix its own output a bounded number of times
+  for (let attempt = 1; errors.length > 0 && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    console.warn(`Analysis output failed validation, repair attempt ${attempt}/${MAX_REPAIR_ATTEMPTS}:`, errors);
+    responseText = await provider.generateText(buildRepairPrompt(responseText, errors, { template }), { model });
+    ({ parsed, errors } = checkResponse(responseText, schema));
+  }
+
+  if (errors.length > 0) {
+    throw new AnalysisOutputError(
+      `The model did not return valid meeting data after ${MAX_REPAIR_ATTEMPTS} repair attempts`,
+      errors
+    );
+  }
+
+  return parsed;
+}
+
+// Combine the summaries and key points of a meeting analyzed in parts. Providers
+// without prompts can't rewrite text, so they get the summaries joined and the
+// key points unchanged (the caller has already removed exact duplicates).
+export async function combinePartialNotes(provider, { summaries, keyPoints, model, language }) {
+  if (typeof provider.generateText !== 'function') {
+    return { summary: summaries.join(' '), keyPoints };
+  }
+
+  const responseText = await provider.generateText(buildCombinePrompt(summaries, keyPoints, { language }), { model });
+  const { parsed, errors } = checkResponse(responseText, COMBINED_NOTES_SCHEMA);
+  if (errors.length > 0) {
+    throw new AnalysisOutputError('The model did not return valid combined notes', errors);
+  }
+  return parsed;
+}
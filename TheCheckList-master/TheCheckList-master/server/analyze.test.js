@@ -0,0 +1,33 @@
+import { describe, it, expect, vi } from 'vitest';
+import { analyzeTranscript, AnalysisOutputError } from './analyze.js';
+import { MOCK_ANALYSIS } from './mock.js';
+
+// A prompt-based provider answering with the given responses in turn
+const fakeProvider = (responses) => ({
+  label: 'Fake',
+  generateText: vi.fn(async () => responses.shift())
+});
+
+describe('analyzeTranscript', () => {
+  it('accepts valid JSON, even in a code fence', async () => {
+    const provider = fakeProvider([`\`\`\`json\n${JSON.stringify(MOCK_ANALYSIS)}\n\`\`\``]);
+    await expect(analyzeTranscript(provider, { text: 'Ana: hi' })).resolves.toEqual(MOCK_ANALYSIS);
+    expect(provider.generateText).toHaveBeenCalledTimes(1);
+  });
+
+  it('asks the model to repair output that does not match the schema', async () => {
+    const { summary, ...withoutSummary } = MOCK_ANALYSIS;
+    const provider = fakeProvider(['not json at all', JSON.stringify(withoutSummary), JSON.stringify({ ...withoutSummary, summary })]);
+
+    await expect(analyzeTranscript(provider, { text: 'Ana: hi' })).resolves.toEqual(MOCK_ANALYSIS);
+    expect(provider.generateText).toHaveBeenCalledTimes(3);
+    expect(provider.generateText.mock.calls[2][0]).toContain('summary');
+  });
+
+  it('gives up with the schema problems after the repair attempts', async () => {
+    const provider = fakeProvider(['{}', '{}', '{}']);
+    const result = analyzeTranscript(provider, { text: 'Ana: hi' });
+    await expect(result).rejects.toBeInstanceOf(AnalysisOutputError);
+    await expect(result).rejects.toMatchObject({ details: expect.arrayContaining([expect.stringContaining('actionItems')]) });
+  });
+});
@@ -0,0 +1,111 @@
+import { buildQuestionPrompt, parseModelJson } from './prompt.js';
+import { ANSWER_SCHEMA, validateAgainstSchema } from '../src/lib/schema.js';
+import { AnalysisOutputError } from './analyze.js';
+
+// Transcripts longer than this are cut down to the passages that match the question
+const MAX_CONTEXT_CHARS = Number(process.env.ASK_CONTEXT_CHARS) || 40000;
+// Passages quoted by providers that can't write an answer
+const MAX_QUOTED_PASSAGES = 3;
+
+// Words of at least four letters, lowercased - short words match everywhere
+const keywords = (text) => [...new Set((String(text).toLowerCase().match(/\p{L}{4,}/gu) || []))];
+
+// How many of the question's words a passage contains, counting "launch" in "launched"
+const scorePassage = (passage, questionWords) => {
+  const passageWords = keywords(`${passage.speaker || ''} ${passage.text}`);
+  return questionWords.filter(word => {
+    const stem = word.slice(0, Math.max(4, word.length - 2));
+    return passageWords.some(passageWord => passageWord.startsWith(stem));
+  }).length;
+};
+
+// Indexes of the passages to show the model: all of them when they fit, otherwise the
+// best matches with their neighbors (for context), in transcript order
+function selectPassages(passages, question) {
+  const totalChars = passages.reduce((sum, passage) => sum + passage.text.length, 0);
+  if (totalChars <= MAX_CONTEXT_CHARS) {
+    return passages.map((passage, index) => index);
+  }
+
+  const questionWords = keywords(question);
+  const ranked = passages
+    .map((passage, index) => ({ index, score: scorePassage(passage, questionWords) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const selected = new Set();
+  let used = 0;
+  for (const { index } of ranked) {
+    for (const neighbor of [index - 1, index, index + 1]) {
+      if (neighbor < 0 || neighbor >= passages.length || selected.has(neighbor)) continue;
+      if (used + passages[neighbor].text.length > MAX_CONTEXT_CHARS) break;
+      selected.add(neighbor);
+      used += passages[neighbor].text.length;
+    }
+    if (used >= MAX_CONTEXT_CHARS) break;
+  }
+
+  // Nothing matches ("summarize the meeting"): the opening of the meeting is the best guess
+  if (selected.size === 0) {
+    for (let index = 0; index < passages.length && (index === 0 || used + passages[index].text.length <= MAX_CONTEXT_CHARS); index++) {
+      selected.add(index);
+      used += passages[index].text.length;
+    }
+  }
+  return [...selected].sort((a, b) => a - b);
+}
+
+// Providers without prompts (rule-based, mock) answer by quoting the passages
+// that match the question best
+function quotePassages(passages, question) {
+  const questionWords = keywords(question);
+  const best = passages
+    .map((passage, index) => ({ index, score: scorePassage(passage, questionWords) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, MAX_QUOTED_PASSAGES)
+    .map(({ index }) => index);
+
+  if (best.length === 0) {
+    return { answer: 'Nothing in the transcript seems to match that question.', citations: [] };
+  }
+  return {
+    answer: `The transcript mentions this ${best.length === 1 ? 'once' : 'in these places'}: ${best.map(index => `"${passages[index].text}"`).join(' ')}`,
+    citations: best
+  };
+}
+
+// Answer a question about a meeting from its transcript. `passages` are the transcript's
+// { time, speaker, text } pieces in order; resolves with { answer, citations }, where
+// citations are indexes into `passages`.
+export async function answerQuestion(provider, { question, passages, history = [], model, language }) {
+  if (typeof provider.generateText !== 'function') {
+    return quotePassages(passages, question);
+  }
+
+  const selected = selectPassages(passages, question);
+  const numbered = selected.map(index => ({ ...passages[index], number: index + 1 }));
+  const responseText = await provider.generateText(
+    buildQuestionPrompt(question, numbered, { language, history, partial: selected.length < passages.length }),
+    { model }
+  );
+
+  let parsed;
+  try {
+    parsed = parseModelJson(responseText);
+  } catch {
+    // A plain-text answer is still an answer, just without citations
+    return { answer: responseText.trim(), citations: [] };
+  }
+
+  const errors = validateAgainstSchema(parsed, ANSWER_SCHEMA);
+  if (errors.length > 0) {
+    throw new AnalysisOutputError('The model did not return a valid answer', errors);
+  }
+
+  // Cited numbers become passage indexes; numbers the model made up are dropped
+  const citations = [...new Set(parsed.citations)]
+    .map(number => number - 1)
+    .filter(index => selected.includes(index));
+  return { answer: parsed.answer, citations };
+}
@@ -0,0 +1,62 @@
+// Speaker diarization is delegated to an external service (for example a
+// pyannote server) at DIARIZATION_URL. It receives the recorded audio as the raw
+// request body and answers with the speaker turns it found:
+//   { "turns": [{ "start": 0.0, "end": 4.2, "speaker": "SPEAKER_00" }] }
+
+const DIARIZATION_URL = process.env.DIARIZATION_URL;
+const MOCK_TURN_SECONDS = 10;
+
+export class DiarizationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DiarizationError';
+  }
+}
+
+export function isDiarizationConfigured() {
+  return Boolean(DIARIZATION_URL);
+}
+
+// Accept { turns }, { segments } or a bare array, and keep only well-formed turns
+const normalizeTurns = (body) => {
+  const turns = Array.isArray(body) ? body : body?.turns || body?.segments;
+  if (!Array.isArray(turns)) {
+    throw new DiarizationError('The diarization service returned no speaker turns');
+  }
+
+  return turns
+    .filter(turn => Number.isFinite(turn?.start) && Number.isFinite(turn?.end) && turn.speaker != null)
+    .map(turn => ({ start: turn.start, end: turn.end, speaker: String(turn.speaker) }))
+    .sort((a, b) => a.start - b.start);
+};
+
+export async function diarizeAudio(audio, contentType) {
+  if (!DIARIZATION_URL) {
+    throw new DiarizationError('Speaker diarization is not configured. Set DIARIZATION_URL in the server .env file.');
+  }
+
+  const response = await fetch(DIARIZATION_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': contentType || 'application/octet-stream' },
+    body: audio
+  });
+
+  if (!response.ok) {
+    throw new DiarizationError(`The diarization service failed with status ${response.status}`);
+  }
+
+  return normalizeTurns(await response.json());
+}
+
+// Two speakers taking turns every few seconds, for trying the UI without a diarization service
+export function mockDiarization(durationSeconds) {
+  const turns = [];
+  for (let start = 0; start < durationSeconds; start += MOCK_TURN_SECONDS) {
+    turns.push({
+      start,
+      end: Math.min(durationSeconds, start + MOCK_TURN_SECONDS),
+      speaker: turns.length % 2 === 0 ? 'SPEAKER_00' : 'SPEAKER_01'
+    });
+  }
+  return turns;
+}
@@ -0,0 +1,7 @@
+import { existsSync } from 'node:fs';
+
+// Load API keys from a local .env file when one exists. Imported first by
+// index.js so every module sees the variables at load time.
+if (existsSync('.env') && typeof process.loadEnvFile === 'function') {
+  process.loadEnvFile('.env');
+}
@@ -0,0 +1,52 @@
+const MAX_JSON_BODY_BYTES = 1024 * 1024;
+
+export class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+// Whole request body as a Buffer, rejecting anything over `maxBytes`
+export async function readBody(req, maxBytes) {
+  let size = 0;
+  const chunks = [];
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new HttpError(413, 'Request body is too large');
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+export async function readJsonBody(req) {
+  const body = await readBody(req, MAX_JSON_BODY_BYTES);
+
+  if (body.length === 0) {
+    return {};
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(body.toString('utf8'));
+  } catch {
+    throw new HttpError(400, 'Request body must be valid JSON');
+  }
+
+  // Handlers destructure the body, so null, arrays and bare values are turned away here
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+  return parsed;
+}
@@ -0,0 +1,299 @@
+import './env.js';
+import { createServer } from 'node:http';
+import { HttpError, readBody, readJsonBody, sendJson } from './http.js';
+import { analyzeTranscript, combinePartialNotes, AnalysisOutputError } from './analyze.js';
+import { answerQuestion } from './ask.js';
+import { diarizeAudio, isDiarizationConfigured, mockDiarization } from './diarize.js';
+import { transcribeAudio, isTranscriptionConfigured, mockTranscription } from './transcribe.js';
+import { mockProvider } from './mock.js';
+import { getProvider, listProviders, DEFAULT_PROVIDER_ID } from './providers/index.js';
+import { getIntegrationTarget, listIntegrations, mockExport } from './integrations/index.js';
+import { validateTemplate } from '../src/lib/templates.js';
+import { getIntegration, validateExportFields } from '../src/lib/integrations.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const MOCK_MODE = process.argv.includes('--mock') || ['1', 'true'].includes(process.env.LLM_MOCK);
+const MAX_AUDIO_BODY_BYTES = 200 * 1024 * 1024;
+const MAX_EXPORT_ITEMS = 50;
+
+// Keep only well-formed glossary entries from the request
+const readGlossary = (glossary) => (Array.isArray(glossary) ? glossary : [])
+  .filter(entry => entry && typeof entry.term === 'string' && entry.term.trim())
+  .map(entry => ({
+    term: entry.term.trim(),
+    kind: entry.kind === 'name' ? 'name' : 'term',
+    heardAs: Array.isArray(entry.heardAs) ? entry.heardAs.filter(phrase => typeof phrase === 'string' && phrase.trim()) : []
+  }));
+
+// The meeting template comes with the request, so custom templates need no server setup
+const readTemplate = (template) => {
+  if (template === undefined || template === null) return undefined;
+  const errors = validateTemplate(template);
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Invalid meeting template', errors);
+  }
+  return template;
+};
+
+async function handleAnalyze(req, res) {
+  const { text, transcript, provider: providerId, model, language, speakers, glossary, previous, template } = await readJsonBody(req);
+
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new HttpError(400, 'No text provided for analysis');
+  }
+  const meetingTemplate = readTemplate(template);
+
+  const provider = MOCK_MODE ? mockProvider : getProvider(providerId || DEFAULT_PROVIDER_ID);
+  if (!provider) {
+    throw new HttpError(400, `Unknown provider: ${providerId}`);
+  }
+
+  let analysis;
+  try {
+    analysis = await analyzeTranscript(provider, {
+      text,
+      transcript,
+      model,
+      language,
+      speakers: Array.isArray(speakers) ? speakers.filter(speaker => typeof speaker === 'string') : [],
+      glossary: readGlossary(glossary),
+      previous,
+      template: meetingTemplate
+    });
+  } catch (err) {
+    console.error('Analysis failed:', err);
+    if (err instanceof AnalysisOutputError) {
+      throw new HttpError(422, err.message, err.details);
+    }
+    throw new HttpError(502, `Analysis failed: ${err.message}`);
+  }
+
+  sendJson(res, 200, analysis);
+}
+
+// Reduce step of chunked analysis: { summaries, keyPoints } from the parts of one meeting
+async function handleCombine(req, res) {
+  const { summaries, keyPoints, provider: providerId, model, language } = await readJsonBody(req);
+
+  if (!Array.isArray(summaries) || summaries.length === 0 || !summaries.every(summary => typeof summary === 'string')) {
+    throw new HttpError(400, 'No summaries provided to combine');
+  }
+  if (!Array.isArray(keyPoints) || !keyPoints.every(point => typeof point === 'string')) {
+    throw new HttpError(400, 'keyPoints must be a list of strings');
+  }
+
+  const provider = MOCK_MODE ? mockProvider : getProvider(providerId || DEFAULT_PROVIDER_ID);
+  if (!provider) {
+    throw new HttpError(400, `Unknown provider: ${providerId}`);
+  }
+
+  let combined;
+  try {
+    combined = await combinePartialNotes(provider, { summaries, keyPoints, model, language });
+  } catch (err) {
+    console.error('Combining notes failed:', err);
+    if (err instanceof AnalysisOutputError) {
+      throw new HttpError(422, err.message, err.details);
+    }
+    throw new HttpError(502, `Combining notes failed: ${err.message}`);
+  }
+
+  sendJson(res, 200, combined);
+}
+
+// Questions about a meeting: { question, passages, history }, where passages are the
+// transcript's { time, speaker, text } pieces and history the earlier { role, content } turns
+async function handleAsk(req, res) {
+  const { question, passages, history, provider: providerId, model, language } = await readJsonBody(req);
+
+  if (typeof question !== 'string' || !question.trim()) {
+    throw new HttpError(400, 'No question provided');
+  }
+  if (!Array.isArray(passages) || passages.length === 0 || !passages.every(passage => typeof passage?.text === 'string')) {
+    throw new HttpError(400, 'No transcript provided to answer from');
+  }
+
+  const provider = MOCK_MODE ? mockProvider : getProvider(providerId || DEFAULT_PROVIDER_ID);
+  if (!provider) {
+    throw new HttpError(400, `Unknown provider: ${providerId}`);
+  }
+
+  let answer;
+  try {
+    answer = await answerQuestion(provider, {
+      question: question.trim(),
+      passages: passages.map(passage => ({
+        time: typeof passage.time === 'string' ? passage.time : null,
+        speaker: typeof passage.speaker === 'string' ? passage.speaker : null,
+        text: passage.text
+      })),
+      history: (Array.isArray(history) ? history : [])
+        .filter(turn => ['user', 'assistant'].includes(turn?.role) && typeof turn.content === 'string'),
+      model,
+      language
+    });
+  } catch (err) {
+    console.error('Answering failed:', err);
+    if (err instanceof AnalysisOutputError) {
+      throw new HttpError(422, err.message, err.details);
+    }
+    throw new HttpError(502, `Answering failed: ${err.message}`);
+  }
+
+  sendJson(res, 200, answer);
+}
+
+// Send action items to an integration: { integration, items }, where items are
+// { key, fields } with the fields already mapped by the browser. Items are created one
+// at a time and a failed item doesn't stop the others; the answer lists
+// { key, id, url } or { key, error } for each of them.
+async function handleExport(req, res) {
+  const { integration: integrationId, items } = await readJsonBody(req);
+
+  const integration = getIntegration(integrationId);
+  if (!integration) {
+    throw new HttpError(400, `Unknown integration: ${integrationId}`);
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new HttpError(400, 'No action items provided to export');
+  }
+  if (items.length > MAX_EXPORT_ITEMS) {
+    throw new HttpError(400, `At most ${MAX_EXPORT_ITEMS} action items can be exported at once`);
+  }
+  const errors = items.flatMap((item, index) => (typeof item?.key === 'string'
+    ? validateExportFields(integration.id, item.fields)
+    : ['key must be a string']).map(error => `items[${index}]: ${error}`));
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Invalid action items', errors);
+  }
+
+  const target = getIntegrationTarget(integration.id);
+  if (!MOCK_MODE && !target.isConfigured()) {
+    throw new HttpError(501, `${integration.label} is not configured on the server`);
+  }
+
+  const results = [];
+  for (const item of items) {
+    try {
+      const created = MOCK_MODE ? mockExport(integration.id) : await target.createItem(item.fields);
+      results.push({ key: item.key, ...created });
+    } catch (err) {
+      console.error(`Export to ${integration.label} failed:`, err);
+      results.push({ key: item.key, error: err.message });
+    }
+  }
+
+  sendJson(res, 200, { results });
+}
+
+// The recorded audio is the raw request body; `duration` (seconds) is only used in mock mode
+async function handleDiarize(req, res, url) {
+  const audio = await readBody(req, MAX_AUDIO_BODY_BYTES);
+  if (audio.length === 0) {
+    throw new HttpError(400, 'No audio provided for diarization');
+  }
+
+  if (MOCK_MODE) {
+    sendJson(res, 200, { turns: mockDiarization(Number(url.searchParams.get('duration')) || 60) });
+    return;
+  }
+
+  if (!isDiarizationConfigured()) {
+    throw new HttpError(501, 'Speaker diarization is not configured on the server');
+  }
+
+  try {
+    sendJson(res, 200, { turns: await diarizeAudio(audio, req.headers['content-type']) });
+  } catch (err) {
+    console.error('Diarization failed:', err);
+    throw new HttpError(502, `Diarization failed: ${err.message}`);
+  }
+}
+
+// The audio is the raw request body. Query parameters: `language` (meeting language id),
+// `name` (original file name) and `offset` (seconds into the recording the audio starts at)
+async function handleTranscribe(req, res, url) {
+  const audio = await readBody(req, MAX_AUDIO_BODY_BYTES);
+  if (audio.length === 0) {
+    throw new HttpError(400, 'No audio provided for transcription');
+  }
+
+  const offset = Number(url.searchParams.get('offset')) || 0;
+  if (MOCK_MODE) {
+    sendJson(res, 200, mockTranscription({ offset }));
+    return;
+  }
+
+  if (!isTranscriptionConfigured()) {
+    throw new HttpError(501, 'Audio transcription is not configured on the server');
+  }
+
+  try {
+    sendJson(res, 200, await transcribeAudio(audio, {
+      contentType: req.headers['content-type'],
+      fileName: url.searchParams.get('name') || undefined,
+      language: url.searchParams.get('language') || undefined,
+      offset
+    }));
+  } catch (err) {
+    console.error('Transcription failed:', err);
+    throw new HttpError(502, `Transcription failed: ${err.message}`);
+  }
+}
+
+async function handleHealth(req, res) {
+  sendJson(res, 200, { status: 'ok', mock: MOCK_MODE });
+}
+
+async function handleProviders(req, res) {
+  sendJson(res, 200, {
+    defaultProvider: DEFAULT_PROVIDER_ID,
+    mock: MOCK_MODE,
+    diarization: MOCK_MODE || isDiarizationConfigured(),
+    transcription: MOCK_MODE || isTranscriptionConfigured(),
+    providers: listProviders()
+  });
+}
+
+async function handleIntegrations(req, res) {
+  sendJson(res, 200, { integrations: listIntegrations({ mock: MOCK_MODE }) });
+}
+
+const routes = {
+  'GET /api/health': handleHealth,
+  'GET /api/providers': handleProviders,
+  'GET /api/integrations': handleIntegrations,
+  'POST /api/analyze': handleAnalyze,
+  'POST /api/combine': handleCombine,
+  'POST /api/ask': handleAsk,
+  'POST /api/export': handleExport,
+  'POST /api/diarize': handleDiarize,
+  'POST /api/transcribe': handleTranscribe
+};
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const { pathname } = url;
+  const handler = routes[`${req.method} ${pathname}`];
+
+  if (!handler) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  try {
+    await handler(req, res, url);
+  } catch (err) {
+    const status = err instanceof HttpError ? err.status : 500;
+    if (status === 500) {
+      console.error(`Unhandled error in ${req.method} ${pathname}:`, err);
+    }
+    sendJson(res, status, status === 500
+      ? { error: 'Internal server error' }
+      : { error: err.message, details: err.details });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`API server listening on http://localhost:${PORT}${MOCK_MODE ? ' (mock mode)' : ''}`);
+});
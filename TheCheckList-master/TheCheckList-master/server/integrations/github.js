@@ -0,0 +1,32 @@
+import { postJson } from './request.js';
+
+// Issues in one repository (GITHUB_REPO, "owner/name"). GITHUB_API_URL points at
+// GitHub Enterprise or the local mock server instead of github.com.
+const DEFAULT_API_URL = 'https://api.github.com';
+
+export const githubIntegration = {
+  id: 'github',
+
+  isConfigured() {
+    return Boolean(process.env.GITHUB_TOKEN && process.env.GITHUB_REPO);
+  },
+
+  async createItem(fields) {
+    const apiUrl = (process.env.GITHUB_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+    const issue = await postJson(`${apiUrl}/repos/${process.env.GITHUB_REPO}/issues`, {
+      title: fields.title,
+      body: fields.body,
+      labels: fields.labels,
+      assignees: fields.assignees
+    }, {
+      service: 'GitHub',
+      headers: {
+        Authorization: `Bearer ${process.env.GITHUB_TOKEN}`,
+        Accept: 'application/vnd.github+json',
+        'User-Agent': 'smart-voice-assistant'
+      }
+    });
+
+    return { id: issue.number ? `#${issue.number}` : null, url: issue.html_url || null };
+  }
+};
@@ -0,0 +1,31 @@
+import { githubIntegration } from './github.js';
+import { jiraIntegration } from './jira.js';
+import { trelloIntegration } from './trello.js';
+import { webhookIntegration } from './webhook.js';
+import { INTEGRATIONS } from '../../src/lib/integrations.js';
+
+export { IntegrationError } from './request.js';
+
+// An integration creates one issue, card or webhook call per action item with
+// `createItem(fields)` and resolves with { id, url } of what it created (either may be null)
+const TARGETS = [githubIntegration, jiraIntegration, trelloIntegration, webhookIntegration];
+
+export function getIntegrationTarget(id) {
+  return TARGETS.find(target => target.id === id) || null;
+}
+
+export function listIntegrations({ mock = false } = {}) {
+  return INTEGRATIONS.map(integration => ({
+    id: integration.id,
+    label: integration.label,
+    configured: mock || getIntegrationTarget(integration.id).isConfigured()
+  }));
+}
+
+let mockCounter = 0;
+
+// Pretend exports for trying the UI without any service
+export function mockExport(integrationId) {
+  mockCounter++;
+  return { id: `${integrationId.toUpperCase()}-${mockCounter}`, url: null };
+}
@@ -0,0 +1,36 @@
+import { postJson } from './request.js';
+
+// Issues in one Jira project, created through the REST API (version 2, which takes
+// plain-text descriptions) with an API token
+const DEFAULT_ISSUE_TYPE = 'Task';
+
+export const jiraIntegration = {
+  id: 'jira',
+
+  isConfigured() {
+    return Boolean(process.env.JIRA_BASE_URL && process.env.JIRA_EMAIL && process.env.JIRA_API_TOKEN && process.env.JIRA_PROJECT_KEY);
+  },
+
+  async createItem(fields) {
+    const baseUrl = process.env.JIRA_BASE_URL.replace(/\/+$/, '');
+    const credentials = Buffer.from(`${process.env.JIRA_EMAIL}:${process.env.JIRA_API_TOKEN}`).toString('base64');
+
+    const issue = await postJson(`${baseUrl}/rest/api/2/issue`, {
+      fields: {
+        project: { key: process.env.JIRA_PROJECT_KEY },
+        issuetype: { name: process.env.JIRA_ISSUE_TYPE || DEFAULT_ISSUE_TYPE },
+        summary: fields.summary,
+        description: fields.description,
+        // Jira labels can't contain spaces
+        labels: fields.labels?.map(label => label.replace(/\s+/g, '-')),
+        priority: fields.priority ? { name: fields.priority } : undefined,
+        duedate: fields.duedate
+      }
+    }, {
+      service: 'Jira',
+      headers: { Authorization: `Basic ${credentials}` }
+    });
+
+    return { id: issue.key || null, url: issue.key ? `${baseUrl}/browse/${issue.key}` : null };
+  }
+};
@@ -0,0 +1,86 @@
+import { createServer } from 'node:http';
+import { HttpError, readJsonBody, sendJson } from '../http.js';
+
+// Stands in for GitHub, Jira, Trello and a webhook receiver, so exports can be tried
+// without real accounts (npm run integrations:mock). It logs what it receives and
+// answers like the real services. Point the API server at it with:
+//   GITHUB_API_URL=http://localhost:8790/github   (plus any GITHUB_TOKEN and GITHUB_REPO)
+//   JIRA_BASE_URL=http://localhost:8790/jira      (plus any JIRA_EMAIL, JIRA_API_TOKEN and JIRA_PROJECT_KEY)
+//   TRELLO_API_URL=http://localhost:8790/trello   (plus any TRELLO_API_KEY, TRELLO_TOKEN and TRELLO_LIST_ID)
+//   WEBHOOK_URL=http://localhost:8790/webhook
+
+const PORT = Number(process.env.INTEGRATIONS_MOCK_PORT) || 8790;
+const BASE_URL = `http://localhost:${PORT}`;
+
+let counter = 0;
+
+const requireAuthorization = (req) => {
+  if (!req.headers.authorization) {
+    throw new HttpError(401, 'Missing Authorization header');
+  }
+};
+
+const handlers = [
+  {
+    pattern: /^\/github\/repos\/([^/]+\/[^/]+)\/issues$/,
+    service: 'GitHub',
+    handle(req, body, [, repo]) {
+      requireAuthorization(req);
+      if (!body.title) throw new HttpError(422, 'Validation Failed: title is missing');
+      return { status: 201, body: { number: counter, html_url: `${BASE_URL}/github/${repo}/issues/${counter}` } };
+    }
+  },
+  {
+    pattern: /^\/jira\/rest\/api\/2\/issue$/,
+    service: 'Jira',
+    handle(req, body) {
+      requireAuthorization(req);
+      const projectKey = body.fields?.project?.key;
+      if (!projectKey || !body.fields.summary) throw new HttpError(400, 'project and summary are required');
+      return { status: 201, body: { id: String(10000 + counter), key: `${projectKey}-${counter}`, self: `${BASE_URL}/jira/rest/api/2/issue/${10000 + counter}` } };
+    }
+  },
+  {
+    pattern: /^\/trello\/1\/cards$/,
+    service: 'Trello',
+    handle(req, body, match, url) {
+      if (!url.searchParams.get('key') || !url.searchParams.get('token')) throw new HttpError(401, 'invalid key');
+      if (!body.idList) throw new HttpError(400, 'invalid value for idList');
+      const id = `card${counter}`;
+      return { status: 200, body: { id, url: `${BASE_URL}/trello/c/${id}`, shortUrl: `${BASE_URL}/trello/c/${id}` } };
+    }
+  },
+  {
+    pattern: /^\/webhook$/,
+    service: 'Webhook',
+    handle() {
+      return { status: 200, body: { id: `hook-${counter}` } };
+    }
+  }
+];
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, BASE_URL);
+  const handler = req.method === 'POST' && handlers.find(candidate => candidate.pattern.test(url.pathname));
+
+  if (!handler) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  try {
+    const body = await readJsonBody(req);
+    counter++;
+    console.log(`${handler.service} ${url.pathname}:`, JSON.stringify(body, null, 2));
+    const answer = handler.handle(req, body, url.pathname.match(handler.pattern), url);
+    sendJson(res, answer.status, answer.body);
+  } catch (err) {
+    const status = err instanceof HttpError ? err.status : 500;
+    console.log(`${handler.service} ${url.pathname} rejected (${status}): ${err.message}`);
+    sendJson(res, status, { error: err.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock integrations listening on ${BASE_URL}`);
+});
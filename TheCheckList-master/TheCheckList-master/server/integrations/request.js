@@ -0,0 +1,31 @@
+export class IntegrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IntegrationError';
+  }
+}
+
+// POST a JSON body and resolve with the JSON answer ({} when there is none)
+export async function postJson(url, body, { headers = {}, service }) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+  } catch (err) {
+    throw new IntegrationError(`Could not reach ${service}: ${err.message}`);
+  }
+
+  const text = await response.text().catch(() => '');
+  if (!response.ok) {
+    throw new IntegrationError(`${service} answered with status ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+  }
+
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch {
+    return {};
+  }
+}
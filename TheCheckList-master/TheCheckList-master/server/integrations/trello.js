@@ -0,0 +1,27 @@
+import { postJson } from './request.js';
+
+// Cards on one Trello list (TRELLO_LIST_ID). TRELLO_API_URL points at the local mock
+// server instead of api.trello.com.
+const DEFAULT_API_URL = 'https://api.trello.com';
+
+export const trelloIntegration = {
+  id: 'trello',
+
+  isConfigured() {
+    return Boolean(process.env.TRELLO_API_KEY && process.env.TRELLO_TOKEN && process.env.TRELLO_LIST_ID);
+  },
+
+  async createItem(fields) {
+    const apiUrl = (process.env.TRELLO_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+    const params = new URLSearchParams({ key: process.env.TRELLO_API_KEY, token: process.env.TRELLO_TOKEN });
+
+    const card = await postJson(`${apiUrl}/1/cards?${params}`, {
+      idList: process.env.TRELLO_LIST_ID,
+      name: fields.name,
+      desc: fields.desc,
+      due: fields.due
+    }, { service: 'Trello' });
+
+    return { id: card.id || null, url: card.shortUrl || card.url || null };
+  }
+};
@@ -0,0 +1,24 @@
+import { postJson } from './request.js';
+
+// Any service that takes a JSON POST: each action item is sent to WEBHOOK_URL as an
+// object of the mapped fields. An answer with `id` or `url` is shown as the export.
+export const webhookIntegration = {
+  id: 'webhook',
+
+  isConfigured() {
+    return Boolean(process.env.WEBHOOK_URL);
+  },
+
+  async createItem(fields) {
+    const headers = {};
+    if (process.env.WEBHOOK_TOKEN) {
+      headers.Authorization = `Bearer ${process.env.WEBHOOK_TOKEN}`;
+    }
+
+    const answer = await postJson(process.env.WEBHOOK_URL, fields, { service: 'The webhook', headers });
+    return {
+      id: answer.id != null ? String(answer.id) : null,
+      url: typeof answer.url === 'string' ? answer.url : null
+    };
+  }
+};
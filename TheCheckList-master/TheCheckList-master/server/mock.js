@@ -0,0 +1,57 @@
+// Canned analysis returned in mock mode so the app can be developed offline
+export const MOCK_ANALYSIS = {
+  actionItems: [
+    { task: 'Send the updated project timeline to the team', deadline: 'Friday', assignee: 'Priya', priority: 'high', status: 'open' },
+    { task: 'Book a room for the design review', deadline: 'Tomorrow', assignee: 'Sam', priority: 'medium', status: 'open' }
+  ],
+  meetingDetails: {
+    date: 'Not specified',
+    time: '10:00 am',
+    participants: ['Alex', 'Priya', 'Sam']
+  },
+  keyPoints: [
+    'The beta release is on track for the end of the month',
+    'Design review needs input from the mobile team',
+    'Support tickets dropped after the last patch'
+  ],
+  decisions: [
+    'Hold the design review tomorrow at 2 pm'
+  ],
+  risks: [
+    'The mobile team may not have time to review the designs before the beta'
+  ],
+  openQuestions: [
+    'Who signs off on the beta release?'
+  ],
+  calendarEvents: [
+    { title: 'Design review', date: 'Tomorrow', time: '2 pm' }
+  ],
+  summary: 'The team confirmed the beta timeline, agreed to hold a design review tomorrow and assigned follow-ups for the project timeline and room booking.'
+};
+
+// Placeholder content for each section of a meeting template
+const mockSections = (template) => Object.fromEntries(template.sections.map(section => [
+  section.id,
+  section.type === 'list' ? [`Example ${section.title.toLowerCase()} item`] : `Example ${section.title.toLowerCase()}`
+]));
+
+// Stands in for every provider when the server runs with --mock or LLM_MOCK=1
+export const mockProvider = {
+  id: 'mock',
+  label: 'Mock',
+  defaultModel: null,
+
+  isConfigured() {
+    return true;
+  },
+
+  async analyze(transcript, { template } = {}) {
+    // Simulate a little latency so loading states are visible during development
+    await new Promise(resolve => setTimeout(resolve, 600));
+    const analysis = structuredClone(MOCK_ANALYSIS);
+    if (template?.sections.length > 0) {
+      analysis.sections = mockSections(template);
+    }
+    return analysis;
+  }
+};
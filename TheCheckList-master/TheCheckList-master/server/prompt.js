@@ -0,0 +1,183 @@
+import { getLanguage } from '../src/lib/languages.js';
+
+const BASE_JSON_SHAPE = `{
+      "actionItems": [{"task": "string", "deadline": "string", "assignee": "string", "priority": "high" | "medium" | "low", "status": "open" | "in progress" | "done"}],
+      "meetingDetails": {"date": "string", "time": "string", "participants": ["string"]},
+      "keyPoints": ["string"],
+      "decisions": ["string"],
+      "risks": ["string"],
+      "openQuestions": ["string"],
+      "calendarEvents": [{"title": "string", "date": "string", "time": "string"}],
+      "summary": "string"
+    }`;
+
+// The standard shape plus a "sections" object for the meeting template's own sections
+const analysisJsonShape = (template) => {
+  const sections = template?.sections || [];
+  if (sections.length === 0) return BASE_JSON_SHAPE;
+
+  const sectionShape = sections.map(section => `"${section.id}": ${section.type === 'list' ? '["string"]' : '"string"'}`).join(', ');
+  return BASE_JSON_SHAPE.replace(/\n\s*}$/, `,\n      "sections": {${sectionShape}}\n    }`);
+};
+
+// Extra rule for transcripts whose lines are labeled "Speaker: ..."
+const speakerRule = (speakers) => (speakers.length > 0
+  ? `Transcript lines start with the name of the person speaking ("Name: ..."). The speakers were: ${speakers.join(', ')}.
+        List them as participants, and when a speaker takes on a task, make them that action item's assignee`
+  : null);
+
+// The user's glossary: correct spellings of terms and names, and how they tend to be misheard
+const glossaryRule = (glossary) => {
+  if (glossary.length === 0) return null;
+  const describe = (entry) => `${entry.term}${entry.kind === 'name' ? ' (a person)' : ''}`;
+  const misheard = glossary.filter(entry => entry.heardAs.length > 0);
+
+  return `Spell these terms and names exactly like this: ${glossary.map(describe).join(', ')}.${misheard.length > 0 ? `
+        Speech recognition may have written them differently: ${misheard.map(entry => `${entry.heardAs.map(phrase => `"${phrase}"`).join(' or ')} means ${entry.term}`).join('; ')}.` : ''}
+        People in this list who are mentioned are likely participants; the other terms are never participants`;
+};
+
+// The meeting template: what kind of meeting this is and what goes in each section
+const templateRule = (template) => {
+  const sections = template?.sections || [];
+  if (sections.length === 0 && !template?.instructions) return null;
+
+  const describe = (section) => `sections.${section.id} (${section.title}): ${section.description || section.title}`;
+  return [
+    template.instructions || `This is a ${template.name} meeting.`,
+    ...(sections.length > 0 ? ['Fill in every section; use [] for an empty list section', ...sections.map(describe)] : [])
+  ].join('\n        ');
+};
+
+// Rules that only apply to some meetings, numbered after the fixed ones
+const optionalRules = (rules, firstNumber) => rules
+  .filter(Boolean)
+  .map((rule, index) => `\n    ${firstNumber + index}. ${rule}`)
+  .join('');
+
+// For rolling analysis: the notes so far, which the model updates with the new transcript
+const previousNotesSection = (previous) => (previous ? `
+    This transcript continues a meeting that is still in progress. The notes so far are:
+    ${JSON.stringify(previous)}
+
+    Return the complete, updated notes for the whole meeting: keep the earlier items unless the new part changes them,
+    add new ones, and rewrite the summary so it covers everything so far.
+` : '');
+
+// Prompt used to turn a meeting transcript into structured JSON, answering in the meeting language
+export function buildExtractionPrompt(text, { language, speakers = [], glossary = [], previous, template } = {}) {
+  const languageName = getLanguage(language).name;
+
+  return `
+    You are a meeting assistant AI that analyzes meeting transcripts and extracts structured information.
+    Your task is to analyze the following meeting transcript and return ONLY a JSON object with no additional text or formatting.
+
+    The JSON MUST follow this exact structure:
+    ${analysisJsonShape(template)}
+
+    Rules:
+    1. Return ONLY valid JSON, no other text
+    2. Use "Not specified" for missing dates/times
+    3. Use ["Unspecified participants"] when no participants are mentioned
+    4. If no action items found, use empty array []
+    5. If no calendar events found, use empty array []
+    6. Always include a brief summary
+    7. Ensure keyPoints and participants have at least one item; the other arrays may be empty []
+    8. All string values must be properly escaped
+    9. The meeting was held in ${languageName}: write tasks, key points, decisions, risks, questions, titles and the summary
+       in ${languageName}, but keep "Not specified", "Unassigned", "Unspecified participants" and the priority and status
+       values exactly as written above
+    10. For each action item, the assignee is the person who takes it on ("Unassigned" if nobody does). Priority is "medium"
+        unless the meeting says it is urgent or can wait. Status is "open" unless the meeting says it is underway or done
+    11. decisions are what the meeting agreed on or decided; risks are concerns, blockers and things that could go wrong;
+        openQuestions are questions raised that the meeting did not answer${optionalRules([templateRule(template), speakerRule(speakers), glossaryRule(glossary)], 12)}
+${previousNotesSection(previous)}
+    Analyze this ${previous ? 'new part of the ' : ''}transcript:
+    ${text}
+  `;
+}
+
+// Reduce step for long meetings analyzed in parts: one summary and one key point
+// list from the per-part results, which overlap a little
+export function buildCombinePrompt(summaries, keyPoints, { language } = {}) {
+  const languageName = getLanguage(language).name;
+
+  return `
+    You are a meeting assistant AI. A long meeting was analyzed in ${summaries.length} consecutive parts.
+    Combine the partial results below and return ONLY a JSON object with no additional text or formatting:
+    {"summary": "string", "keyPoints": ["string"]}
+
+    Rules:
+    1. The summary is one brief summary of the whole meeting, not a list of the parts
+    2. Merge key points that say the same thing and drop repetitions; keep every distinct point
+    3. Keep the key points in the order they came up
+    4. Write in ${languageName}
+
+    Summaries of the parts, in order:
+    ${summaries.map((summary, index) => `${index + 1}. ${summary}`).join('\n    ')}
+
+    Key points from all parts:
+    ${keyPoints.map(point => `- ${point}`).join('\n    ')}
+  `;
+}
+
+// Questions about one meeting. `passages` are { number, time, speaker, text } - the
+// transcript, or its parts most relevant to the question when it is too long.
+// `history` holds the earlier { role, content } turns of the conversation.
+export function buildQuestionPrompt(question, passages, { language, history = [], partial = false } = {}) {
+  const languageName = getLanguage(language).name;
+  const describe = (passage) => `[${passage.number}]${passage.time ? ` (${passage.time})` : ''} ${passage.speaker ? `${passage.speaker}: ` : ''}${passage.text}`;
+
+  return `
+    You are a meeting assistant AI answering questions about one meeting, using only its transcript.
+    Return ONLY a JSON object with no additional text or formatting:
+    {"answer": "string", "citations": [number]}
+
+    Rules:
+    1. Answer only from the transcript below. If it does not cover the question, say that the meeting did not discuss it
+       and cite nothing
+    2. citations lists the numbers of the transcript passages the answer relies on, most important first
+    3. Do not put passage numbers or timestamps in the answer text
+    4. Keep the answer short - one to three sentences - unless the question asks for a list
+    5. Answer in ${languageName}${partial ? `
+    6. Only the passages most relevant to the question are included, so some numbers are skipped` : ''}
+${history.length > 0 ? `
+    The conversation so far:
+    ${history.map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`).join('\n    ')}
+` : ''}
+    Transcript passages:
+    ${passages.map(describe).join('\n    ')}
+
+    Question: ${question}
+  `;
+}
+
+// Follow-up prompt asking the model to fix output that failed validation
+export function buildRepairPrompt(previousResponse, errors, { template } = {}) {
+  return `
+    Your previous answer did not match the required JSON structure.
+
+    Problems found:
+    ${errors.map(error => `- ${error}`).join('\n    ')}
+
+    The JSON MUST follow this exact structure:
+    ${analysisJsonShape(template)}
+
+    Return ONLY the corrected JSON object, with no additional text or formatting.
+    Keep all information from the previous answer; use "Not specified" for missing dates/times.
+
+    Previous answer:
+    ${previousResponse}
+  `;
+}
+
+// Models like to wrap JSON in markdown code fences - strip them before parsing
+export function parseModelJson(responseText) {
+  const jsonString = responseText
+    .trim()
+    .replace(/```json/g, '')
+    .replace(/```/g, '')
+    .trim();
+
+  return JSON.parse(jsonString);
+}
@@ -0,0 +1,30 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+let genAI = null;
+
+function getClient() {
+  if (!process.env.GEMINI_API_KEY) {
+    throw new Error('GEMINI_API_KEY is not set. Add it to your environment or .env file, or start the server in mock mode.');
+  }
+  if (!genAI) {
+    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  }
+  return genAI;
+}
+
+export const geminiProvider = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  defaultModel: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+
+  isConfigured() {
+    return Boolean(process.env.GEMINI_API_KEY);
+  },
+
+  async generateText(prompt, { model } = {}) {
+    const generativeModel = getClient().getGenerativeModel({ model: model || this.defaultModel });
+    const result = await generativeModel.generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+  }
+};
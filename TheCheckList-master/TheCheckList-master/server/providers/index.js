@@ -0,0 +1,23 @@
+import { geminiProvider } from './gemini.js';
+import { openAiProvider } from './openai.js';
+import { rulesProvider } from './rules.js';
+
+// A provider either implements `generateText(prompt, { model })` (LLMs) or
+// `analyze(transcript, { model })` (extraction without a prompt)
+const PROVIDERS = [geminiProvider, openAiProvider, rulesProvider];
+
+export const DEFAULT_PROVIDER_ID = process.env.LLM_PROVIDER || 'gemini';
+
+export function getProvider(id = DEFAULT_PROVIDER_ID) {
+  return PROVIDERS.find(provider => provider.id === id) || null;
+}
+
+export function listProviders() {
+  return PROVIDERS.map(provider => ({
+    id: provider.id,
+    label: provider.label,
+    defaultModel: provider.defaultModel,
+    configured: provider.isConfigured(),
+    usesModel: typeof provider.generateText === 'function'
+  }));
+}
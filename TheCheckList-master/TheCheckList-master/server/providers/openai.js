@@ -0,0 +1,44 @@
+// Works with OpenAI and any server exposing the same chat completions API,
+// such as Ollama (http://localhost:11434/v1) or llama.cpp (http://localhost:8080/v1)
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+export const openAiProvider = {
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+
+  isConfigured() {
+    // Local servers usually don't need a key, so a custom base URL is enough
+    return Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL);
+  },
+
+  async generateText(prompt, { model } = {}) {
+    const baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.OPENAI_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+    }
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: model || this.defaultModel,
+        temperature: 0,
+        messages: [{ role: 'user', content: prompt }]
+      })
+    });
+
+    if (!response.ok) {
+      const details = await response.text().catch(() => '');
+      throw new Error(`Chat completion request failed with status ${response.status}${details ? `: ${details.slice(0, 200)}` : ''}`);
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Chat completion response did not contain any text');
+    }
+    return content;
+  }
+};
@@ -0,0 +1,52 @@
+import {
+  extractMeetingDetailsManually,
+  extractCalendarEventsManually,
+  extractActionItemsManually,
+  extractKeyPointsManually,
+  extractDecisionsManually,
+  extractRisksManually,
+  extractOpenQuestionsManually,
+  extractSectionsManually,
+  summarizeManually
+} from '../../src/lib/heuristics.js';
+import { mergeAnalyses } from '../../src/lib/merge.js';
+
+// Deterministic pattern matching - nothing leaves the machine and the same
+// transcript always produces the same result
+export const rulesProvider = {
+  id: 'rules',
+  label: 'Rule-based (offline)',
+  defaultModel: null,
+
+  isConfigured() {
+    return true;
+  },
+
+  async analyze(transcript, { language, speakers = [], glossary = [], previous, template } = {}) {
+    const meetingDetails = extractMeetingDetailsManually(transcript, language, {
+      knownNames: glossary.filter(entry => entry.kind === 'name').map(entry => entry.term),
+      knownTerms: glossary.filter(entry => entry.kind !== 'name').map(entry => entry.term)
+    });
+    // Labeled speakers are better participant names than capitalized words
+    if (speakers.length > 0) {
+      meetingDetails.participants = speakers;
+    }
+
+    const analysis = {
+      actionItems: extractActionItemsManually(transcript, language),
+      meetingDetails,
+      keyPoints: extractKeyPointsManually(transcript, language),
+      decisions: extractDecisionsManually(transcript, language),
+      risks: extractRisksManually(transcript, language),
+      openQuestions: extractOpenQuestionsManually(transcript, language),
+      calendarEvents: extractCalendarEventsManually(transcript, language),
+      summary: summarizeManually(transcript)
+    };
+    if (template?.sections.length > 0) {
+      analysis.sections = extractSectionsManually(transcript, template);
+    }
+
+    // The opening of the meeting stays the summary as the meeting goes on
+    return previous ? mergeAnalyses([previous, analysis], { summary: previous.summary }) : analysis;
+  }
+};
@@ -0,0 +1,88 @@
+// Audio transcription through any server exposing the OpenAI audio transcription
+// API (POST {base}/audio/transcriptions): OpenAI Whisper, faster-whisper-server,
+// whisper.cpp's server, LocalAI, ...
+
+const TRANSCRIPTION_URL = process.env.TRANSCRIPTION_URL;
+const TRANSCRIPTION_MODEL = process.env.TRANSCRIPTION_MODEL || 'whisper-1';
+
+export class TranscriptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TranscriptionError';
+  }
+}
+
+export function isTranscriptionConfigured() {
+  return Boolean(TRANSCRIPTION_URL);
+}
+
+const EXTENSIONS = { 'audio/webm': 'webm', 'video/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mpeg': 'mp3', 'audio/mp4': 'm4a', 'video/mp4': 'mp4', 'audio/wav': 'wav', 'audio/x-wav': 'wav' };
+
+// Whisper reports log probabilities per segment; turn them into a 0-1 confidence
+const toConfidence = (segment) => (Number.isFinite(segment.avg_logprob)
+  ? Math.round(Math.exp(segment.avg_logprob) * 100) / 100
+  : null);
+
+// Transcribe `audio` (a Buffer). `offset` shifts segment times, for chunks that
+// start partway through a recording. Resolves with { text, segments }.
+export async function transcribeAudio(audio, { contentType, fileName, language, offset = 0 } = {}) {
+  if (!TRANSCRIPTION_URL) {
+    throw new TranscriptionError('Audio transcription is not configured. Set TRANSCRIPTION_URL in the server .env file.');
+  }
+
+  const mimeType = (contentType || 'audio/webm').split(';')[0];
+  const form = new FormData();
+  form.append('file', new Blob([audio], { type: mimeType }), fileName || `audio.${EXTENSIONS[mimeType] || 'webm'}`);
+  form.append('model', TRANSCRIPTION_MODEL);
+  form.append('response_format', 'verbose_json');
+  if (language) {
+    // The API takes ISO 639-1 codes ("es"), not locales ("es-ES")
+    form.append('language', language.split('-')[0]);
+  }
+
+  const headers = {};
+  if (process.env.TRANSCRIPTION_API_KEY) {
+    headers.Authorization = `Bearer ${process.env.TRANSCRIPTION_API_KEY}`;
+  }
+
+  const response = await fetch(`${TRANSCRIPTION_URL.replace(/\/+$/, '')}/audio/transcriptions`, {
+    method: 'POST',
+    headers,
+    body: form
+  });
+
+  if (!response.ok) {
+    const details = await response.text().catch(() => '');
+    throw new TranscriptionError(`Transcription request failed with status ${response.status}${details ? `: ${details.slice(0, 200)}` : ''}`);
+  }
+
+  const data = await response.json();
+  if (typeof data.text !== 'string') {
+    throw new TranscriptionError('The transcription service returned no text');
+  }
+
+  const segments = Array.isArray(data.segments)
+    ? data.segments
+      .filter(segment => typeof segment.text === 'string' && segment.text.trim())
+      .map(segment => ({
+        text: segment.text.trim(),
+        start: offset + (Number(segment.start) || 0),
+        end: offset + (Number(segment.end) || Number(segment.start) || 0),
+        confidence: toConfidence(segment)
+      }))
+    : [];
+
+  return { text: data.text.trim(), segments };
+}
+
+// Fixed transcript for trying uploads without a transcription service
+export function mockTranscription({ offset = 0 } = {}) {
+  const segments = [
+    { text: 'Thanks everyone for joining.', start: 0, end: 2.5 },
+    { text: 'The beta release is on track for the end of the month.', start: 2.5, end: 6 },
+    { text: 'Priya, can you send the updated project timeline to the team by Friday?', start: 6, end: 10 },
+    { text: "Let's hold the design review tomorrow at 2 pm.", start: 10, end: 13 }
+  ].map(segment => ({ ...segment, start: segment.start + offset, end: segment.end + offset, confidence: 0.9 }));
+
+  return { text: segments.map(segment => segment.text).join(' '), segments };
+}
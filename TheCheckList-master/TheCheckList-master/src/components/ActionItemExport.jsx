@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import { Share2, Send, Loader2, ExternalLink } from 'lucide-react';
+import { fetchIntegrations, exportActionItems } from '../lib/analysis';
+import { applyFieldMapping, getIntegration } from '../lib/integrations';
+import { exportKey, findExport } from '../lib/integrationStore';
+
+// Send chosen action items to an issue tracker or webhook set up on the API server.
+// `exports` is what the meeting already exported (see integrationStore.js); items that
+// went to the chosen integration can't be picked again. `onExportsChange(nextExports)`
+// records new exports with the meeting, and `meeting` is its { title, recordedAt }.
+export default function ActionItemExport({ actionItems, meeting, exports, onExportsChange, mappings, disabled }) {
+  const [integrations, setIntegrations] = useState(null);
+  const [integrationId, setIntegrationId] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [isSending, setIsSending] = useState(false);
+  const [problems, setProblems] = useState([]);
+  const [sentCount, setSentCount] = useState(null);
+
+  useEffect(() => {
+    fetchIntegrations()
+      .then(available => {
+        setIntegrations(available);
+        setIntegrationId(available.find(integration => integration.configured)?.id || '');
+      })
+      .catch(err => {
+        console.log('Integrations unavailable:', err.message);
+        setIntegrations([]);
+      });
+  }, []);
+
+  // Items that only differ in punctuation or case are the same item
+  const items = actionItems.filter((item, index) => actionItems.findIndex(other => exportKey(other) === exportKey(item)) === index);
+  const exportable = items.filter(item => !findExport(exports, item, integrationId));
+  const chosen = exportable.filter(item => selected.includes(exportKey(item)));
+
+  const toggleItem = (key) => {
+    setSelected(current => (current.includes(key) ? current.filter(other => other !== key) : [...current, key]));
+  };
+
+  const handleSend = async () => {
+    const integration = getIntegration(integrationId);
+    const mapped = chosen.map(item => ({ item, ...applyFieldMapping(integrationId, mappings[integrationId], item, meeting) }));
+    const unmappable = mapped.filter(entry => entry.errors).map(entry => `"${entry.item.task}": ${entry.errors.join(', ')}`);
+    const ready = mapped.filter(entry => entry.fields);
+
+    setProblems(unmappable);
+    setSentCount(null);
+    if (ready.length === 0) return;
+
+    setIsSending(true);
+    try {
+      const results = await exportActionItems(integrationId, ready.map(entry => ({ key: exportKey(entry.item), fields: entry.fields })));
+      console.log(`Exported action items to ${integration.label}:`, results);
+
+      const exportedAt = new Date().toISOString();
+      const succeeded = results.filter(result => !result.error);
+      const nextExports = { ...exports };
+      succeeded.forEach(({ key, id, url }) => {
+        nextExports[key] = { ...nextExports[key], [integrationId]: { id: id || null, url: url || null, exportedAt } };
+      });
+      if (succeeded.length > 0) onExportsChange(nextExports);
+
+      setSentCount(succeeded.length);
+      setSelected(current => current.filter(key => !succeeded.some(result => result.key === key)));
+      setProblems([
+        ...unmappable,
+        ...results.filter(result => result.error).map(result => {
+          const entry = ready.find(candidate => exportKey(candidate.item) === result.key);
+          return `"${entry?.item.task || result.key}": ${result.error}`;
+        })
+      ]);
+    } catch (err) {
+      console.error('Failed to export action items:', err);
+      setProblems([...unmappable, err.message]);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const configured = (integrations || []).filter(integration => integration.configured);
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-6 transform transition-all duration-300 hover:shadow-2xl">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+        <Share2 className="w-5 h-5 mr-2 text-indigo-600" />
+        Export Action Items
+      </h2>
+
+      {integrations === null ? (
+        <p className="text-gray-500 italic">Loading integrations...</p>
+      ) : configured.length === 0 ? (
+        <p className="text-gray-500 italic">
+          No integrations are set up on the API server. Add GitHub, Jira, Trello or webhook settings to its .env file (see .env.example).
+        </p>
+      ) : (
+        <>
+          <ul className="space-y-2 mb-4">
+            {items.map(item => {
+              const key = exportKey(item);
+              const exported = findExport(exports, item, integrationId);
+              const elsewhere = Object.entries(exports?.[key] || {}).filter(([id]) => id !== integrationId);
+              return (
+                <li key={key} className="flex items-start p-3 bg-gray-50 rounded-lg">
+                  <input
+                    type="checkbox"
+                    checked={!exported && selected.includes(key)}
+                    onChange={() => toggleItem(key)}
+                    disabled={Boolean(exported) || isSending || disabled}
+                    className="mt-1 mr-3"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className={exported ? 'text-gray-500' : 'text-gray-900'}>{item.task}</p>
+                    {[...(exported ? [[integrationId, exported]] : []), ...elsewhere].map(([id, record]) => (
+                      <p key={id} className="flex items-center text-xs text-gray-500">
+                        Sent to {getIntegration(id)?.label || id}
+                        {record.id && ` as ${record.id}`}
+                        {` on ${new Date(record.exportedAt).toLocaleDateString()}`}
+                        {record.url && (
+                          <a href={record.url} target="_blank" rel="noreferrer" className="ml-1 text-indigo-600 hover:text-indigo-800" title="Open">
+                            <ExternalLink className="w-3 h-3" />
+                          </a>
+                        )}
+                      </p>
+                    ))}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={integrationId}
+              onChange={(event) => setIntegrationId(event.target.value)}
+              disabled={isSending}
+              className="px-3 py-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            >
+              {configured.map(integration => (
+                <option key={integration.id} value={integration.id}>{integration.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => setSelected(exportable.map(exportKey))}
+              disabled={isSending || exportable.length === 0}
+              className="btn btn-secondary"
+            >
+              Select all
+            </button>
+            <button
+              onClick={handleSend}
+              disabled={disabled || isSending || chosen.length === 0}
+              className="btn btn-primary flex items-center"
+            >
+              {isSending ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Send className="w-4 h-4 mr-1" />}
+              Send {chosen.length > 0 ? chosen.length : ''} to {getIntegration(integrationId)?.label}
+            </button>
+          </div>
+
+          {sentCount !== null && (
+            <p className="mt-3 text-sm text-gray-600">
+              {sentCount} action item{sentCount === 1 ? '' : 's'} sent to {getIntegration(integrationId)?.label}
+            </p>
+          )}
+          {problems.length > 0 && (
+            <ul className="mt-3 space-y-1">
+              {problems.map((problem, index) => (
+                <li key={index} className="text-sm text-red-600">{problem}</li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
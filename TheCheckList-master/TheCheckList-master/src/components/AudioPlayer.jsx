@@ -0,0 +1,51 @@
+import React, { useState, useEffect } from 'react';
+import { Download } from 'lucide-react';
+import { toFileName } from '../lib/download';
+
+// Pick a file extension that matches what MediaRecorder actually produced
+const getAudioExtension = (type = '') => {
+  if (type.includes('ogg')) return 'ogg';
+  if (type.includes('mp4') || type.includes('aac')) return 'm4a';
+  if (type.includes('wav')) return 'wav';
+  return 'webm';
+};
+
+export default function AudioPlayer({ blob, audioRef, fileName = 'meeting-recording', onTimeUpdate }) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!blob) {
+      setUrl(null);
+      return undefined;
+    }
+
+    const objectUrl = URL.createObjectURL(blob);
+    setUrl(objectUrl);
+
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [blob]);
+
+  if (!url) return null;
+
+  return (
+    <div className="flex items-center space-x-3 mb-4">
+      <audio
+        ref={audioRef}
+        src={url}
+        controls
+        preload="metadata"
+        className="flex-1 h-10"
+        onTimeUpdate={(event) => onTimeUpdate?.(event.currentTarget.currentTime)}
+      />
+      <a
+        href={url}
+        download={`${toFileName(fileName, 'meeting-recording')}.${getAudioExtension(blob.type)}`}
+        className="btn btn-secondary flex items-center text-sm"
+        title="Download recording"
+      >
+        <Download className="w-4 h-4 mr-1" />
+        Download
+      </a>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { BookA, Plus, Trash2 } from 'lucide-react';
+import { createGlossaryEntry, GLOSSARY_KINDS } from '../lib/glossary';
+
+// Terms and names the transcript should spell correctly, with what the
+// recognizer tends to hear instead
+export default function GlossaryPanel({ glossary, onChange }) {
+  const [term, setTerm] = useState('');
+  const [kind, setKind] = useState('term');
+  const [heardAs, setHeardAs] = useState('');
+
+  const handleAdd = (event) => {
+    event.preventDefault();
+    if (!term.trim()) return;
+
+    const entry = createGlossaryEntry({ term, kind, heardAs: heardAs.split(',') });
+    // Adding a term again replaces the old entry
+    onChange([...glossary.filter(existing => existing.term.toLowerCase() !== entry.term.toLowerCase()), entry]);
+    setTerm('');
+    setHeardAs('');
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-6 mb-8 animate-fadeIn">
+      <h2 className="text-lg font-semibold text-gray-900 mb-2 flex items-center">
+        <BookA className="w-5 h-5 mr-2 text-indigo-600" />
+        Vocabulary
+      </h2>
+      <p className="mb-4 text-sm text-gray-600">
+        Product names, acronyms and people the transcript should spell correctly. Add what the recognizer writes instead
+        (comma-separated) to have it corrected.
+      </p>
+
+      <form onSubmit={handleAdd} className="grid gap-2 md:grid-cols-[1fr_auto_1fr_auto] mb-4">
+        <input
+          value={term}
+          onChange={(event) => setTerm(event.target.value)}
+          placeholder="Correct spelling, e.g. kubectl"
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+        <select
+          value={kind}
+          onChange={(event) => setKind(event.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        >
+          {GLOSSARY_KINDS.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+        <input
+          value={heardAs}
+          onChange={(event) => setHeardAs(event.target.value)}
+          placeholder="Heard as, e.g. cube control, cube cuddle"
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+        <button type="submit" className="btn btn-primary flex items-center justify-center" disabled={!term.trim()}>
+          <Plus className="w-4 h-4 mr-1" />
+          Add
+        </button>
+      </form>
+
+      {glossary.length > 0 ? (
+        <ul className="space-y-2">
+          {glossary.map(entry => (
+            <li key={entry.id} className="flex items-center p-3 bg-gray-50 rounded-lg">
+              <div className="flex-1 min-w-0">
+                <span className="font-medium text-gray-900">{entry.term}</span>
+                {entry.kind === 'name' && (
+                  <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-indigo-100 text-indigo-700">Person</span>
+                )}
+                {entry.heardAs.length > 0 && (
+                  <p className="text-sm text-gray-500 truncate">Heard as: {entry.heardAs.join(', ')}</p>
+                )}
+              </div>
+              <button
+                onClick={() => onChange(glossary.filter(existing => existing.id !== entry.id))}
+                className="p-2 text-gray-500 hover:text-red-600"
+                title="Remove from vocabulary"
+              >
+                <Trash2 size={16} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-500 italic">No vocabulary yet</p>
+      )}
+    </div>
+  );
+}
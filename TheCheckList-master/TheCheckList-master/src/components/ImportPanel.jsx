@@ -0,0 +1,105 @@
+import React, { useState, useRef } from 'react';
+import { Upload, FileAudio, FileText, Loader2 } from 'lucide-react';
+import { parseTranscript, TRANSCRIPT_FILE_TYPES } from '../lib/captions';
+
+// Analyze meetings that weren't recorded here: paste or upload a transcript
+// (.txt, .vtt, .srt) or upload a recording to transcribe on the server.
+export default function ImportPanel({ onTranscript, onAudio, isTranscribing, disabled }) {
+  const [pastedText, setPastedText] = useState('');
+  const [error, setError] = useState(null);
+  const transcriptInputRef = useRef(null);
+  const audioInputRef = useRef(null);
+
+  const submitTranscript = (content, { title = null, recordedAt = null } = {}) => {
+    const parsed = parseTranscript(content);
+    if (!parsed.text.trim()) {
+      setError('That transcript is empty.');
+      return false;
+    }
+    setError(null);
+    onTranscript({ ...parsed, title, recordedAt });
+    return true;
+  };
+
+  const handlePasteSubmit = (event) => {
+    event.preventDefault();
+    if (submitTranscript(pastedText)) {
+      setPastedText('');
+    }
+  };
+
+  const handleTranscriptFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      submitTranscript(await file.text(), {
+        title: file.name.replace(/\.[^.]+$/, ''),
+        recordedAt: new Date(file.lastModified || Date.now())
+      });
+    } catch (err) {
+      console.error('Failed to read transcript file:', err);
+      setError('Could not read that file.');
+    }
+  };
+
+  const handleAudioFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    onAudio(file);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-6 mb-8 transform transition-all duration-300 hover:shadow-2xl">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+        <Upload className="w-5 h-5 mr-2 text-indigo-600" />
+        Analyze an Existing Meeting
+      </h2>
+
+      <form onSubmit={handlePasteSubmit}>
+        <textarea
+          value={pastedText}
+          onChange={(event) => setPastedText(event.target.value)}
+          placeholder="Paste a transcript or captions (WebVTT / SRT)..."
+          rows={4}
+          disabled={disabled}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:bg-gray-100"
+        />
+        <div className="mt-3 flex flex-wrap items-center gap-2">
+          <button type="submit" className="btn btn-primary" disabled={disabled || !pastedText.trim()}>
+            Analyze text
+          </button>
+          <button
+            type="button"
+            onClick={() => transcriptInputRef.current.click()}
+            disabled={disabled}
+            className="btn btn-secondary flex items-center"
+          >
+            <FileText className="w-4 h-4 mr-1" />
+            Upload transcript
+          </button>
+          <button
+            type="button"
+            onClick={() => audioInputRef.current.click()}
+            disabled={disabled || isTranscribing}
+            className="btn btn-secondary flex items-center"
+          >
+            {isTranscribing ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <FileAudio className="w-4 h-4 mr-1" />}
+            {isTranscribing ? 'Transcribing...' : 'Upload audio'}
+          </button>
+        </div>
+      </form>
+
+      <input ref={transcriptInputRef} type="file" accept={TRANSCRIPT_FILE_TYPES} onChange={handleTranscriptFile} className="hidden" />
+      <input ref={audioInputRef} type="file" accept="audio/*,video/*" onChange={handleAudioFile} className="hidden" />
+
+      {error && (
+        <p className="mt-3 text-sm text-red-600">{error}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { Plug, RotateCcw } from 'lucide-react';
+import { INTEGRATIONS, MAPPING_PLACEHOLDERS, DEFAULT_FIELD_MAPPINGS } from '../lib/integrations';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+// What exported action items are made of, field by field, for each integration
+export default function IntegrationsPanel({ mappings, onChange }) {
+  const [integrationId, setIntegrationId] = useState(INTEGRATIONS[0].id);
+  const integration = INTEGRATIONS.find(candidate => candidate.id === integrationId);
+  const mapping = mappings[integrationId];
+
+  const updateField = (fieldId, value) => {
+    onChange({ ...mappings, [integrationId]: { ...mapping, [fieldId]: value } });
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-6 mb-8 animate-fadeIn">
+      <h2 className="text-lg font-semibold text-gray-900 mb-2 flex items-center">
+        <Plug className="w-5 h-5 mr-2 text-indigo-600" />
+        Export Field Mapping
+      </h2>
+      <p className="mb-4 text-sm text-gray-600">
+        What each field of an exported action item is filled with. Use the placeholders below; lists such as labels
+        are comma-separated, and empty fields are left out. The integrations themselves are set up in the API server&apos;s .env file.
+      </p>
+
+      <div className="flex items-center justify-between mb-4">
+        <select
+          value={integrationId}
+          onChange={(event) => setIntegrationId(event.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        >
+          {INTEGRATIONS.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => onChange({ ...mappings, [integrationId]: { ...DEFAULT_FIELD_MAPPINGS[integrationId] } })}
+          className="flex items-center text-sm text-gray-500 hover:text-indigo-600"
+        >
+          <RotateCcw className="w-4 h-4 mr-1" />
+          Reset to defaults
+        </button>
+      </div>
+
+      <div className="space-y-3 mb-4">
+        {integration.fields.map(field => (
+          <label key={field.id} className="block text-sm text-gray-600">
+            {field.label}
+            {field.required && <span className="text-red-600"> *</span>}
+            {field.multiline ? (
+              <textarea
+                value={mapping[field.id]}
+                onChange={(event) => updateField(field.id, event.target.value)}
+                rows={4}
+                className={`mt-1 font-mono text-sm ${inputClassName}`}
+              />
+            ) : (
+              <input
+                value={mapping[field.id]}
+                onChange={(event) => updateField(field.id, event.target.value)}
+                className={`mt-1 font-mono text-sm ${inputClassName}`}
+              />
+            )}
+          </label>
+        ))}
+      </div>
+
+      <ul className="grid gap-1 md:grid-cols-2 text-xs text-gray-500">
+        {MAPPING_PLACEHOLDERS.map(placeholder => (
+          <li key={placeholder.id}>
+            <code className="text-indigo-700">{`{${placeholder.id}}`}</code> {placeholder.description}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
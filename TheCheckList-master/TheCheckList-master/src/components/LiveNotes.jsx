@@ -0,0 +1,80 @@
+import React from 'react';
+import { Sparkles, Loader2, Pause, Play } from 'lucide-react';
+
+// Running notes shown while a meeting is still being recorded. They are
+// replaced by the full analysis once the recording stops.
+export default function LiveNotes({ notes, isAnalyzing, error, paused, intervalMinutes, onPause, onResume }) {
+  const results = notes?.results;
+
+  const status = paused
+    ? 'Paused'
+    : isAnalyzing
+      ? 'Updating...'
+      : notes
+        ? `Updated at ${notes.updatedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+        : `First notes after ${intervalMinutes} minute${intervalMinutes === 1 ? '' : 's'} of conversation`;
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-6 mb-8 transform transition-all duration-300 hover:shadow-2xl animate-fadeIn">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Sparkles className="w-5 h-5 mr-2 text-indigo-600" />
+          Live Notes
+        </h2>
+        <div className="flex items-center space-x-3">
+          <span className="flex items-center text-sm text-gray-500">
+            {isAnalyzing && !paused && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+            {status}
+          </span>
+          <button
+            onClick={paused ? onResume : onPause}
+            className="btn btn-secondary flex items-center text-sm"
+            title={paused ? 'Resume live notes' : 'Stop updating the notes (cancels a running update)'}
+          >
+            {paused ? <Play className="w-4 h-4 mr-1" /> : <Pause className="w-4 h-4 mr-1" />}
+            {paused ? 'Resume' : 'Pause'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <p className="mb-3 text-sm text-red-600">{error}</p>
+      )}
+
+      {results ? (
+        <div className="space-y-4">
+          <p className="text-gray-700 leading-relaxed">{results.summary}</p>
+
+          {results.actionItems.length > 0 && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 mb-1">Action items so far</h3>
+              <ul className="list-disc list-inside space-y-1 text-gray-700">
+                {results.actionItems.map((item, index) => (
+                  <li key={index}>
+                    {item.task}
+                    {item.deadline && item.deadline !== 'Not specified' && (
+                      <span className="text-sm text-gray-500"> — {item.deadline}</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {results.keyPoints.length > 0 && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 mb-1">Key points so far</h3>
+              <ul className="list-disc list-inside space-y-1 text-gray-700">
+                {results.keyPoints.map((point, index) => (
+                  <li key={index}>{point}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      ) : (
+        <p className="text-gray-500 italic">Notes will appear here as the meeting goes on.</p>
+      )}
+    </div>
+  );
+}
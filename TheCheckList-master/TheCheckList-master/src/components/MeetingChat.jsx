@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { MessageSquare, Send, Loader2, Trash2, Quote } from 'lucide-react';
+import { askAboutMeeting } from '../lib/analysis';
+import { formatTimestamp } from '../lib/transcript';
+
+// Earlier turns sent along with a question, for follow-ups like "and who owns that?"
+const HISTORY_TURNS = 6;
+
+// The transcript in the pieces answers cite: its segments, or its sentences when it
+// was imported without timestamps
+const toPassages = (segments, transcript) => (segments.length > 0
+  ? segments.map(segment => ({
+    segmentId: segment.id,
+    start: segment.start,
+    time: formatTimestamp(segment.start),
+    speaker: segment.speaker || null,
+    text: segment.text
+  }))
+  : (transcript.match(/[^.!?]+[.!?]*/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(Boolean)
+    .map(text => ({ segmentId: null, start: null, time: null, speaker: null, text })));
+
+// Questions and answers about the meeting on screen. Messages are { role, content } with
+// `citations` on answers: copies of the transcript passages the answer is based on, so
+// they still show if the transcript is corrected later. `onCite(seconds)` plays the
+// recording from a cited passage, when there is a recording.
+export default function MeetingChat({ segments, transcript, messages, onMessagesChange, options, onCite, disabled }) {
+  const [question, setQuestion] = useState('');
+  const [isAsking, setIsAsking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleAsk = async (event) => {
+    event.preventDefault();
+    const trimmed = question.trim();
+    const passages = toPassages(segments, transcript);
+    if (!trimmed || passages.length === 0) return;
+
+    const history = messages.slice(-HISTORY_TURNS).map(({ role, content }) => ({ role, content }));
+    const withQuestion = [...messages, { role: 'user', content: trimmed }];
+    onMessagesChange(withQuestion);
+    setQuestion('');
+    setError(null);
+    setIsAsking(true);
+
+    try {
+      const { answer, citations } = await askAboutMeeting(trimmed, passages, { ...options, history });
+      console.log('Answer cites passages:', citations);
+      onMessagesChange([
+        ...withQuestion,
+        { role: 'assistant', content: answer, citations: citations.map(index => passages[index]).filter(Boolean) }
+      ]);
+    } catch (err) {
+      console.error('Failed to answer the question:', err);
+      setError(err.message);
+      // Give the question back so it can be asked again
+      onMessagesChange(messages);
+      setQuestion(trimmed);
+    } finally {
+      setIsAsking(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-6 transform transition-all duration-300 hover:shadow-2xl">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <MessageSquare className="w-5 h-5 mr-2 text-indigo-600" />
+          Ask About This Meeting
+        </h2>
+        {messages.length > 0 && (
+          <button
+            onClick={() => onMessagesChange([])}
+            disabled={isAsking}
+            className="flex items-center text-sm text-gray-500 hover:text-red-600 disabled:opacity-50"
+          >
+            <Trash2 className="w-4 h-4 mr-1" />
+            Clear
+          </button>
+        )}
+      </div>
+
+      {messages.length > 0 ? (
+        <ul className="space-y-3 mb-4">
+          {messages.map((message, index) => (
+            <li
+              key={index}
+              className={message.role === 'user'
+                ? 'ml-auto max-w-[85%] p-3 rounded-lg bg-indigo-600 text-white'
+                : 'mr-auto max-w-[85%] p-3 rounded-lg bg-gray-50 text-gray-800'}
+            >
+              <p className="whitespace-pre-wrap">{message.content}</p>
+              {message.citations?.length > 0 && (
+                <ul className="mt-2 space-y-1">
+                  {message.citations.map((citation, citationIndex) => {
+                    const canPlay = Boolean(onCite) && citation.start !== null;
+                    return (
+                      <li key={citationIndex}>
+                        <button
+                          onClick={canPlay ? () => onCite(citation.start) : undefined}
+                          disabled={!canPlay}
+                          title={canPlay ? `Play from ${citation.time}` : undefined}
+                          className="flex items-start w-full text-left text-sm text-gray-600 border-l-2 border-indigo-300 pl-2 hover:text-indigo-700 disabled:hover:text-gray-600"
+                        >
+                          <Quote className="w-3 h-3 mr-1 mt-1 flex-shrink-0" />
+                          <span>
+                            {citation.time && <span className="font-mono text-xs text-gray-500 mr-1">{citation.time}</span>}
+                            {citation.speaker && <span className="font-medium text-indigo-700 mr-1">{citation.speaker}:</span>}
+                            {citation.text}
+                          </span>
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="mb-4 text-gray-500 italic">
+          Ask anything the transcript can answer, like &quot;what did we decide about the launch date?&quot;
+        </p>
+      )}
+
+      {error && (
+        <p className="mb-3 text-sm text-red-600">{error}</p>
+      )}
+
+      <form onSubmit={handleAsk} className="flex items-center space-x-2">
+        <input
+          value={question}
+          onChange={(event) => setQuestion(event.target.value)}
+          placeholder="Ask a question about this meeting..."
+          disabled={disabled || isAsking}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:bg-gray-100"
+        />
+        <button
+          type="submit"
+          disabled={disabled || isAsking || !question.trim()}
+          className="btn btn-primary flex items-center"
+        >
+          {isAsking ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Send className="w-4 h-4 mr-1" />}
+          Ask
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { History, FolderOpen, Pencil, Trash2, Check, X, Loader2 } from 'lucide-react';
+import { listMeetings, renameMeeting, deleteMeeting } from '../lib/meetingStore';
+
+export default function MeetingHistory({ activeMeetingId, refreshKey, onOpen, onRenamed, onDeleted, disabled }) {
+  const [meetings, setMeetings] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+
+  const loadMeetings = async () => {
+    try {
+      setMeetings(await listMeetings());
+      setError(null);
+    } catch (err) {
+      console.error('Failed to load meeting history:', err);
+      setError('Could not load saved meetings from this browser.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadMeetings();
+  }, [refreshKey]);
+
+  const startRenaming = (meeting) => {
+    setEditingId(meeting.id);
+    setDraftTitle(meeting.title);
+  };
+
+  const cancelRenaming = () => {
+    setEditingId(null);
+    setDraftTitle('');
+  };
+
+  const handleRename = async (id) => {
+    if (!draftTitle.trim()) {
+      return;
+    }
+
+    try {
+      const meeting = await renameMeeting(id, draftTitle);
+      onRenamed?.(meeting);
+      cancelRenaming();
+      await loadMeetings();
+    } catch (err) {
+      console.error('Failed to rename meeting:', err);
+      setError('Could not rename the meeting. Please try again.');
+    }
+  };
+
+  const handleDelete = async (meeting) => {
+    if (!window.confirm(`Delete "${meeting.title}"? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await deleteMeeting(meeting.id);
+      onDeleted?.(meeting.id);
+      await loadMeetings();
+    } catch (err) {
+      console.error('Failed to delete meeting:', err);
+      setError('Could not delete the meeting. Please try again.');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-6 mt-8 transform transition-all duration-300 hover:shadow-2xl">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+        <History className="w-5 h-5 mr-2 text-indigo-600" />
+        Meeting History
+      </h2>
+
+      {error && (
+        <p className="mb-3 text-sm text-red-600">{error}</p>
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center text-gray-500">
+          <Loader2 className="animate-spin mr-2" size={16} />
+          Loading saved meetings...
+        </div>
+      ) : meetings.length > 0 ? (
+        <ul className="space-y-3">
+          {meetings.map(meeting => (
+            <li
+              key={meeting.id}
+              className={`flex items-center p-3 rounded-lg ${
+                meeting.id === activeMeetingId ? 'bg-indigo-50 border border-indigo-200' : 'bg-gray-50'
+              }`}
+            >
+              <div className="flex-1 min-w-0">
+                {editingId === meeting.id ? (
+                  <form
+                    className="flex items-center space-x-2"
+                    onSubmit={(event) => {
+                      event.preventDefault();
+                      handleRename(meeting.id);
+                    }}
+                  >
+                    <input
+                      autoFocus
+                      value={draftTitle}
+                      onChange={(event) => setDraftTitle(event.target.value)}
+                      onKeyDown={(event) => event.key === 'Escape' && cancelRenaming()}
+                      className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    />
+                    <button type="submit" className="p-1 text-green-600 hover:text-green-700" title="Save title">
+                      <Check size={16} />
+                    </button>
+                    <button type="button" onClick={cancelRenaming} className="p-1 text-gray-500 hover:text-gray-700" title="Cancel">
+                      <X size={16} />
+                    </button>
+                  </form>
+                ) : (
+                  <>
+                    <p className="font-medium text-gray-900 truncate">{meeting.title}</p>
+                    <p className="text-sm text-gray-600">
+                      {new Date(meeting.createdAt).toLocaleString()}
+                      {meeting.results?.actionItems?.length > 0 && ` · ${meeting.results.actionItems.length} action items`}
+                    </p>
+                  </>
+                )}
+              </div>
+              {editingId !== meeting.id && (
+                <div className="flex items-center space-x-1 ml-3">
+                  <button
+                    onClick={() => onOpen(meeting)}
+                    disabled={disabled}
+                    className="p-2 text-gray-500 hover:text-indigo-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                    title="Open meeting"
+                  >
+                    <FolderOpen size={16} />
+                  </button>
+                  <button
+                    onClick={() => startRenaming(meeting)}
+                    className="p-2 text-gray-500 hover:text-indigo-600"
+                    title="Rename meeting"
+                  >
+                    <Pencil size={16} />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(meeting)}
+                    disabled={disabled && meeting.id === activeMeetingId}
+                    className="p-2 text-gray-500 hover:text-red-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                    title="Delete meeting"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-500 italic">No saved meetings yet</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,183 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Search, X } from 'lucide-react';
+import { listMeetings } from '../lib/meetingStore';
+import { buildSearchIndex, searchMeetings, getMeetingParticipants } from '../lib/search';
+import { formatTimestamp } from '../lib/transcript';
+import { BUILT_IN_TEMPLATES, DEFAULT_TEMPLATE_ID } from '../lib/templates';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  summary: 'Summary',
+  keyPoints: 'Key point',
+  actionItems: 'Action item',
+  transcript: 'Transcript'
+};
+const MAX_RESULTS = 20;
+const EMPTY_FILTERS = { from: '', to: '', participant: '', templateId: '' };
+
+const inputClassName = 'px-3 py-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+// Find saved meetings by what was said in them. `onOpen(meeting, time)` shows a meeting,
+// with `time` the point in the recording a transcript match was found at (or null).
+export default function MeetingSearch({ refreshKey, onOpen, disabled }) {
+  const [meetings, setMeetings] = useState([]);
+  const [error, setError] = useState(null);
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  useEffect(() => {
+    listMeetings()
+      .then(setMeetings)
+      .catch(err => {
+        console.error('Failed to load meetings for search:', err);
+        setError('Could not load saved meetings from this browser.');
+      });
+  }, [refreshKey]);
+
+  const index = useMemo(() => buildSearchIndex(meetings), [meetings]);
+
+  // Filter choices come from the saved meetings themselves
+  const participants = useMemo(() => [...new Set(meetings.flatMap(getMeetingParticipants))].sort(), [meetings]);
+  const templates = useMemo(() => {
+    const names = new Map(meetings.map(meeting => [
+      meeting.template?.id || DEFAULT_TEMPLATE_ID,
+      meeting.template?.name || BUILT_IN_TEMPLATES.find(template => template.id === DEFAULT_TEMPLATE_ID).name
+    ]));
+    return [...names].map(([id, name]) => ({ id, name }));
+  }, [meetings]);
+
+  const isSearching = query.trim() !== '' || Object.values(filters).some(Boolean);
+  const results = useMemo(
+    () => (isSearching ? searchMeetings(index, query, filters) : []),
+    [index, query, filters, isSearching]
+  );
+
+  const updateFilter = (key, value) => {
+    setFilters(current => ({ ...current, [key]: value }));
+  };
+
+  const clearSearch = () => {
+    setQuery('');
+    setFilters(EMPTY_FILTERS);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-6 mt-8 transform transition-all duration-300 hover:shadow-2xl">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+        <Search className="w-5 h-5 mr-2 text-indigo-600" />
+        Search Meetings
+      </h2>
+
+      {error && (
+        <p className="mb-3 text-sm text-red-600">{error}</p>
+      )}
+
+      <div className="relative mb-3">
+        <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+        <input
+          type="search"
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+          placeholder='Search transcripts, summaries and action items, e.g. "vendor contract"'
+          className={`w-full pl-9 ${inputClassName}`}
+        />
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-4 text-sm">
+        <label className="flex flex-col text-gray-600">
+          From
+          <input type="date" value={filters.from} onChange={(event) => updateFilter('from', event.target.value)} className={`mt-1 ${inputClassName}`} />
+        </label>
+        <label className="flex flex-col text-gray-600">
+          To
+          <input type="date" value={filters.to} onChange={(event) => updateFilter('to', event.target.value)} className={`mt-1 ${inputClassName}`} />
+        </label>
+        <label className="flex flex-col text-gray-600">
+          Participant
+          <select value={filters.participant} onChange={(event) => updateFilter('participant', event.target.value)} className={`mt-1 ${inputClassName}`}>
+            <option value="">Anyone</option>
+            {participants.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col text-gray-600">
+          Meeting type
+          <select value={filters.templateId} onChange={(event) => updateFilter('templateId', event.target.value)} className={`mt-1 ${inputClassName}`}>
+            <option value="">Any</option>
+            {templates.map(template => (
+              <option key={template.id} value={template.id}>{template.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {isSearching && (
+        <div className="flex items-center justify-between mb-3 text-sm text-gray-600">
+          <span>
+            {results.length === 0
+              ? 'No meetings match'
+              : `${results.length} meeting${results.length === 1 ? '' : 's'} found${results.length > MAX_RESULTS ? `, showing the first ${MAX_RESULTS}` : ''}`}
+          </span>
+          <button onClick={clearSearch} className="flex items-center text-gray-500 hover:text-indigo-600">
+            <X className="w-4 h-4 mr-1" />
+            Clear
+          </button>
+        </div>
+      )}
+
+      {!isSearching ? (
+        <p className="text-gray-500 italic">
+          {meetings.length > 0
+            ? `Search ${meetings.length} saved meeting${meetings.length === 1 ? '' : 's'} by keyword, date, participant or type`
+            : 'No saved meetings yet'}
+        </p>
+      ) : (
+        <ul className="space-y-3">
+          {results.slice(0, MAX_RESULTS).map(({ meeting, snippets }) => (
+            <li key={meeting.id} className="p-3 bg-gray-50 rounded-lg">
+              <button
+                onClick={() => onOpen(meeting, null)}
+                disabled={disabled}
+                className="font-medium text-indigo-700 hover:text-indigo-900 hover:underline text-left disabled:opacity-50 disabled:no-underline"
+              >
+                {meeting.title}
+              </button>
+              <p className="text-xs text-gray-500">
+                {new Date(meeting.createdAt).toLocaleString()}
+                {meeting.template && ` · ${meeting.template.name}`}
+              </p>
+              {snippets.length > 0 ? (
+                <ul className="mt-2 space-y-1">
+                  {snippets.map((snippet, snippetIndex) => (
+                    <li key={snippetIndex}>
+                      <button
+                        onClick={() => onOpen(meeting, snippet.start)}
+                        disabled={disabled}
+                        className="w-full text-left text-sm text-gray-700 hover:bg-indigo-50 rounded px-1 disabled:hover:bg-transparent"
+                        title={snippet.start !== null ? `Open at ${formatTimestamp(snippet.start)}` : 'Open meeting'}
+                      >
+                        <span className="mr-2 text-xs font-medium text-gray-500">
+                          {FIELD_LABELS[snippet.field]}
+                          {snippet.start !== null && ` ${formatTimestamp(snippet.start)}`}
+                          {snippet.speaker && ` · ${snippet.speaker}`}
+                        </span>
+                        {snippet.truncatedStart && '…'}
+                        {snippet.parts.map((part, partIndex) => (part.highlight
+                          ? <mark key={partIndex} className="bg-yellow-200 text-gray-900 rounded px-0.5">{part.text}</mark>
+                          : <React.Fragment key={partIndex}>{part.text}</React.Fragment>))}
+                        {snippet.truncatedEnd && '…'}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              ) : meeting.results?.summary && (
+                <p className="mt-1 text-sm text-gray-600 line-clamp-2">{meeting.results.summary}</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
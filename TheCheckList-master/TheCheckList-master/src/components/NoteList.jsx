@@ -0,0 +1,25 @@
+import React from 'react';
+
+// A results card with a plain list of notes - decisions, risks, open questions
+export default function NoteList({ title, icon: Icon, items, emptyText, markerClassName = 'bg-indigo-500' }) {
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-6 transform transition-all duration-300 hover:shadow-2xl">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+        <Icon className="w-5 h-5 mr-2 text-indigo-600" />
+        {title}
+      </h2>
+      {items.length > 0 ? (
+        <ul className="space-y-2">
+          {items.map((item, index) => (
+            <li key={index} className="flex items-start">
+              <span className={`flex-shrink-0 w-2 h-2 mt-2 mr-3 rounded-full ${markerClassName}`} />
+              <p className="text-gray-700">{item}</p>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-500 italic">{emptyText}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import { FileText, FileJson, Printer } from 'lucide-react';
+import { buildMarkdownReport, buildJsonReport, buildHtmlReport, printHtmlReport } from '../lib/report';
+import { downloadFile, toFileName } from '../lib/download';
+
+export default function ReportExport({ report }) {
+  const [error, setError] = useState(null);
+
+  const fileName = toFileName(report.title);
+
+  const handlePrint = () => {
+    try {
+      setError(null);
+      printHtmlReport(buildHtmlReport(report));
+    } catch (err) {
+      console.error('Failed to open the printable report:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center justify-end gap-2">
+      <span className="text-sm text-gray-600 mr-1">Export report:</span>
+      <button
+        onClick={() => downloadFile(buildMarkdownReport(report), `${fileName}.md`, 'text/markdown;charset=utf-8')}
+        className="btn btn-secondary flex items-center text-sm"
+      >
+        <FileText className="w-4 h-4 mr-1" />
+        Markdown
+      </button>
+      <button
+        onClick={() => downloadFile(buildJsonReport(report), `${fileName}.json`, 'application/json')}
+        className="btn btn-secondary flex items-center text-sm"
+      >
+        <FileJson className="w-4 h-4 mr-1" />
+        JSON
+      </button>
+      <button onClick={handlePrint} className="btn btn-secondary flex items-center text-sm">
+        <Printer className="w-4 h-4 mr-1" />
+        Print / PDF
+      </button>
+      {error && (
+        <p className="w-full text-right text-sm text-red-600">{error}</p>
+      )}
+    </div>
+  );
+}
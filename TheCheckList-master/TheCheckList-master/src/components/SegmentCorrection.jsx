@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { Check, X } from 'lucide-react';
+
+// Fix a transcript phrase: pick one of the recognizer's other guesses or type the right text
+export default function SegmentCorrection({ segment, onSave, onCancel }) {
+  const [draftText, setDraftText] = useState(segment.text);
+  const alternatives = segment.alternatives || [];
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (draftText.trim()) {
+      onSave(draftText);
+    }
+  };
+
+  return (
+    <div className="mt-1 mb-2 p-3 bg-white border border-indigo-200 rounded-lg shadow-sm" onClick={(event) => event.stopPropagation()}>
+      {segment.confidence !== null && (
+        <p className="mb-2 text-xs text-gray-500">
+          Recognized with {Math.round(segment.confidence * 100)}% confidence
+        </p>
+      )}
+      {alternatives.length > 0 && (
+        <div className="mb-2 flex flex-wrap gap-2">
+          {alternatives.map(alternative => (
+            <button
+              key={alternative}
+              type="button"
+              onClick={() => onSave(alternative)}
+              className="px-2 py-1 text-sm rounded-full border border-indigo-200 text-indigo-700 hover:bg-indigo-50"
+              title="Use this instead"
+            >
+              {alternative}
+            </button>
+          ))}
+        </div>
+      )}
+      <form onSubmit={handleSubmit} className="flex items-center space-x-2">
+        <input
+          autoFocus
+          value={draftText}
+          onChange={(event) => setDraftText(event.target.value)}
+          onKeyDown={(event) => event.key === 'Escape' && onCancel()}
+          className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+        <button type="submit" className="p-1 text-green-600 hover:text-green-700" title="Save correction" disabled={!draftText.trim()}>
+          <Check size={16} />
+        </button>
+        <button type="button" onClick={onCancel} className="p-1 text-gray-500 hover:text-gray-700" title="Cancel">
+          <X size={16} />
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react';
+import { Settings, AlertCircle } from 'lucide-react';
+import { fetchProviders } from '../lib/analysis';
+import { LANGUAGES } from '../lib/languages';
+import { ENGINES, isWebSpeechSupported } from '../lib/transcriptionEngines';
+
+export default function SettingsPanel({ settings, onChange }) {
+  const [providerInfo, setProviderInfo] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchProviders()
+      .then(setProviderInfo)
+      .catch(err => {
+        console.error('Failed to load providers:', err);
+        setError('Could not reach the API server to list providers.');
+      });
+  }, []);
+
+  const updateSetting = (key, value) => {
+    onChange({ ...settings, [key]: value });
+  };
+
+  const providers = providerInfo?.providers || [];
+  const activeProviderId = settings.provider || providerInfo?.defaultProvider;
+  const activeProvider = providers.find(provider => provider.id === activeProviderId);
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-6 mb-8 animate-fadeIn">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+        <Settings className="w-5 h-5 mr-2 text-indigo-600" />
+        Settings
+      </h2>
+
+      {error && (
+        <p className="mb-4 text-sm text-red-600 flex items-center">
+          <AlertCircle className="w-4 h-4 mr-1 flex-shrink-0" />
+          {error}
+        </p>
+      )}
+
+      {providerInfo?.mock && (
+        <p className="mb-4 text-sm text-yellow-700">
+          The API server is running in mock mode and returns canned results for every provider.
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <label className="block md:col-span-2">
+          <span className="text-sm text-gray-600">Meeting language</span>
+          <select
+            value={settings.language}
+            onChange={(event) => updateSetting('language', event.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            {LANGUAGES.map(language => (
+              <option key={language.id} value={language.id}>{language.label}</option>
+            ))}
+          </select>
+          <span className="mt-1 block text-xs text-gray-500">
+            Used for speech recognition and for the language of the extracted notes.
+          </span>
+        </label>
+
+        <label className="block md:col-span-2">
+          <span className="text-sm text-gray-600">Live transcription</span>
+          <select
+            value={settings.engine}
+            onChange={(event) => updateSetting('engine', event.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            <option value="auto">Automatic (browser, falling back to the server)</option>
+            {ENGINES.map(engine => (
+              <option
+                key={engine.id}
+                value={engine.id}
+                disabled={engine.id === 'webspeech' ? !isWebSpeechSupported() : providerInfo && !providerInfo.transcription}
+              >
+                {engine.label}
+              </option>
+            ))}
+          </select>
+          {providerInfo && !providerInfo.transcription && (
+            <span className="mt-1 block text-xs text-gray-500">
+              Server transcription needs TRANSCRIPTION_URL on the API server.
+            </span>
+          )}
+        </label>
+
+        <label className="block">
+          <span className="text-sm text-gray-600">Analysis provider</span>
+          <select
+            value={settings.provider}
+            onChange={(event) => onChange({ ...settings, provider: event.target.value, model: '' })}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            <option value="">
+              Server default{providerInfo ? ` (${providers.find(p => p.id === providerInfo.defaultProvider)?.label || providerInfo.defaultProvider})` : ''}
+            </option>
+            {providers.map(provider => (
+              <option key={provider.id} value={provider.id}>
+                {provider.label}{provider.configured ? '' : ' (not configured)'}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className="block">
+          <span className="text-sm text-gray-600">Model</span>
+          <input
+            value={settings.model}
+            onChange={(event) => updateSetting('model', event.target.value)}
+            disabled={activeProvider && !activeProvider.usesModel}
+            placeholder={activeProvider?.defaultModel || 'Provider default'}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:bg-gray-100 disabled:cursor-not-allowed"
+          />
+        </label>
+      </div>
+
+      <label className="mt-4 block">
+        <span className="text-sm text-gray-600">Live notes while recording</span>
+        <select
+          value={settings.liveAnalysisMinutes}
+          onChange={(event) => updateSetting('liveAnalysisMinutes', Number(event.target.value))}
+          className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        >
+          <option value={0}>Off</option>
+          {[2, 5, 10].map(minutes => (
+            <option key={minutes} value={minutes}>Update every {minutes} minutes of conversation</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="mt-4 grid gap-4 md:grid-cols-2">
+        <label className="block">
+          <span className="text-sm text-gray-600">When nobody speaks</span>
+          <select
+            value={settings.autoPauseSilenceSeconds}
+            onChange={(event) => updateSetting('autoPauseSilenceSeconds', Number(event.target.value))}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            <option value={0}>Keep recording</option>
+            {[30, 60, 120].map(seconds => (
+              <option key={seconds} value={seconds}>Pause after {seconds < 60 ? `${seconds} seconds` : `${seconds / 60} minute${seconds === 60 ? '' : 's'}`}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="block">
+          <span className="text-sm text-gray-600">Stop recording after silence</span>
+          <select
+            value={settings.autoStopSilenceMinutes}
+            onChange={(event) => updateSetting('autoStopSilenceMinutes', Number(event.target.value))}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            <option value={0}>Never</option>
+            {[5, 10, 15].map(minutes => (
+              <option key={minutes} value={minutes}>After {minutes} minutes</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <label className="mt-4 flex items-start">
+        <input
+          type="checkbox"
+          checked={settings.diarization}
+          onChange={(event) => updateSetting('diarization', event.target.checked)}
+          disabled={providerInfo && !providerInfo.diarization && !settings.diarization}
+          className="mt-1 mr-2 h-4 w-4 text-indigo-600 rounded border-gray-300 focus:ring-indigo-500"
+        />
+        <span className="text-sm text-gray-600">
+          Identify speakers from the recording when it stops
+          {providerInfo && !providerInfo.diarization && (
+            <span className="block text-xs text-gray-500">Needs DIARIZATION_URL on the API server.</span>
+          )}
+        </span>
+      </label>
+
+      {activeProvider && !activeProvider.configured && (
+        <p className="mt-3 text-sm text-yellow-700">
+          {activeProvider.label} is missing credentials on the server. Check the API server's .env file.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Users, UserPlus, Pencil, Check, X, Loader2, AudioLines } from 'lucide-react';
+
+// Speaker chips above the transcript. While recording, tapping a chip marks who is
+// talking now; afterwards the chips can be renamed ("Speaker 1" -> "Dana").
+export default function SpeakerBar({
+  speakers,
+  activeSpeaker,
+  isRecording,
+  onSelect,
+  onAdd,
+  onRename,
+  onDetect,
+  isDetecting,
+  disabled
+}) {
+  const [editingSpeaker, setEditingSpeaker] = useState(null);
+  const [draftName, setDraftName] = useState('');
+
+  const handleRename = (event) => {
+    event.preventDefault();
+    const name = draftName.trim();
+    if (name && name !== editingSpeaker) {
+      onRename(editingSpeaker, name);
+    }
+    setEditingSpeaker(null);
+  };
+
+  return (
+    <div className="mb-4 flex flex-wrap items-center gap-2">
+      <span className="flex items-center text-sm text-gray-600 mr-1">
+        <Users className="w-4 h-4 mr-1" />
+        {isRecording ? 'Who is speaking?' : 'Speakers:'}
+      </span>
+
+      {speakers.length === 0 && !isRecording && (
+        <span className="text-sm text-gray-500 italic">No speaker labels yet</span>
+      )}
+
+      {speakers.map(speaker => (
+        editingSpeaker === speaker ? (
+          <form key={speaker} onSubmit={handleRename} className="flex items-center space-x-1">
+            <input
+              autoFocus
+              value={draftName}
+              onChange={(event) => setDraftName(event.target.value)}
+              onKeyDown={(event) => event.key === 'Escape' && setEditingSpeaker(null)}
+              className="w-32 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+            <button type="submit" className="p-1 text-green-600 hover:text-green-700" title="Save name">
+              <Check size={16} />
+            </button>
+            <button type="button" onClick={() => setEditingSpeaker(null)} className="p-1 text-gray-500 hover:text-gray-700" title="Cancel">
+              <X size={16} />
+            </button>
+          </form>
+        ) : isRecording ? (
+          <button
+            key={speaker}
+            onClick={() => onSelect(activeSpeaker === speaker ? null : speaker)}
+            className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${
+              activeSpeaker === speaker
+                ? 'bg-indigo-600 text-white'
+                : 'bg-indigo-50 text-indigo-700 hover:bg-indigo-100'
+            }`}
+          >
+            {speaker}
+          </button>
+        ) : (
+          <span key={speaker} className="flex items-center px-3 py-1 rounded-full text-sm bg-indigo-50 text-indigo-700">
+            {speaker}
+            <button
+              onClick={() => {
+                setEditingSpeaker(speaker);
+                setDraftName(speaker);
+              }}
+              disabled={disabled}
+              className="ml-1 text-indigo-400 hover:text-indigo-700 disabled:opacity-50"
+              title={`Rename ${speaker}`}
+            >
+              <Pencil size={12} />
+            </button>
+          </span>
+        )
+      ))}
+
+      <button
+        onClick={onAdd}
+        disabled={disabled && !isRecording}
+        className="flex items-center px-2 py-1 text-sm text-gray-500 hover:text-indigo-600 disabled:opacity-50"
+        title="Add a speaker"
+      >
+        <UserPlus className="w-4 h-4 mr-1" />
+        Add
+      </button>
+
+      {onDetect && !isRecording && (
+        <button
+          onClick={onDetect}
+          disabled={disabled || isDetecting}
+          className="flex items-center px-2 py-1 text-sm text-gray-500 hover:text-indigo-600 disabled:opacity-50"
+          title="Identify speakers from the recording"
+        >
+          {isDetecting ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <AudioLines className="w-4 h-4 mr-1" />}
+          Detect from audio
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import { ListChecks, Plus, Pencil, Trash2, Check, X, Loader2 } from 'lucide-react';
+import { listTasks, addTask, updateTask, deleteTask, DuplicateTaskError, InvalidTaskTextError } from '../lib/taskStore';
+import { listMeetings } from '../lib/meetingStore';
+import { formatResolved, isPastDue } from '../lib/dates';
+
+export default function TaskList({ refreshKey, onOpenMeeting, disabled }) {
+  const [tasks, setTasks] = useState([]);
+  const [meetingTitles, setMeetingTitles] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [newTaskText, setNewTaskText] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [draftText, setDraftText] = useState('');
+
+  const loadTasks = async () => {
+    try {
+      const [storedTasks, meetings] = await Promise.all([listTasks(), listMeetings()]);
+      setTasks(storedTasks);
+      setMeetingTitles(Object.fromEntries(meetings.map(meeting => [meeting.id, meeting.title])));
+    } catch (err) {
+      console.error('Failed to load checklist:', err);
+      setError('Could not load your checklist from this browser.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTasks();
+  }, [refreshKey]);
+
+  // Run a store change, reload the list and turn known failures into readable messages
+  const runTaskChange = async (change) => {
+    try {
+      setError(null);
+      await change();
+      await loadTasks();
+      return true;
+    } catch (err) {
+      console.error('Checklist update failed:', err);
+      setError(err instanceof DuplicateTaskError || err instanceof InvalidTaskTextError
+        ? err.message
+        : 'Could not update the checklist. Please try again.');
+      return false;
+    }
+  };
+
+  const handleAdd = async (event) => {
+    event.preventDefault();
+    if (!newTaskText.trim()) return;
+
+    if (await runTaskChange(() => addTask({ text: newTaskText }))) {
+      setNewTaskText('');
+    }
+  };
+
+  const handleSaveEdit = async (id) => {
+    if (!draftText.trim()) return;
+
+    if (await runTaskChange(() => updateTask(id, { text: draftText }))) {
+      setEditingId(null);
+    }
+  };
+
+  const handleDelete = (task) => {
+    if (window.confirm(`Delete "${task.text}"?`)) {
+      runTaskChange(() => deleteTask(task.id));
+    }
+  };
+
+  const completedCount = tasks.filter(task => task.done).length;
+
+  const hasDeadline = (task) => task.deadline && task.deadline !== 'Not specified';
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-6 mt-8 transform transition-all duration-300 hover:shadow-2xl">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <ListChecks className="w-5 h-5 mr-2 text-indigo-600" />
+          Checklist
+        </h2>
+        {tasks.length > 0 && (
+          <span className="text-sm text-gray-500">{completedCount} of {tasks.length} done</span>
+        )}
+      </div>
+
+      <form onSubmit={handleAdd} className="flex items-center space-x-2 mb-4">
+        <input
+          value={newTaskText}
+          onChange={(event) => setNewTaskText(event.target.value)}
+          placeholder="Add a task..."
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+        <button type="submit" className="btn btn-primary flex items-center" disabled={!newTaskText.trim()}>
+          <Plus className="w-4 h-4 mr-1" />
+          Add
+        </button>
+      </form>
+
+      {error && (
+        <p className="mb-3 text-sm text-red-600">{error}</p>
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center text-gray-500">
+          <Loader2 className="animate-spin mr-2" size={16} />
+          Loading checklist...
+        </div>
+      ) : tasks.length > 0 ? (
+        <ul className="space-y-2">
+          {tasks.map(task => (
+            <li key={task.id} className="flex items-start p-3 bg-gray-50 rounded-lg">
+              <input
+                type="checkbox"
+                checked={task.done}
+                onChange={() => runTaskChange(() => updateTask(task.id, { done: !task.done }))}
+                className="mt-1 mr-3 h-4 w-4 text-indigo-600 rounded border-gray-300 focus:ring-indigo-500"
+              />
+              <div className="flex-1 min-w-0">
+                {editingId === task.id ? (
+                  <form
+                    className="flex items-center space-x-2"
+                    onSubmit={(event) => {
+                      event.preventDefault();
+                      handleSaveEdit(task.id);
+                    }}
+                  >
+                    <input
+                      autoFocus
+                      value={draftText}
+                      onChange={(event) => setDraftText(event.target.value)}
+                      onKeyDown={(event) => event.key === 'Escape' && setEditingId(null)}
+                      className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    />
+                    <button type="submit" className="p-1 text-green-600 hover:text-green-700" title="Save task">
+                      <Check size={16} />
+                    </button>
+                    <button type="button" onClick={() => setEditingId(null)} className="p-1 text-gray-500 hover:text-gray-700" title="Cancel">
+                      <X size={16} />
+                    </button>
+                  </form>
+                ) : (
+                  <p className={`font-medium ${task.done ? 'text-gray-400 line-through' : 'text-gray-900'}`}>{task.text}</p>
+                )}
+                <p className="text-sm text-gray-600">
+                  {hasDeadline(task) && (
+                    <span className={!task.done && isPastDue(task.due) ? 'text-red-600 font-medium' : ''}>
+                      Due: {task.deadline}
+                      {formatResolved(task.due) && ` (${formatResolved(task.due)})`}
+                    </span>
+                  )}
+                  {task.meetingId && (
+                    <>
+                      {hasDeadline(task) && ' · '}
+                      {meetingTitles[task.meetingId] ? (
+                        <button
+                          onClick={() => onOpenMeeting(task.meetingId)}
+                          disabled={disabled}
+                          className="text-indigo-600 hover:underline disabled:opacity-50 disabled:no-underline"
+                        >
+                          From: {meetingTitles[task.meetingId]}
+                        </button>
+                      ) : (
+                        <span className="italic">From a deleted meeting</span>
+                      )}
+                    </>
+                  )}
+                </p>
+              </div>
+              {editingId !== task.id && (
+                <div className="flex items-center space-x-1 ml-3">
+                  <button
+                    onClick={() => {
+                      setEditingId(task.id);
+                      setDraftText(task.text);
+                    }}
+                    className="p-2 text-gray-500 hover:text-indigo-600"
+                    title="Edit task"
+                  >
+                    <Pencil size={16} />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(task)}
+                    className="p-2 text-gray-500 hover:text-red-600"
+                    title="Delete task"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-500 italic">No tasks yet. Action items from your meetings will show up here.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+import React from 'react';
+import { ClipboardList } from 'lucide-react';
+import NoteList from './NoteList';
+
+// One card per section of the meeting template the results were analyzed with
+export default function TemplateSections({ template, sections }) {
+  if (!template?.sections?.length || !sections) return null;
+
+  return template.sections.map(section => {
+    const value = sections[section.id];
+    if (section.type === 'list') {
+      return (
+        <NoteList
+          key={section.id}
+          title={section.title}
+          icon={ClipboardList}
+          items={Array.isArray(value) ? value : []}
+          emptyText={`Nothing for ${section.title.toLowerCase()}`}
+        />
+      );
+    }
+
+    return (
+      <div key={section.id} className="bg-white rounded-xl shadow-xl p-6 transform transition-all duration-300 hover:shadow-2xl">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+          <ClipboardList className="w-5 h-5 mr-2 text-indigo-600" />
+          {section.title}
+        </h2>
+        {value && value !== 'Not specified' ? (
+          <p className="text-gray-700 leading-relaxed">{value}</p>
+        ) : (
+          <p className="text-gray-500 italic">Not specified</p>
+        )}
+      </div>
+    );
+  });
+}
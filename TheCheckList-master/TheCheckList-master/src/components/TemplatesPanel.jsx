@@ -0,0 +1,209 @@
+import React, { useState, useRef } from 'react';
+import { LayoutTemplate, Plus, Upload, Download, Pencil, Copy, Trash2, Check, X } from 'lucide-react';
+import { listTemplates, checkCustomTemplate, isBuiltInTemplate } from '../lib/templateStore';
+import { downloadFile, toFileName } from '../lib/download';
+
+// Starting point for a new custom template
+const NEW_TEMPLATE = {
+  id: 'my-template',
+  name: 'My template',
+  description: 'What this kind of meeting is for',
+  instructions: 'This is a weekly project sync.',
+  sections: [
+    { id: 'progress', title: 'Progress', type: 'list', description: 'What moved forward since last week', phrases: ['finished', 'shipped', 'done'] },
+    { id: 'status', title: 'Overall status', type: 'text', description: 'On track, at risk or off track, with the reason' }
+  ],
+  standardCards: ['actionItems', 'meetingDetails', 'decisions', 'risks']
+};
+
+const toJson = (template) => JSON.stringify(template, null, 2);
+
+// Built-in meeting templates, plus the user's own written or imported as JSON
+export default function TemplatesPanel({ customTemplates, onChange }) {
+  // The template being edited: { originalId, json } (originalId is null for a new one)
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const fileInputRef = useRef(null);
+
+  const startEditing = (originalId, template) => {
+    setEditing({ originalId, json: toJson(template) });
+    setErrors([]);
+  };
+
+  const cancelEditing = () => {
+    setEditing(null);
+    setErrors([]);
+  };
+
+  // Add templates, replacing custom ones with the same id (and the one being edited)
+  const addTemplates = (templates, replacedId = null) => {
+    const ids = templates.map(template => template.id);
+    onChange([
+      ...customTemplates.filter(existing => !ids.includes(existing.id) && existing.id !== replacedId),
+      ...templates
+    ]);
+  };
+
+  const parseTemplates = (json) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch (err) {
+      return { templates: [], errors: [`Not valid JSON: ${err.message}`] };
+    }
+
+    const templates = Array.isArray(parsed) ? parsed : [parsed];
+    const problems = templates.flatMap((template, index) => checkCustomTemplate(template)
+      .map(error => (templates.length > 1 ? `Template ${index + 1}: ${error}` : error)));
+    return { templates, errors: problems };
+  };
+
+  const handleSave = () => {
+    const { templates, errors: problems } = parseTemplates(editing.json);
+    if (problems.length === 0 && templates.length !== 1) {
+      problems.push('Enter one template object');
+    }
+    if (problems.length > 0) {
+      setErrors(problems);
+      return;
+    }
+
+    addTemplates(templates, editing.originalId);
+    cancelEditing();
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const { templates, errors: problems } = parseTemplates(await file.text());
+      if (problems.length > 0) {
+        setErrors(problems);
+        return;
+      }
+      setErrors([]);
+      addTemplates(templates);
+    } catch (err) {
+      console.error('Failed to read template file:', err);
+      setErrors(['Could not read that file.']);
+    }
+  };
+
+  const exportTemplate = (template) => {
+    downloadFile(toJson(template), `${toFileName(template.id, 'template')}.json`, 'application/json');
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-xl p-6 mb-8 animate-fadeIn">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <LayoutTemplate className="w-5 h-5 mr-2 text-indigo-600" />
+          Meeting Templates
+        </h2>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => fileInputRef.current.click()}
+            className="btn btn-secondary flex items-center text-sm"
+          >
+            <Upload className="w-4 h-4 mr-1" />
+            Import JSON
+          </button>
+          <button
+            onClick={() => startEditing(null, NEW_TEMPLATE)}
+            className="btn btn-primary flex items-center text-sm"
+            disabled={editing !== null}
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            New
+          </button>
+          <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+        </div>
+      </div>
+      <p className="mb-4 text-sm text-gray-600">
+        A template decides which sections are extracted from a meeting and which cards show the results. Copy a built-in
+        template to start your own.
+      </p>
+
+      {editing && (
+        <div className="mb-4">
+          <textarea
+            value={editing.json}
+            onChange={(event) => setEditing({ ...editing, json: event.target.value })}
+            rows={14}
+            spellCheck={false}
+            className="w-full px-3 py-2 font-mono text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          <div className="mt-2 flex items-center space-x-2">
+            <button onClick={handleSave} className="btn btn-primary flex items-center text-sm">
+              <Check className="w-4 h-4 mr-1" />
+              Save template
+            </button>
+            <button onClick={cancelEditing} className="btn btn-secondary flex items-center text-sm">
+              <X className="w-4 h-4 mr-1" />
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {errors.length > 0 && (
+        <ul className="mb-4 text-sm text-red-600 list-disc list-inside">
+          {errors.map((error, index) => <li key={index}>{error}</li>)}
+        </ul>
+      )}
+
+      <ul className="space-y-2">
+        {listTemplates(customTemplates).map(template => (
+          <li key={template.id} className="flex items-center p-3 bg-gray-50 rounded-lg">
+            <div className="flex-1 min-w-0">
+              <span className="font-medium text-gray-900">{template.name}</span>
+              {isBuiltInTemplate(template.id) && (
+                <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-200 text-gray-700">Built-in</span>
+              )}
+              {template.sections.length > 0 && (
+                <p className="text-sm text-gray-500 truncate">{template.sections.map(section => section.title).join(' · ')}</p>
+              )}
+            </div>
+            {isBuiltInTemplate(template.id) ? (
+              <button
+                onClick={() => startEditing(null, { ...template, id: `${template.id}-copy`, name: `${template.name} (copy)` })}
+                className="p-2 text-gray-500 hover:text-indigo-600"
+                title="Copy as a new template"
+                disabled={editing !== null}
+              >
+                <Copy size={16} />
+              </button>
+            ) : (
+              <>
+                <button
+                  onClick={() => startEditing(template.id, template)}
+                  className="p-2 text-gray-500 hover:text-indigo-600"
+                  title="Edit template"
+                  disabled={editing !== null}
+                >
+                  <Pencil size={16} />
+                </button>
+                <button
+                  onClick={() => onChange(customTemplates.filter(existing => existing.id !== template.id))}
+                  className="p-2 text-gray-500 hover:text-red-600"
+                  title="Delete template"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </>
+            )}
+            <button
+              onClick={() => exportTemplate(template)}
+              className="p-2 text-gray-500 hover:text-indigo-600"
+              title="Download as JSON"
+            >
+              <Download size={16} />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
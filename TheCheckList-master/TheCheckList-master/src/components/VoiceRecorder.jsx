@@ -1,22 +1,163 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Mic, MicOff, Loader2, AlertCircle, Clock, Calendar, ListTodo, FileText } from 'lucide-react';
-import { extractInformation } from '../lib/gemini';
+import { Mic, MicOff, Loader2, AlertCircle, Clock, Calendar, ListTodo, FileText, Settings, RotateCcw, ListPlus, CalendarPlus, Download, Pause, Play, Gavel, AlertTriangle, HelpCircle, User } from 'lucide-react';
+import { extractInformation, combineNotes, diarizeRecording, transcribeAudio, fetchProviders, AnalysisError } from '../lib/analysis';
+import { splitTranscript } from '../lib/chunking';
+import { createVoiceActivityMonitor } from '../lib/voiceActivity';
+import { mergeAnalyses } from '../lib/merge';
+import { createEngine, chooseEngine, TranscriptionEngineError, ENGINES } from '../lib/transcriptionEngines';
+import {
+  extractMeetingDetailsManually,
+  extractCalendarEventsManually,
+  extractActionItemsManually,
+  extractDecisionsManually,
+  extractRisksManually,
+  extractOpenQuestionsManually,
+  extractSectionsManually
+} from '../lib/heuristics';
+import { withAnalysisDefaults } from '../lib/schema';
+import { createId } from '../lib/db';
+import { defaultMeetingTitle, saveMeeting, getMeeting, updateMeeting } from '../lib/meetingStore';
+import { addTasksFromActionItems } from '../lib/taskStore';
+import { buildCalendar, getEventTiming } from '../lib/ics';
+import { downloadFile, toFileName } from '../lib/download';
+import { annotateResolvedDates, formatResolved, getUserTimeZone } from '../lib/dates';
+import { getLanguage, phrasePattern, monthPattern, DEFAULT_LANGUAGE } from '../lib/languages';
+import {
+  createSegment,
+  segmentsToText,
+  getMeetingSegments,
+  formatTimestamp,
+  findActiveSegmentIndex,
+  listSpeakers,
+  renameSpeaker,
+  assignSpeakers,
+  buildSpeakerTranscript,
+  isLowConfidence,
+  correctSegment,
+  withPauses,
+  formatDuration
+} from '../lib/transcript';
+import MeetingHistory from './MeetingHistory';
+import MeetingSearch from './MeetingSearch';
+import TaskList from './TaskList';
+import ReportExport from './ReportExport';
+import AudioPlayer from './AudioPlayer';
+import SettingsPanel from './SettingsPanel';
+import SpeakerBar from './SpeakerBar';
+import ImportPanel from './ImportPanel';
+import LiveNotes from './LiveNotes';
+import { loadSettings, saveSettings } from '../lib/settings';
+import { loadGlossary, saveGlossary, applyGlossary, getGlossaryHints } from '../lib/glossary';
+import GlossaryPanel from './GlossaryPanel';
+import SegmentCorrection from './SegmentCorrection';
+import NoteList from './NoteList';
+import MeetingChat from './MeetingChat';
+import TemplatesPanel from './TemplatesPanel';
+import TemplateSections from './TemplateSections';
+import { loadCustomTemplates, saveCustomTemplates, listTemplates, findTemplate } from '../lib/templateStore';
+import { showsCard } from '../lib/templates';
+import ActionItemExport from './ActionItemExport';
+import IntegrationsPanel from './IntegrationsPanel';
+import { loadFieldMappings, saveFieldMappings } from '../lib/integrationStore';
+
+// Wait for a pause in the conversation before updating live notes, but not forever
+const LIVE_ANALYSIS_DEBOUNCE_MS = 5000;
+const LIVE_ANALYSIS_MAX_WAIT_MS = 30000;
+// Warn while recording once nobody has spoken for this long
+const SILENCE_WARNING_SECONDS = 30;
+// Badge colors for action item priorities
+const PRIORITY_STYLES = {
+  high: 'bg-red-100 text-red-700',
+  medium: 'bg-yellow-100 text-yellow-700',
+  low: 'bg-gray-200 text-gray-700'
+};
 
 export default function VoiceRecorder() {
   const [isRecording, setIsRecording] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
+  const [pauses, setPauses] = useState([]);
   const [transcript, setTranscript] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
+  const [analysisProgress, setAnalysisProgress] = useState(null);
   const [error, setError] = useState(null);
+  const [analysisError, setAnalysisError] = useState(null);
   const [results, setResults] = useState(null);
   const [audioLevel, setAudioLevel] = useState(0);
+  const [isSpeaking, setIsSpeaking] = useState(false);
+  // Whether voice activity monitoring is running; silence can't be measured without it
+  const [isMonitoring, setIsMonitoring] = useState(false);
+  const [silenceSeconds, setSilenceSeconds] = useState(0);
+  const [autoPaused, setAutoPaused] = useState(false);
   const [microphoneAvailable, setMicrophoneAvailable] = useState(null);
+  const [meetingId, setMeetingId] = useState(null);
+  // Questions and answers about the meeting on screen (see MeetingChat)
+  const [chatMessages, setChatMessages] = useState([]);
+  const [meetingExports, setMeetingExports] = useState({});
+  const [meetingTitle, setMeetingTitle] = useState('');
+  const [recordedAt, setRecordedAt] = useState(null);
+  const [calendarNotice, setCalendarNotice] = useState(null);
+  const [audioBlob, setAudioBlob] = useState(null);
+  const [segments, setSegments] = useState([]);
+  const [addedSpeakers, setAddedSpeakers] = useState([]);
+  const [activeSpeaker, setActiveSpeaker] = useState(null);
+  const [isDetectingSpeakers, setIsDetectingSpeakers] = useState(false);
+  const [transcriptChanged, setTranscriptChanged] = useState(false);
+  const [correctingSegmentId, setCorrectingSegmentId] = useState(null);
+  const [isTranscribingUpload, setIsTranscribingUpload] = useState(false);
+  const [activeEngine, setActiveEngine] = useState(null);
+  const [serverTranscription, setServerTranscription] = useState(false);
+  const [liveNotes, setLiveNotes] = useState(null);
+  const [isLiveAnalyzing, setIsLiveAnalyzing] = useState(false);
+  const [liveAnalysisError, setLiveAnalysisError] = useState(null);
+  const [liveAnalysisPaused, setLiveAnalysisPaused] = useState(false);
+  const [playbackTime, setPlaybackTime] = useState(null);
+  const [settings, setSettings] = useState(loadSettings);
+  const [glossary, setGlossary] = useState(loadGlossary);
+  const [customTemplates, setCustomTemplates] = useState(loadCustomTemplates);
+  const [fieldMappings, setFieldMappings] = useState(loadFieldMappings);
+  // The template the shown results were analyzed with (null for meetings saved before templates)
+  const [meetingTemplate, setMeetingTemplate] = useState(null);
+  // The language the shown meeting was recorded in (null for new recordings and older meetings)
+  const [meetingLanguage, setMeetingLanguage] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [tasksVersion, setTasksVersion] = useState(0);
+  const [checklistSync, setChecklistSync] = useState(null);
   
   const mediaRecorderRef = useRef(null);
   const chunksRef = useRef([]);
-  const recognitionRef = useRef(null);
-  const audioContextRef = useRef(null);
-  const analyserRef = useRef(null);
+  const engineRef = useRef(null);
+  const voiceMonitorRef = useRef(null);
+  // When speech was last detected (ms) and whether any was detected in this recording
+  const lastSpeechAtRef = useRef(null);
+  const heardSpeechRef = useRef(false);
   const streamRef = useRef(null);
+  const recordingStartedAtRef = useRef(null);
+  // Pausing: when the current pause began (ms), how long earlier pauses lasted in total (ms),
+  // the pauses so far and the promise of the transcription engine stopping for the pause
+  const pausedAtRef = useRef(null);
+  const pausedTotalMsRef = useRef(0);
+  const pausesRef = useRef([]);
+  const enginePauseRef = useRef(null);
+  const autoPausedRef = useRef(false);
+  const resumingRef = useRef(false);
+  const segmentsRef = useRef([]);
+  const activeSpeakerRef = useRef(null);
+  const importedTitleRef = useRef(null);
+  // Latest glossary for the transcription engine callbacks, which outlive a render
+  const glossaryRef = useRef(glossary);
+  // Rolling analysis: how far the live notes go (segment count and recording seconds),
+  // the pending debounce timer and the AbortController of the request in flight
+  const liveProgressRef = useRef({ segmentCount: 0, until: 0, dueSince: null });
+  const liveTimerRef = useRef(null);
+  const liveAbortRef = useRef(null);
+  const audioRef = useRef(null);
+  // The meeting on screen, for answers that arrive after another meeting was opened
+  const meetingIdRef = useRef(null);
+
+  useEffect(() => {
+    meetingIdRef.current = meetingId;
+  }, [meetingId]);
 
   // Test microphone access immediately on component load
   useEffect(() => {
@@ -38,18 +179,23 @@ export default function VoiceRecorder() {
     
     testMicrophoneAccess();
     
+    // Server transcription is the fallback when browser speech recognition is missing or fails
+    fetchProviders()
+      .then(info => setServerTranscription(Boolean(info.transcription)))
+      .catch(err => console.log('Could not check for server transcription:', err));
+    
     return () => {
       // Clean up on component unmount
+      if (engineRef.current) {
+        engineRef.current.stop();
+      }
+      
       if (streamRef.current) {
         streamRef.current.getTracks().forEach(track => track.stop());
       }
       
-      if (audioContextRef.current) {
-        try {
-          audioContextRef.current.close();
-        } catch (err) {
-          console.error('Error closing audio context:', err);
-        }
+      if (voiceMonitorRef.current) {
+        voiceMonitorRef.current.close().catch(err => console.error('Error closing audio context:', err));
       }
     };
   }, []);
@@ -92,178 +238,260 @@ export default function VoiceRecorder() {
     return result.join(' ');
   };
 
-  const initializeSpeechRecognition = () => {
-    // Check for browser compatibility
-    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-      setError('Speech recognition is not supported in this browser. Please use Chrome.');
-      return null;
+  // Seconds of audio recorded so far, used to line transcript phrases up with the audio.
+  // Time spent paused isn't in the recording, so it doesn't count.
+  const getRecordingOffset = () => {
+    if (!recordingStartedAtRef.current) return 0;
+    const now = pausedAtRef.current ?? Date.now();
+    return Math.max(0, (now - recordingStartedAtRef.current.getTime() - pausedTotalMsRef.current) / 1000);
+  };
+
+  // Stop a pending or running live notes update
+  const cancelLiveAnalysis = () => {
+    clearTimeout(liveTimerRef.current);
+    liveTimerRef.current = null;
+    if (liveAbortRef.current) {
+      liveAbortRef.current.abort();
+      liveAbortRef.current = null;
     }
+    setIsLiveAnalyzing(false);
+  };
 
-    // Use the standard SpeechRecognition interface if available, otherwise use the webkit prefix
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    const recognition = new SpeechRecognition();
-    
-    // Configure recognition - balance between repetition prevention and continuous listening
-    recognition.continuous = true; // Set back to true to enable continuous listening
-    recognition.interimResults = true; // Enable interim results for more responsive UX
-    recognition.lang = 'en-US';
-    recognition.maxAlternatives = 3; // Keep higher alternatives for better accuracy
-
-    // New approach: use an array to store all recognized content
-    recognition._allTranscripts = [];
-
-    recognition.onstart = () => {
-      console.log('Speech recognition started');
-      setError(null);
-    };
+  // Update the live notes with the transcript spoken since the last update
+  const runLiveAnalysis = async () => {
+    liveTimerRef.current = null;
+    const { segmentCount } = liveProgressRef.current;
+    const newSegments = segmentsRef.current.slice(segmentCount);
+    if (newSegments.length === 0 || liveAbortRef.current) return;
 
-    recognition.onresult = (event) => {
-      console.log('Speech recognition result received', event.results);
-      
-      // Completely new approach: build the full transcript each time
-      let fullTranscript = '';
-      
-      // Get all final results
-      for (let i = 0; i < event.results.length; i++) {
-        if (event.results[i].isFinal) {
-          const text = event.results[i][0].transcript.trim();
-          if (text) {
-            // Store each result as we get it
-            recognition._allTranscripts.push(text);
-          }
-        }
-      }
-      
-      // Join all results we've collected
-      fullTranscript = recognition._allTranscripts.join(' ');
-      
-      // Apply repetition removal to the full transcript
-      const cleanedTranscript = removeRepeatedPhrases(fullTranscript);
-      console.log('Setting cleaned transcript:', cleanedTranscript);
-      
-      // Update the transcript
-      setTranscript(cleanedTranscript);
-    };
+    const transcriptSpeakers = listSpeakers(newSegments);
+    const text = transcriptSpeakers.length > 0 ? buildSpeakerTranscript(newSegments) : segmentsToText(newSegments);
+    const controller = new AbortController();
+    liveAbortRef.current = controller;
+    setIsLiveAnalyzing(true);
 
-    recognition.onerror = (event) => {
-      console.log('Speech recognition error:', event.error, event);
-      
-      // Handle different error types
-      if (event.error === 'no-speech') {
-        console.log('No speech detected, continuing...');
-        // Don't set an error for no-speech
+    try {
+      const liveResults = await extractInformation(text, {
+        transcript: text,
+        provider: settings.provider,
+        model: settings.model,
+        language: settings.language || DEFAULT_LANGUAGE,
+        speakers: transcriptSpeakers,
+        glossary,
+        template: selectedTemplate,
+        previous: liveNotes?.results,
+        signal: controller.signal
+      });
+      liveProgressRef.current = {
+        segmentCount: segmentCount + newSegments.length,
+        until: newSegments[newSegments.length - 1].end,
+        dueSince: null
+      };
+      setLiveNotes({ results: liveResults, updatedAt: new Date() });
+      setLiveAnalysisError(null);
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        console.log('Live analysis cancelled');
         return;
       }
-      
-      if (event.error === 'network') {
-        // For network errors, provide troubleshooting steps
-        console.log('Network error in speech recognition');
-        setError('Speech recognition network issue detected. This can happen even with a working internet connection. Try the following: 1) Refresh your browser 2) Try a different browser (Chrome works best) 3) Check if any browser extensions are blocking access.');
-      } else if (event.error === 'not-allowed') {
-        setError('Microphone access denied. Please allow microphone access in your browser settings and try again.');
-      } else if (event.error === 'aborted') {
-        // This is normal when stopping, don't show an error
-        console.log('Recognition aborted');
-      } else if (event.error === 'audio-capture') {
-        setError('Unable to capture audio from your microphone. Please check that your microphone is connected and working properly.');
-      } else {
-        setError(`Speech recognition error: ${event.error}. Try refreshing the page.`);
-      }
-      
-      // Only stop recording for serious errors
-      if (['not-allowed', 'audio-capture', 'service-not-allowed'].includes(event.error)) {
-        setIsRecording(false);
+      console.error('Live analysis failed:', err);
+      setLiveAnalysisError(`The live notes could not be updated: ${err.message}`);
+      // Try again once more transcript has come in
+      liveProgressRef.current = { ...liveProgressRef.current, dueSince: null };
+    } finally {
+      if (liveAbortRef.current === controller) {
+        liveAbortRef.current = null;
+        setIsLiveAnalyzing(false);
       }
-    };
+    }
+  };
 
-    recognition.onend = () => {
-      console.log('Speech recognition ended');
-      // Only try to restart if we're still in recording mode
-      if (isRecording) {
-        try {
-          // Add a delay before restarting to help prevent repetition
-          setTimeout(() => {
-            if (isRecording) {
-              recognition.start();
-              console.log('Restarted speech recognition');
-            }
-          }, 300); // 300ms delay helps reduce repetition issues
-        } catch (e) {
-          console.log('Failed to restart recognition:', e);
-          if (isRecording) {
-            setError('Speech recognition stopped unexpectedly. Please try again.');
-            setIsRecording(false);
-          }
-        }
+  // Schedule a live notes update once enough new transcript has come in
+  useEffect(() => {
+    const intervalMinutes = Number(settings.liveAnalysisMinutes);
+    if (!isRecording || isPaused || !intervalMinutes || liveAnalysisPaused || liveAbortRef.current) return;
+
+    const lastSegment = segments[segments.length - 1];
+    if (!lastSegment || lastSegment.end - liveProgressRef.current.until < intervalMinutes * 60) return;
+
+    const progress = liveProgressRef.current;
+    progress.dueSince = progress.dueSince ?? Date.now();
+    const delay = Math.min(LIVE_ANALYSIS_DEBOUNCE_MS, Math.max(0, progress.dueSince + LIVE_ANALYSIS_MAX_WAIT_MS - Date.now()));
+
+    clearTimeout(liveTimerRef.current);
+    liveTimerRef.current = setTimeout(runLiveAnalysis, delay);
+    return () => clearTimeout(liveTimerRef.current);
+  }, [segments, isRecording, isPaused, liveAnalysisPaused, isLiveAnalyzing]);
+
+  // Count the seconds since anyone spoke, while recording or paused by silence
+  useEffect(() => {
+    if (!isRecording || !isMonitoring || (isPaused && !autoPaused)) {
+      setSilenceSeconds(0);
+      return;
+    }
+    const timer = setInterval(() => {
+      setSilenceSeconds(Math.floor((Date.now() - lastSpeechAtRef.current) / 1000));
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [isRecording, isMonitoring, isPaused, autoPaused]);
+
+  // Long silences pause the recording, or end it, when those settings are on
+  useEffect(() => {
+    if (!isRecording || !isMonitoring || (isPaused && !autoPaused)) return;
+
+    const autoStopMinutes = Number(settings.autoStopSilenceMinutes);
+    if (autoStopMinutes > 0 && silenceSeconds >= autoStopMinutes * 60) {
+      console.log(`No speech for ${silenceSeconds}s, stopping the recording`);
+      handleStopRecording();
+      return;
+    }
+
+    const autoPauseSeconds = Number(settings.autoPauseSilenceSeconds);
+    if (!isPaused && autoPauseSeconds > 0 && silenceSeconds >= autoPauseSeconds) {
+      handlePauseRecording({ automatic: true });
+    }
+  }, [silenceSeconds]);
+
+  // Speech ends a pause that silence started
+  useEffect(() => {
+    if (isSpeaking && autoPaused) {
+      handleResumeRecording();
+    }
+  }, [isSpeaking, autoPaused]);
+
+  // Every final phrase from the transcription engine becomes a transcript segment
+  const handleEngineSegment = (fields) => {
+    segmentsRef.current.push(createSegment({
+      ...fields,
+      text: applyGlossary(fields.text, glossaryRef.current),
+      alternatives: (fields.alternatives || []).map(alternative => applyGlossary(alternative, glossaryRef.current)),
+      speaker: activeSpeakerRef.current
+    }));
+    setSegments([...segmentsRef.current]);
+    
+    // Join all segments we've collected and apply repetition removal to the full transcript
+    const cleanedTranscript = removeRepeatedPhrases(segmentsToText(segmentsRef.current));
+    console.log('Setting cleaned transcript:', cleanedTranscript);
+    setTranscript(cleanedTranscript);
+  };
+
+  const startEngine = (engineId, stream) => {
+    const engine = createEngine(engineId, {
+      language: settings.language || DEFAULT_LANGUAGE,
+      getOffset: getRecordingOffset,
+      onSegment: handleEngineSegment,
+      onError: setError,
+      onFailure: handleEngineFailure
+    });
+    engineRef.current = engine;
+    setActiveEngine(engineId);
+    engine.start(stream);
+    console.log('Started transcription engine:', engineId);
+  };
+
+  // When browser recognition gives up, keep recording and continue on the server
+  const handleEngineFailure = (err) => {
+    console.error('Transcription engine failed:', err);
+    const failedEngine = engineRef.current;
+
+    if (err.canFallBack && failedEngine?.id === 'webspeech' && serverTranscription && streamRef.current) {
+      setError(`${err.message} Switched to server transcription.`);
+      try {
+        startEngine('server', streamRef.current);
+        return;
+      } catch (fallbackErr) {
+        console.error('Could not start server transcription:', fallbackErr);
       }
-    };
+    }
 
-    return recognition;
+    engineRef.current = null;
+    setActiveEngine(null);
+    setError(err.canFallBack
+      ? `${err.message} Live transcription stopped, but the audio is still being recorded.`
+      : err.message);
   };
 
-  // Setup direct audio monitoring using Web Audio API
-  const setupAudioMonitoring = (stream) => {
+  // Level meter and voice activity detection, computed off the main thread
+  const setupAudioMonitoring = async (stream) => {
+    voiceMonitorRef.current?.close();
+    voiceMonitorRef.current = null;
+    setIsMonitoring(false);
+
     try {
-      console.log('Setting up audio monitoring with direct volume detection...');
-      
-      // Force cleanup of any existing audio context
-      if (audioContextRef.current) {
-        try {
-          audioContextRef.current.close();
-          audioContextRef.current = null;
-          analyserRef.current = null;
-        } catch (err) {
-          console.error('Error closing existing audio context:', err);
+      const monitor = await createVoiceActivityMonitor(stream, {
+        onUpdate: ({ level, speaking }) => {
+          setAudioLevel(level);
+          setIsSpeaking(speaking);
+          if (speaking) {
+            lastSpeechAtRef.current = Date.now();
+            heardSpeechRef.current = true;
+          }
         }
+      });
+      // Loading the worklet takes a moment: if the recording was stopped (its tracks ended) or
+      // another one started meanwhile, this monitor is stale and must not be kept
+      if (streamRef.current !== stream || !stream.active) {
+        monitor.close().catch(err => console.error('Error closing audio context:', err));
+        return;
       }
-      
-      // Create new audio context
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      audioContextRef.current = audioContext;
-
-      // Create script processor for direct volume detection
-      const scriptProcessor = audioContext.createScriptProcessor(2048, 1, 1);
-      const microphone = audioContext.createMediaStreamSource(stream);
-      
-      // Connect microphone to script processor and to destination
-      microphone.connect(scriptProcessor);
-      scriptProcessor.connect(audioContext.destination);
-      
-      // Process audio data directly
-      scriptProcessor.onaudioprocess = (event) => {
-        const input = event.inputBuffer.getChannelData(0);
-        let sum = 0;
-        
-        // Calculate RMS (root mean square) volume
-        for (let i = 0; i < input.length; i++) {
-          sum += input[i] * input[i];
-        }
-        
-        const rms = Math.sqrt(sum / input.length);
-        // Scale to a reasonable range (0-100) and amplify for better visibility
-        const volume = Math.min(100, Math.round(rms * 2000));
-        
-        console.log('Direct audio level:', volume);
-        setAudioLevel(volume);
-      };
-      
-      // Store reference for cleanup
-      analyserRef.current = scriptProcessor;
-      
-      console.log('Direct audio monitoring setup complete');
+      voiceMonitorRef.current = monitor;
+      setIsMonitoring(true);
+      console.log('Voice activity monitoring started');
     } catch (err) {
+      // Recording works without it, just with no meter or silence handling: the silence
+      // effects above stay off while isMonitoring is false
       console.error('Error setting up audio monitoring:', err);
     }
   };
 
+  // Clear everything about the current meeting before starting a new one
+  const resetMeetingState = () => {
+    setError(null);
+    setAnalysisError(null);
+    setResults(null);
+    setMeetingTemplate(null);
+    setMeetingLanguage(null);
+    setChatMessages([]);
+    setMeetingExports({});
+    setCorrectingSegmentId(null);
+    setTranscript('');
+    setAudioLevel(0);
+    setIsSpeaking(false);
+    setSilenceSeconds(0);
+    setAutoPaused(false);
+    heardSpeechRef.current = false;
+    autoPausedRef.current = false;
+    setMeetingId(null);
+    setMeetingTitle('');
+    setRecordedAt(null);
+    setCalendarNotice(null);
+    setChecklistSync(null);
+    setAudioBlob(null);
+    setSegments([]);
+    setAddedSpeakers([]);
+    selectSpeaker(null);
+    setTranscriptChanged(false);
+    setPlaybackTime(null);
+    setIsPaused(false);
+    setPauses([]);
+    chunksRef.current = [];
+    segmentsRef.current = [];
+    pausesRef.current = [];
+    pausedAtRef.current = null;
+    pausedTotalMsRef.current = 0;
+    enginePauseRef.current = null;
+    importedTitleRef.current = null;
+    cancelLiveAnalysis();
+    liveProgressRef.current = { segmentCount: 0, until: 0, dueSince: null };
+    setLiveNotes(null);
+    setLiveAnalysisError(null);
+    setLiveAnalysisPaused(false);
+  };
+
   const startRecording = async () => {
     try {
       console.log('Starting recording...');
-      setError(null);
-      setResults(null);
-      setTranscript('');
-      setAudioLevel(0);
-      chunksRef.current = [];
+      resetMeetingState();
 
       // First check if microphone is available
       if (!microphoneAvailable) {
@@ -283,25 +511,11 @@ export default function VoiceRecorder() {
         streamRef.current.getTracks().forEach(track => track.stop());
       }
       
-      // Clean up any existing recognition
-      if (recognitionRef.current) {
-        try {
-          recognitionRef.current.stop();
-          // Reset the transcript array for the new recording
-          if (recognitionRef.current._allTranscripts) {
-            recognitionRef.current._allTranscripts = [];
-          }
-        } catch (e) {
-          console.log('Error stopping existing recognition:', e);
-        }
-      }
-
-      // Create a new recognition instance with clean state
-      const recognition = initializeSpeechRecognition();
-      if (!recognition) {
-        throw new Error('Failed to initialize speech recognition');
+      // Clean up any existing transcription engine
+      if (engineRef.current) {
+        engineRef.current.stop();
+        engineRef.current = null;
       }
-      recognitionRef.current = recognition;
 
       // Request microphone with specific constraints for maximum sensitivity
       console.log('Requesting microphone access...');
@@ -337,26 +551,34 @@ export default function VoiceRecorder() {
 
       mediaRecorderRef.current = mediaRecorder;
       mediaRecorder.start(1000); // Collect data every second
+      recordingStartedAtRef.current = new Date();
+      lastSpeechAtRef.current = Date.now();
       
-      // Start speech recognition
-      console.log('Starting speech recognition...');
+      setIsRecording(true);
+      console.log('Recording started successfully');
+      
+      // Start live transcription; without any engine the audio is still recorded
+      const engineId = chooseEngine(settings.engine, { serverAvailable: serverTranscription });
+      if (!engineId) {
+        setError('Live transcription is not available in this browser. The audio is still recorded, and you can transcribe it later once server transcription is set up.');
+        return;
+      }
       try {
-        recognition.start();
-        setIsRecording(true);
-        console.log('Recording started successfully');
+        startEngine(engineId, stream);
       } catch (e) {
-        console.error('Error starting recognition:', e);
-        setError('Failed to start speech recognition. Please try again or refresh the page.');
-        setIsRecording(false);
-        
-        // Clean up on error
-        mediaRecorder.stop();
-        stream.getTracks().forEach(track => track.stop());
+        handleEngineFailure(e instanceof TranscriptionEngineError
+          ? e
+          : new TranscriptionEngineError(`Failed to start ${engineId === 'webspeech' ? 'speech recognition' : 'transcription'}: ${e.message}.`, { canFallBack: true }));
       }
 
     } catch (err) {
       console.error('Recording error:', err);
       setError(`Failed to start recording: ${err.message}. Please ensure your microphone is connected and working.`);
+      // Release the microphone; ending its tracks also discards a monitor that is still loading
+      streamRef.current?.getTracks().forEach(track => track.stop());
+      voiceMonitorRef.current?.close();
+      voiceMonitorRef.current = null;
+      setIsMonitoring(false);
       setIsRecording(false);
     }
   };
@@ -396,40 +618,157 @@ export default function VoiceRecorder() {
     return cleanedText;
   };
 
+  const handleSettingsChange = (nextSettings) => {
+    setSettings(nextSettings);
+    saveSettings(nextSettings);
+  };
+
+  const handleGlossaryChange = (nextGlossary) => {
+    glossaryRef.current = nextGlossary;
+    setGlossary(nextGlossary);
+    saveGlossary(nextGlossary);
+  };
+
+  const handleTemplatesChange = (nextTemplates) => {
+    setCustomTemplates(nextTemplates);
+    saveCustomTemplates(nextTemplates);
+  };
+
+  const handleFieldMappingsChange = (nextMappings) => {
+    setFieldMappings(nextMappings);
+    saveFieldMappings(nextMappings);
+  };
+
+  // New meetings are analyzed with the template picked under the record button
+  const selectedTemplate = findTemplate(settings.templateId, customTemplates);
+
+  // Stop the media recorder and resolve with everything it captured as a single blob
+  const stopMediaRecorder = (mediaRecorder) => new Promise((resolve) => {
+    if (mediaRecorder.state === 'inactive') {
+      resolve(null);
+      return;
+    }
+
+    mediaRecorder.onstop = () => {
+      resolve(chunksRef.current.length > 0
+        ? new Blob(chunksRef.current, { type: mediaRecorder.mimeType || 'audio/webm' })
+        : null);
+    };
+    mediaRecorder.stop();
+  });
+
+  // Hold the recording and transcription for a break; the meeting continues in the same
+  // audio file and transcript after resuming. `automatic` pauses come from silence and
+  // end by themselves when someone speaks again.
+  const handlePauseRecording = ({ automatic = false } = {}) => {
+    const mediaRecorder = mediaRecorderRef.current;
+    if (!mediaRecorder || mediaRecorder.state !== 'recording') return;
+
+    console.log(automatic ? 'Pausing recording after silence...' : 'Pausing recording...');
+    mediaRecorder.pause();
+    pausedAtRef.current = Date.now();
+    enginePauseRef.current = engineRef.current ? engineRef.current.stop() : Promise.resolve();
+    autoPausedRef.current = automatic;
+    cancelLiveAnalysis();
+    setIsPaused(true);
+    setAutoPaused(automatic);
+  };
+
+  const handleResumeRecording = async () => {
+    const mediaRecorder = mediaRecorderRef.current;
+    if (!mediaRecorder || mediaRecorder.state !== 'paused' || resumingRef.current) return;
+    resumingRef.current = true;
+
+    // Let the engine deliver the phrases from before the pause first
+    await enginePauseRef.current;
+    enginePauseRef.current = null;
+    resumingRef.current = false;
+    // Stopped while waiting
+    if (mediaRecorder.state !== 'paused') return;
+
+    const pausedMs = Date.now() - pausedAtRef.current;
+    pausesRef.current = [...pausesRef.current, { at: getRecordingOffset(), duration: pausedMs / 1000, automatic: autoPausedRef.current }];
+    setPauses(pausesRef.current);
+    pausedTotalMsRef.current += pausedMs;
+    pausedAtRef.current = null;
+    // Silence during a break taken on purpose doesn't count
+    if (!autoPausedRef.current) {
+      lastSpeechAtRef.current = Date.now();
+    }
+    autoPausedRef.current = false;
+
+    console.log('Resuming recording after', pausedMs, 'ms');
+    mediaRecorder.resume();
+    setIsPaused(false);
+    setAutoPaused(false);
+
+    const engine = engineRef.current;
+    if (engine) {
+      try {
+        engine.start(streamRef.current);
+      } catch (e) {
+        handleEngineFailure(e instanceof TranscriptionEngineError
+          ? e
+          : new TranscriptionEngineError(`Failed to resume transcription: ${e.message}.`, { canFallBack: true }));
+      }
+    }
+  };
+
   const handleStopRecording = async () => {
     if (mediaRecorderRef.current && isRecording) {
       console.log('Stopping recording...');
       
+      // The full analysis below replaces the live notes
+      cancelLiveAnalysis();
+      
+      // Stop transcription first - the server engine records from the same stream.
+      // When paused the engine is already stopping or stopped.
+      const enginePromise = enginePauseRef.current || (engineRef.current ? engineRef.current.stop() : Promise.resolve());
+      engineRef.current = null;
+      enginePauseRef.current = null;
+      // A pause right before stopping is the end of the meeting, not a gap
+      pausedAtRef.current = null;
+      autoPausedRef.current = false;
+      setIsPaused(false);
+      setAutoPaused(false);
+      voiceMonitorRef.current?.close();
+      voiceMonitorRef.current = null;
+      setIsMonitoring(false);
+      setIsSpeaking(false);
+      
       // Stop recording
-      mediaRecorderRef.current.stop();
+      const audioPromise = stopMediaRecorder(mediaRecorderRef.current);
       if (mediaRecorderRef.current.stream) {
         mediaRecorderRef.current.stream.getTracks().forEach(track => track.stop());
       }
       
-      // Stop recognition
-      if (recognitionRef.current) {
-        try {
-          recognitionRef.current.stop();
-        } catch (e) {
-          console.log('Error stopping recognition:', e);
-        }
-      }
-      
       setIsRecording(false);
       
+      // Wait for the final audio chunk so the recording can be played back and saved,
+      // and for the engine's last phrases
+      const [audioBlob] = await Promise.all([audioPromise, enginePromise]);
+      setAudioBlob(audioBlob);
+      setActiveEngine(null);
+      const finalTranscript = removeRepeatedPhrases(segmentsToText(segmentsRef.current));
+      
       // IMPORTANT FIX: Check for transcript first, regardless of audio level
       // If we have transcript text, we know speech was detected
-      if (transcript.trim()) {
+      if (finalTranscript.trim()) {
         console.log('Transcript detected, processing...');
         // Clean up the transcript to remove repetitions
-        const cleanedTranscript = cleanTranscript(transcript);
+        const cleanedTranscript = cleanTranscript(finalTranscript);
         setTranscript(cleanedTranscript);
         
+        // Label speakers from the recording first so the analysis can use them
+        if (settings.diarization && audioBlob) {
+          await detectSpeakers(audioBlob);
+        }
+        
         // Process the transcript
-        processTranscript(cleanedTranscript);
+        processTranscript(cleanedTranscript, audioBlob);
       }
       // Only check audio level if there's no transcript
-      else if (audioLevel < 1) {
+      else if (!heardSpeechRef.current) {
         console.log('No transcript and no audio detected');
         setError('No speech was detected. Please check that your microphone is working and not muted. Try speaking louder or getting closer to the microphone.');
       }
@@ -441,10 +780,11 @@ export default function VoiceRecorder() {
   };
 
   // Enhanced function to better detect calendar events and action items
-  const enhanceCalendarEvents = (text) => {
+  const enhanceCalendarEvents = (text, languageId = settings.language) => {
     if (!text) return '';
     
     console.log('Enhancing text for calendar events detection:', text);
+    const language = getLanguage(languageId);
     
     // First format the text into clear sentences
     let enhanced = text.replace(/\s+/g, ' ').trim();
@@ -455,25 +795,13 @@ export default function VoiceRecorder() {
     // Add explicit calendar event markup to make it easier for Gemini to detect
     enhanced = 'CALENDAR ANALYSIS REQUEST. ' + enhanced;
     
-    // Look for keywords that indicate calendar events
-    const eventPhrases = [
-      'meeting', 'appointment', 'call', 'conference', 'session', 'interview',  
-      'tomorrow', 'today', 'next week', 'schedule', 'calendar', 'reminder'
-    ];
-    
-    // Look for keywords that indicate action items
-    const actionPhrases = [
-      'need to', 'have to', 'must', 'should', 'will', 'going to', 
-      'task', 'todo', 'to do', 'action item', 'follow up', 'deadline'
-    ];
-    
-    // Check if any event phrases are in the text
-    const hasEventKeywords = eventPhrases.some(phrase => 
+    // Check if any event phrases (meeting, tomorrow, schedule...) are in the text
+    const hasEventKeywords = language.eventPhrases.some(phrase => 
       enhanced.toLowerCase().includes(phrase.toLowerCase())
     );
     
-    // Check if any action phrases are in the text
-    const hasActionKeywords = actionPhrases.some(phrase => 
+    // Check if any action phrases (need to, must, deadline...) are in the text
+    const hasActionKeywords = language.actionPhrases.some(phrase => 
       enhanced.toLowerCase().includes(phrase.toLowerCase())
     );
     
@@ -487,47 +815,364 @@ export default function VoiceRecorder() {
     }
     
     // Add specific formatting for dates, times and people
-    // Match dates like "tomorrow", "next Monday", "January 5th", etc.
-    enhanced = enhanced.replace(/\b(tomorrow|today|next\s+(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday))\b/gi, 'EVENT_DATE: $1');
+    // Match dates like "tomorrow", "today" and weekday names in the meeting language
+    enhanced = enhanced.replace(new RegExp(`(${phrasePattern([...language.tomorrow, ...language.today, ...language.weekdays])})`, 'giu'), 'EVENT_DATE: $1');
     
-    // Match months and dates
-    enhanced = enhanced.replace(/\b(january|february|march|april|may|june|july|august|september|october|november|december)\s+\d{1,2}(?:st|nd|rd|th)?\b/gi, 'EVENT_DATE: $&');
+    // Match month-and-day dates ("January 5th", "5 de enero", "5. Januar")
+    const months = monthPattern(language);
+    const connector = language.dayMonthConnector ? `(?:${language.dayMonthConnector}\\s+)?` : '';
+    enhanced = enhanced.replace(
+      new RegExp(`(?<![\\p{L}\\p{N}])(?:(?:${months})\\s+\\d{1,2}${language.ordinalSuffix}|\\d{1,2}${language.ordinalSuffix}\\s+${connector}(?:${months}))(?![\\p{L}\\p{N}])`, 'giu'),
+      'EVENT_DATE: $&'
+    );
     
     // Match common time formats
-    enhanced = enhanced.replace(/\b(\d{1,2}(?::\d{2})?\s*(?:am|pm))\b/gi, 'EVENT_TIME: $1');
+    enhanced = enhanced.replace(new RegExp(`(?<![\\p{L}\\p{N}])(${language.timePattern})(?![\\p{L}\\p{N}])`, 'giu'), 'EVENT_TIME: $1');
     
-    // Match people names that might be participants (common names with capital letters)
-    enhanced = enhanced.replace(/\b([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)\b/g, function(match) {
-      // Check if it's likely a name (not at the start of a sentence)
-      if (match.length > 2 && !/^(The|A|An|This|That|These|Those|It|We|I|You|He|She|They)$/.test(match)) {
-        return 'PERSON: ' + match;
-      }
-      return match;
-    });
+    // Match people names that might be participants (capitalized words, where capitals point to names)
+    if (language.capitalizedNames) {
+      enhanced = enhanced.replace(/(?<![\p{L}\p{N}])(\p{Lu}\p{Ll}+(?:\s+\p{Lu}\p{Ll}+)?)(?![\p{L}\p{N}])/gu, function(match) {
+        // Skip articles and pronouns that are capitalized at the start of a sentence
+        if (match.length > 2 && !language.nonNameWords.includes(match)) {
+          return 'PERSON: ' + match;
+        }
+        return match;
+      });
+    }
     
     console.log('Enhanced text for detection:', enhanced);
     return enhanced;
   };
 
-  const processTranscript = async (text = transcript) => {
-    const textToProcess = text || transcript;
-    if (!textToProcess.trim()) {
-      setError('No speech detected. Please try recording again.');
+  // Copy a meeting's action items into the checklist; tasks already on it are skipped
+  const syncActionItemsToChecklist = async (actionItems, id) => {
+    try {
+      const { added, skipped } = await addTasksFromActionItems(actionItems, id);
+      setChecklistSync({ added: added.length, skipped });
+      setTasksVersion(version => version + 1);
+    } catch (err) {
+      console.error('Failed to add action items to the checklist:', err);
+      setError('The action items could not be added to your checklist.');
+    }
+  };
+
+  // Store the finished meeting locally so it survives refreshes and new recordings.
+  // Re-analyzing a saved meeting updates it in place.
+  const persistMeeting = async (text, analysisResults, audioBlob, existingId = null, template = null, language = settings.language) => {
+    if (existingId) {
+      try {
+        await updateMeeting(existingId, {
+          transcript: text,
+          results: analysisResults,
+          segments: segmentsRef.current,
+          language,
+          template
+        });
+        setHistoryVersion(version => version + 1);
+        await syncActionItemsToChecklist(analysisResults.actionItems, existingId);
+      } catch (err) {
+        console.error('Failed to update meeting:', err);
+        setError('The analysis finished, but the saved meeting could not be updated.');
+      }
       return;
     }
 
-    setIsProcessing(true);
+    const recordedAt = recordingStartedAtRef.current || new Date();
+    const meeting = {
+      id: createId(),
+      title: importedTitleRef.current || defaultMeetingTitle(recordedAt),
+      createdAt: recordedAt.toISOString(),
+      timeZone: getUserTimeZone(),
+      language,
+      // A copy, so the meeting still shows its sections if the template is changed or deleted
+      template,
+      transcript: text,
+      results: analysisResults,
+      segments: segmentsRef.current,
+      pauses: pausesRef.current,
+      audio: audioBlob || null
+    };
+
+    try {
+      await saveMeeting(meeting);
+      setMeetingId(meeting.id);
+      setMeetingTitle(meeting.title);
+      setRecordedAt(meeting.createdAt);
+      setHistoryVersion(version => version + 1);
+      console.log('Saved meeting to history:', meeting.id);
+
+      await syncActionItemsToChecklist(analysisResults.actionItems, meeting.id);
+    } catch (err) {
+      console.error('Failed to save meeting:', err);
+      setError('The analysis finished, but the meeting could not be saved to your history.');
+    }
+  };
+
+  // Show a meeting from the history in place of the current results
+  const openMeeting = (meeting) => {
+    if (isRecording || isProcessing) return;
+
     setError(null);
+    setAnalysisError(null);
+    setCorrectingSegmentId(null);
+    setTranscript(meeting.transcript || '');
+    // Meetings saved before dates were resolved get them filled in on open
+    // Meetings analyzed before owners, decisions and risks were extracted get empty ones
+    const savedResults = meeting.results ? withAnalysisDefaults(meeting.results) : null;
+    setResults(savedResults && !savedResults.meetingDetails.resolved
+      ? annotateResolvedDates(savedResults, {
+        referenceDate: new Date(meeting.createdAt),
+        timeZone: meeting.timeZone || getUserTimeZone(),
+        language: meeting.language
+      })
+      : savedResults);
+    setMeetingTemplate(meeting.template || null);
+    setMeetingLanguage(meeting.language || null);
+    setChatMessages(meeting.chat || []);
+    setMeetingExports(meeting.exports || {});
+    setMeetingId(meeting.id);
+    setMeetingTitle(meeting.title);
+    setRecordedAt(meeting.createdAt);
+    setCalendarNotice(null);
+    setChecklistSync(null);
+    setAudioBlob(meeting.audio || null);
+    const meetingSegments = getMeetingSegments(meeting);
+    segmentsRef.current = meetingSegments;
+    setSegments(meetingSegments);
+    pausesRef.current = meeting.pauses || [];
+    setPauses(pausesRef.current);
+    setAddedSpeakers([]);
+    selectSpeaker(null);
+    setTranscriptChanged(false);
+    setPlaybackTime(null);
+  };
+
+  // Speakers on the transcript plus any added with the speaker buttons but not used yet
+  const speakers = [...new Set([...listSpeakers(segments), ...addedSpeakers])];
+
+  const selectSpeaker = (speaker) => {
+    activeSpeakerRef.current = speaker;
+    setActiveSpeaker(speaker);
+  };
+
+  const handleAddSpeaker = () => {
+    let number = speakers.length + 1;
+    while (speakers.includes(`Speaker ${number}`)) {
+      number++;
+    }
+    const speaker = `Speaker ${number}`;
+    setAddedSpeakers(current => [...current, speaker]);
+    if (isRecording) {
+      selectSpeaker(speaker);
+    }
+  };
+
+  // Apply a speaker change to the transcript, and to the saved meeting if there is one
+  // `changes` are other meeting fields to save along with the segments
+  const updateSegments = async (nextSegments, changes = {}) => {
+    segmentsRef.current = nextSegments;
+    setSegments(nextSegments);
+    if (results) {
+      setTranscriptChanged(true);
+    }
 
+    if (meetingId) {
+      try {
+        await updateMeeting(meetingId, { ...changes, segments: nextSegments });
+        // Keeps search in step with corrected transcripts and speakers
+        setHistoryVersion(version => version + 1);
+      } catch (err) {
+        console.error('Failed to save transcript changes:', err);
+        setError('The transcript changes could not be saved.');
+      }
+    }
+  };
+
+  // A corrected phrase replaces the recognized one everywhere, including the text the next analysis sees
+  const handleCorrectSegment = (segmentId, text) => {
+    setCorrectingSegmentId(null);
+    const nextSegments = correctSegment(segmentsRef.current, segmentId, text);
+    const nextTranscript = isRecording
+      ? removeRepeatedPhrases(segmentsToText(nextSegments))
+      : cleanTranscript(removeRepeatedPhrases(segmentsToText(nextSegments)));
+    setTranscript(nextTranscript);
+    updateSegments(nextSegments, { transcript: nextTranscript });
+  };
+
+  const handleRenameSpeaker = (from, to) => {
+    setAddedSpeakers(current => current.map(speaker => (speaker === from ? to : speaker)));
+    updateSegments(renameSpeaker(segmentsRef.current, from, to));
+  };
+
+  const handleSegmentSpeakerChange = (segmentId, speaker) => {
+    updateSegments(segmentsRef.current.map(segment => (
+      segment.id === segmentId ? { ...segment, speaker: speaker || null } : segment
+    )));
+  };
+
+  // Label unlabeled segments with the speakers the server's diarization service hears in the recording
+  const detectSpeakers = async (blob = audioBlob) => {
+    if (!blob || segmentsRef.current.length === 0) return;
+
+    setIsDetectingSpeakers(true);
     try {
-      // Add more structure to the text to help with extraction
-      const formattedText = textToProcess
-        .replace(/\bi\b/g, 'I')  // Fix capitalization
-        .replace(/\s+/g, ' ')    // Normalize spaces
-        .trim();
-      
-      // Create a more structured version that's easier for Gemini to parse
-      const structuredText = `
+      const duration = segmentsRef.current[segmentsRef.current.length - 1].end;
+      const turns = await diarizeRecording(blob, { duration });
+      console.log('Diarization turns:', turns);
+      await updateSegments(assignSpeakers(segmentsRef.current, turns));
+    } catch (err) {
+      console.error('Speaker identification failed:', err);
+      setError(`Speakers could not be identified: ${err.message}`);
+    } finally {
+      setIsDetectingSpeakers(false);
+    }
+  };
+
+  // Search results open the meeting with the matching transcript phrase highlighted
+  const openSearchResult = (meeting, time) => {
+    openMeeting(meeting);
+    if (time !== null) {
+      setPlaybackTime(time);
+    }
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  // Open the meeting a checklist task came from
+  const openMeetingById = async (id) => {
+    try {
+      const meeting = await getMeeting(id);
+      if (meeting) {
+        openMeeting(meeting);
+      }
+    } catch (err) {
+      console.error('Failed to open meeting:', err);
+      setError('Could not open that meeting.');
+    }
+  };
+
+  // Download calendar events as an .ics file, resolving relative dates against the recording date
+  const exportCalendarEvents = (events) => {
+    const title = meetingTitle || 'Meeting';
+    const { content, exported, skipped } = buildCalendar(events, {
+      recordedAt: recordedAt || new Date().toISOString(),
+      meetingTitle: title,
+      participants: results?.meetingDetails?.participants || []
+    });
+
+    if (exported === 0) {
+      setCalendarNotice('None of these events have a date that could be worked out, so nothing was exported.');
+      return;
+    }
+
+    const fileName = events.length === 1 ? `${title} - ${events[0].title}` : title;
+    downloadFile(content, `${toFileName(fileName)}.ics`, 'text/calendar;charset=utf-8');
+    setCalendarNotice(skipped.length > 0
+      ? `Exported ${exported} event${exported === 1 ? '' : 's'}. ${skipped.length} without a recognizable date ${skipped.length === 1 ? 'was' : 'were'} left out.`
+      : null);
+  };
+
+  const handleMeetingRenamed = (meeting) => {
+    if (meeting.id === meetingId) {
+      setMeetingTitle(meeting.title);
+    }
+    setTasksVersion(version => version + 1);
+    setHistoryVersion(version => version + 1);
+  };
+
+  const handleMeetingDeleted = (id) => {
+    if (id === meetingId) {
+      setMeetingId(null);
+    }
+    setTasksVersion(version => version + 1);
+    setHistoryVersion(version => version + 1);
+  };
+
+  // Jump the recording to where a transcript phrase was spoken
+  const seekAudio = (seconds) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    audio.currentTime = Math.max(0, seconds);
+    audio.play().catch(err => console.log('Playback was blocked:', err));
+  };
+
+  // The conversation is saved with the meeting it is about, even when the answer
+  // arrives after another meeting was opened
+  const handleChatChange = (chatMeetingId) => async (nextMessages) => {
+    if (chatMeetingId === meetingIdRef.current) {
+      setChatMessages(nextMessages);
+    }
+    if (!chatMeetingId) return;
+
+    try {
+      await updateMeeting(chatMeetingId, { chat: nextMessages });
+    } catch (err) {
+      console.error('Failed to save the conversation:', err);
+    }
+  };
+
+  // Exported action items are remembered with their meeting, like the conversation,
+  // so they aren't sent twice
+  const handleExportsChange = (exportMeetingId) => async (nextExports) => {
+    if (exportMeetingId === meetingIdRef.current) {
+      setMeetingExports(nextExports);
+    }
+
+    try {
+      await updateMeeting(exportMeetingId, { exports: nextExports });
+    } catch (err) {
+      console.error('Failed to save the exported action items:', err);
+    }
+  };
+
+  // Analyze a pasted or uploaded transcript as if it had just been recorded
+  const handleImportedTranscript = ({ text, segments: importedSegments, title, recordedAt: importedAt, audio = null }) => {
+    resetMeetingState();
+    importedTitleRef.current = title || null;
+    recordingStartedAtRef.current = importedAt || new Date();
+    segmentsRef.current = importedSegments;
+    setSegments(importedSegments);
+    setTranscript(text);
+    setAudioBlob(audio);
+    processTranscript(text, audio);
+  };
+
+  // Transcribe an uploaded recording on the server, then analyze it like a live one
+  const handleAudioUpload = async (file) => {
+    resetMeetingState();
+    setAudioBlob(file);
+    setIsTranscribingUpload(true);
+
+    try {
+      const { text, segments: transcribedSegments } = await transcribeAudio(file, {
+        language: settings.language,
+        fileName: file.name
+      });
+      if (!text.trim()) {
+        setError('No speech was found in that recording.');
+        return;
+      }
+
+      handleImportedTranscript({
+        text: applyGlossary(text, glossary),
+        segments: transcribedSegments.map(segment => createSegment({ ...segment, text: applyGlossary(segment.text, glossary) })),
+        title: file.name.replace(/\.[^.]+$/, ''),
+        // The file's modification time is the best guess for when the meeting happened
+        recordedAt: new Date(file.lastModified || Date.now()),
+        audio: file
+      });
+    } catch (err) {
+      console.error('Audio transcription failed:', err);
+      setError(`The recording could not be transcribed: ${err.message}`);
+    } finally {
+      setIsTranscribingUpload(false);
+    }
+  };
+
+  // Wrap a transcript (or part of one) with the hints that help the model find events
+  const buildAnalysisText = (formattedText, language) => {
+    // Create a more structured version that's easier for Gemini to parse
+    const structuredText = `
 Date: ${new Date().toLocaleDateString()}
 Transcript: ${formattedText}
 
@@ -540,12 +1185,75 @@ IMPORTANT: Please extract meeting details (date, time, participants) from the tr
 
 Please extract this information carefully.
 `;
+    
+    // Pre-process text to highlight potential calendar events for better detection
+    const enhancedText = enhanceCalendarEvents(structuredText, language);
+    console.log('Processing transcript with enhanced calendar events:', enhancedText);
+    return enhancedText;
+  };
+
+  // Long meetings don't fit in one request: analyze overlapping parts one after the
+  // other, merge their results and let the provider write one summary from theirs
+  const analyzeInChunks = async (chunks, options) => {
+    const partialResults = [];
+    for (const [index, chunk] of chunks.entries()) {
+      setAnalysisProgress({ current: index + 1, total: chunks.length });
+      console.log(`Analyzing part ${index + 1} of ${chunks.length}`);
+      partialResults.push(await extractInformation(buildAnalysisText(chunk, options.language), { ...options, transcript: chunk }));
+    }
+
+    const merged = mergeAnalyses(partialResults);
+    setAnalysisProgress({ current: chunks.length, total: chunks.length, combining: true });
+    try {
+      const combined = await combineNotes(partialResults.map(partial => partial.summary), merged.keyPoints, options);
+      return { ...merged, ...combined };
+    } catch (err) {
+      // The merged parts are still useful, just with a longer summary
+      console.error('Could not combine the notes of the parts:', err);
+      return merged;
+    }
+  };
+
+  const processTranscript = async (text = transcript, audioBlob = null, existingMeetingId = null) => {
+    const textToProcess = text || transcript;
+    if (!textToProcess.trim()) {
+      setError('No speech detected. Please try recording again.');
+      return;
+    }
+
+    setIsProcessing(true);
+    setError(null);
+    setAnalysisError(null);
+    setTranscriptChanged(false);
+
+    // A saved meeting is re-analyzed in its own language and with its own template
+    const language = (existingMeetingId && meetingLanguage) || settings.language || DEFAULT_LANGUAGE;
+    const template = (existingMeetingId && meetingTemplate) || selectedTemplate;
+    // With speaker labels, analyze a "Speaker: text" transcript so the model knows who said what
+    const transcriptSpeakers = listSpeakers(segmentsRef.current);
+    const sourceText = transcriptSpeakers.length > 0 ? buildSpeakerTranscript(segmentsRef.current) : textToProcess;
+
+    try {
+      // Add more structure to the text to help with extraction
+      let formattedText = sourceText
+        .replace(/[^\S\n]+/g, ' ')    // Normalize spaces, keeping one line per speaker
+        .trim();
+      if (getLanguage(language).id === 'en-US') {
+        formattedText = formattedText.replace(/\bi\b/g, 'I');  // Fix capitalization
+      }
       
-      // Pre-process text to highlight potential calendar events for better detection
-      const enhancedText = enhanceCalendarEvents(structuredText);
-      console.log('Processing transcript with enhanced calendar events:', enhancedText);
-      
-      const analysisResults = await extractInformation(enhancedText);
+      const analysisOptions = {
+        provider: settings.provider,
+        model: settings.model,
+        language,
+        speakers: transcriptSpeakers,
+        glossary,
+        template
+      };
+      const chunks = splitTranscript(formattedText);
+      const analysisResults = chunks.length > 1
+        ? await analyzeInChunks(chunks, analysisOptions)
+        : await extractInformation(buildAnalysisText(formattedText, language), { ...analysisOptions, transcript: formattedText });
       
       // Check if we got results
       if (analysisResults) {
@@ -556,7 +1264,7 @@ Please extract this information carefully.
           console.log('No calendar events detected, checking for manual extraction');
           
           // Try manual extraction for common patterns
-          const manualEvents = extractCalendarEventsManually(formattedText);
+          const manualEvents = extractCalendarEventsManually(formattedText, language);
           if (manualEvents.length > 0) {
             analysisResults.calendarEvents = manualEvents;
             console.log('Manually extracted calendar events:', manualEvents);
@@ -564,7 +1272,7 @@ Please extract this information carefully.
         }
         
         // Process meeting details - always extract manually first to ensure better results
-        const meetingDetails = extractMeetingDetailsManually(formattedText);
+        const meetingDetails = extractMeetingDetailsManually(formattedText, language, getGlossaryHints(glossary));
         console.log('Manually extracted meeting details:', meetingDetails);
         
         // FIRST - use calendar events to ensure consistency
@@ -616,161 +1324,62 @@ Please extract this information carefully.
           console.log('No action items detected, checking for manual extraction');
           
           // Try manual extraction for common action item patterns
-          const manualActions = extractActionItemsManually(formattedText);
+          const manualActions = extractActionItemsManually(formattedText, language);
           if (manualActions.length > 0) {
             analysisResults.actionItems = manualActions;
             console.log('Manually extracted action items:', manualActions);
           }
         }
+
+        // Same for decisions, risks and open questions
+        const manualNotes = {
+          decisions: extractDecisionsManually,
+          risks: extractRisksManually,
+          openQuestions: extractOpenQuestionsManually
+        };
+        Object.entries(manualNotes).forEach(([field, extract]) => {
+          if (!analysisResults[field] || analysisResults[field].length === 0) {
+            analysisResults[field] = extract(formattedText, language);
+            console.log(`Manually extracted ${field}:`, analysisResults[field]);
+          }
+        });
+
+        // And for the template's sections the provider left empty
+        if (template.sections.length > 0) {
+          const manualSections = extractSectionsManually(formattedText, template);
+          analysisResults.sections = Object.fromEntries(template.sections.map(section => {
+            const value = analysisResults.sections?.[section.id];
+            const isEmpty = section.type === 'list' ? !value || value.length === 0 : !value || value === 'Not specified';
+            return [section.id, isEmpty ? manualSections[section.id] : value];
+          }));
+        }
+        
+        // Turn spoken dates like "next friday" into real dates, relative to when the meeting was
+        // recorded: a re-analyzed meeting keeps its own date, not that of the last recording
+        const resultsWithDates = annotateResolvedDates(analysisResults, {
+          referenceDate: existingMeetingId && recordedAt ? new Date(recordedAt) : recordingStartedAtRef.current || new Date(),
+          timeZone: getUserTimeZone(),
+          language
+        });
         
-        setResults(analysisResults);
+        setResults(resultsWithDates);
+        setMeetingTemplate(template);
+        setMeetingLanguage(language);
+        await persistMeeting(textToProcess, resultsWithDates, audioBlob, existingMeetingId, template, language);
       } else {
-        setError('Failed to analyze the transcript. Please try again.');
+        setAnalysisError({ message: 'The analysis server returned no results.', details: [] });
       }
     } catch (err) {
       console.error('Analysis error:', err);
-      setError('Failed to analyze the transcript. Please try again.');
+      setAnalysisError(err instanceof AnalysisError
+        ? { message: err.message, details: err.details }
+        : { message: 'Failed to analyze the transcript. Please try again.', details: [] });
     } finally {
       setIsProcessing(false);
+      setAnalysisProgress(null);
     }
   };
 
-  // New function to extract meeting details manually
-  const extractMeetingDetailsManually = (text) => {
-    // Default values
-    const meetingDetails = {
-      date: 'Not specified',
-      time: 'Not specified',
-      participants: ['Unspecified participants']
-    };
-    
-    // Extract date with improved handling for "tomorrow"
-    const tomorrowMatch = text.match(/\btomorrow\b/i);
-    const todayMatch = text.match(/\btoday\b/i);
-    const dayMatch = text.match(/\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/i);
-    const dateMatch = text.match(/\b(\d{1,2}(?:st|nd|rd|th)?\s+(?:of\s+)?(?:january|february|march|april|may|june|july|august|september|october|november|december))\b/i);
-    
-    if (tomorrowMatch) {
-      // Calculate tomorrow's date in the same format as calendar events
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      // Format as M/D/YYYY to match calendar events section
-      meetingDetails.date = `${tomorrow.getMonth() + 1}/${tomorrow.getDate()}/${tomorrow.getFullYear()}`;
-    } else if (todayMatch) {
-      // Format as M/D/YYYY to match calendar events section
-      const today = new Date();
-      meetingDetails.date = `${today.getMonth() + 1}/${today.getDate()}/${today.getFullYear()}`;
-    } else if (dayMatch) {
-      meetingDetails.date = dayMatch[1].charAt(0).toUpperCase() + dayMatch[1].slice(1);
-    } else if (dateMatch) {
-      meetingDetails.date = dateMatch[1];
-    }
-    
-    // Extract time with improved pattern matching
-    const timeMatch = text.match(/\b(\d{1,2}(?::\d{2})?\s*(?:am|pm))\b/i);
-    if (timeMatch) {
-      meetingDetails.time = timeMatch[1];
-    }
-    
-    // Extract participants
-    const withMatch = text.match(/\bwith\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/);
-    const andMatch = text.match(/\band\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/);
-    
-    const participants = [];
-    
-    if (withMatch) {
-      participants.push(withMatch[1]);
-    }
-    
-    if (andMatch) {
-      participants.push(andMatch[1]);
-    }
-    
-    // Look for any capitalized names (likely people)
-    const nameMatches = text.match(/\b[A-Z][a-z]+\b/g);
-    if (nameMatches) {
-      // Filter out common words that start with capitals but aren't names
-      const commonWords = ['I', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday', 
-                         'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 
-                         'September', 'October', 'November', 'December', 'The', 'A', 'An'];
-      
-      nameMatches.forEach(name => {
-        if (!commonWords.includes(name) && !participants.includes(name)) {
-          participants.push(name);
-        }
-      });
-    }
-    
-    if (participants.length > 0) {
-      meetingDetails.participants = participants;
-    }
-    
-    return meetingDetails;
-  };
-
-  // Fallback function to extract calendar events manually if Gemini fails
-  const extractCalendarEventsManually = (text) => {
-    const events = [];
-    
-    // Check for meeting + tomorrow pattern
-    const tomorrowMatch = text.match(/\b(meeting|appointment|call)\b.+?\btomorrow\b/i);
-    if (tomorrowMatch) {
-      // Look for time
-      const timeMatch = text.match(/\b(\d{1,2}(?::\d{2})?\s*(?:am|pm))\b/i);
-      const time = timeMatch ? timeMatch[1] : 'Not specified';
-      
-      events.push({
-        title: 'Meeting',
-        date: 'Tomorrow',
-        time: time
-      });
-    }
-    
-    // Check for specific days
-    const dayMatch = text.match(/\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/i);
-    if (dayMatch) {
-      const timeMatch = text.match(/\b(\d{1,2}(?::\d{2})?\s*(?:am|pm))\b/i);
-      const time = timeMatch ? timeMatch[1] : 'Not specified';
-      
-      events.push({
-        title: 'Meeting',
-        date: dayMatch[1].charAt(0).toUpperCase() + dayMatch[1].slice(1),
-        time: time
-      });
-    }
-    
-    return events;
-  };
-
-  // Fallback function to extract action items manually if Gemini fails
-  const extractActionItemsManually = (text) => {
-    const actions = [];
-    
-    // Look for "need to", "have to", etc. followed by a verb
-    const needToMatches = text.match(/\b(need to|have to|must|should) ([a-z]+\s.+?)(?:\.|,|\band\b|$)/gi);
-    if (needToMatches) {
-      needToMatches.forEach(match => {
-        actions.push({
-          task: match.trim(),
-          deadline: 'Not specified'
-        });
-      });
-    }
-    
-    // Look for "bring" instructions
-    const bringMatches = text.match(/\bbring\s.+?(?:\.|,|\band\b|$)/gi);
-    if (bringMatches) {
-      bringMatches.forEach(match => {
-        actions.push({
-          task: match.trim(),
-          deadline: 'Not specified'
-        });
-      });
-    }
-    
-    return actions;
-  };
-
   // Updated audio level color function for more sensitivity
   const getAudioLevelColor = (level) => {
     if (level < 1) return 'bg-gray-400'; // No audio
@@ -780,21 +1389,15 @@ Please extract this information carefully.
   };
 
   // Updated audio level message for more helpful feedback
-  const getAudioLevelMessage = (level) => {
+  const getAudioLevelMessage = (level, speaking) => {
+    if (speaking) return 'Speech detected';
     if (level < 1) return 'No audio detected - please check your microphone';
     if (level < 3) return 'Low audio - please speak louder';
     if (level < 10) return 'Audio detected';
     return 'Good audio level';
   };
 
-  if (!('webkitSpeechRecognition' in window)) {
-    return (
-      <div className="flex items-center justify-center p-6 bg-red-50 text-red-700 rounded-xl border border-red-200">
-        <AlertCircle className="w-5 h-5 mr-2" />
-        <p>Your browser doesn't support speech recognition. Please try a modern browser like Chrome.</p>
-      </div>
-    );
-  }
+  const activeSegmentIndex = findActiveSegmentIndex(segments, playbackTime);
 
   return (
     <div className="w-full max-w-4xl mx-auto">
@@ -814,22 +1417,59 @@ Please extract this information carefully.
             onClick={isRecording ? handleStopRecording : startRecording}
             className={`p-6 rounded-full shadow-lg ${
               isRecording 
-                ? 'bg-red-500 hover:bg-red-600 animate-pulse' 
+                ? `bg-red-500 hover:bg-red-600 ${isPaused ? '' : 'animate-pulse'}` 
                 : 'bg-indigo-600 hover:bg-indigo-700'
             } text-white transition-all transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed`}
             disabled={isProcessing}
           >
             {isRecording ? <MicOff size={32} /> : <Mic size={32} />}
           </button>
-          {isRecording && (
+          {isRecording && !isPaused && (
             <div className="absolute -top-2 -right-2 w-4 h-4 bg-red-500 rounded-full animate-ping" />
           )}
         </div>
         <p className="mt-4 text-sm font-medium text-gray-600">
-          {isRecording ? 'Tap to stop recording' : 'Tap to start recording'}
+          {autoPaused ? 'Paused - waiting for someone to speak' : isPaused ? 'Paused - nothing is being recorded' : isRecording ? 'Tap to stop recording' : 'Tap to start recording'}
         </p>
-        
         {isRecording && (
+          <button
+            onClick={isPaused ? handleResumeRecording : () => handlePauseRecording()}
+            className="mt-2 btn btn-secondary flex items-center text-sm"
+            title={isPaused ? 'Continue this meeting' : 'Take a break without ending the meeting'}
+          >
+            {isPaused ? <Play className="w-4 h-4 mr-1" /> : <Pause className="w-4 h-4 mr-1" />}
+            {isPaused ? 'Resume' : 'Pause'}
+          </button>
+        )}
+        {!isRecording && (
+          <label className="mt-3 flex items-center text-sm text-gray-600">
+            Meeting type
+            <select
+              value={selectedTemplate.id}
+              onChange={(event) => handleSettingsChange({ ...settings, templateId: event.target.value })}
+              disabled={isProcessing}
+              className="ml-2 px-2 py-1 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            >
+              {listTemplates(customTemplates).map(template => (
+                <option key={template.id} value={template.id}>{template.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        {isRecording && !isPaused && activeEngine && (
+          <p className="mt-1 text-xs text-gray-500">
+            Transcribing with {ENGINES.find(engine => engine.id === activeEngine).label.toLowerCase()}
+          </p>
+        )}
+        <button
+          onClick={() => setShowSettings(show => !show)}
+          className="mt-2 flex items-center text-sm text-gray-500 hover:text-indigo-600 transition-colors"
+        >
+          <Settings className="w-4 h-4 mr-1" />
+          {showSettings ? 'Hide settings' : 'Settings'}
+        </button>
+        
+        {isRecording && (!isPaused || autoPaused) && (
           <div className="mt-4 w-full max-w-xs">
             <div className="h-4 bg-gray-200 rounded-full overflow-hidden shadow-inner">
               <div 
@@ -839,16 +1479,43 @@ Please extract this information carefully.
             </div>
             <div className="flex justify-between mt-1">
               <p className={`text-xs ${audioLevel < 1 ? 'text-red-500 font-medium' : 'text-gray-500'}`}>
-                {getAudioLevelMessage(audioLevel)}
+                {getAudioLevelMessage(audioLevel, isSpeaking)}
               </p>
               <p className="text-xs text-gray-500">
                 Level: {Math.round(audioLevel)}
               </p>
             </div>
+            {(autoPaused || silenceSeconds >= SILENCE_WARNING_SECONDS) && (
+              <p className="mt-2 p-2 text-xs text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg">
+                {autoPaused
+                  ? 'Paused because nobody is speaking. Recording continues when someone speaks.'
+                  : `No speech detected for ${formatDuration(silenceSeconds)}.`}
+                {Number(settings.autoStopSilenceMinutes) > 0 &&
+                  ` The recording stops after ${settings.autoStopSilenceMinutes} min of silence.`}
+              </p>
+            )}
           </div>
         )}
       </div>
 
+      {showSettings && (
+        <>
+          <SettingsPanel settings={settings} onChange={handleSettingsChange} />
+          <GlossaryPanel glossary={glossary} onChange={handleGlossaryChange} />
+          <TemplatesPanel customTemplates={customTemplates} onChange={handleTemplatesChange} />
+          <IntegrationsPanel mappings={fieldMappings} onChange={handleFieldMappingsChange} />
+        </>
+      )}
+
+      {!isRecording && (
+        <ImportPanel
+          onTranscript={handleImportedTranscript}
+          onAudio={handleAudioUpload}
+          isTranscribing={isTranscribingUpload}
+          disabled={isProcessing || isTranscribingUpload}
+        />
+      )}
+
       {error && (
         <div className="mb-8 p-4 bg-red-50 text-red-700 rounded-xl border border-red-200 flex items-center animate-fadeIn">
           <AlertCircle className="w-5 h-5 mr-2 flex-shrink-0" />
@@ -861,109 +1528,389 @@ Please extract this information carefully.
           <FileText className="w-5 h-5 mr-2 text-indigo-600" />
           Live Transcript
         </h2>
+        {(isRecording || segments.length > 0) && (
+          <SpeakerBar
+            speakers={speakers}
+            activeSpeaker={activeSpeaker}
+            isRecording={isRecording}
+            onSelect={selectSpeaker}
+            onAdd={handleAddSpeaker}
+            onRename={handleRenameSpeaker}
+            onDetect={audioBlob ? () => detectSpeakers() : null}
+            isDetecting={isDetectingSpeakers}
+            disabled={isProcessing}
+          />
+        )}
+        {transcriptChanged && results && !isProcessing && !isRecording && (
+          <div className="mb-4 p-3 bg-indigo-50 rounded-lg flex items-center justify-between">
+            <p className="text-sm text-indigo-800">The transcript or its speaker labels changed since this meeting was analyzed.</p>
+            <button
+              onClick={() => processTranscript(transcript, audioBlob, meetingId)}
+              className="flex items-center text-sm font-medium text-indigo-700 hover:text-indigo-900"
+            >
+              <RotateCcw className="w-4 h-4 mr-1" />
+              Re-analyze
+            </button>
+          </div>
+        )}
+        {!isRecording && (
+          <AudioPlayer
+            blob={audioBlob}
+            audioRef={audioRef}
+            fileName={meetingTitle || 'meeting-recording'}
+            onTimeUpdate={setPlaybackTime}
+          />
+        )}
         <div className={`min-h-[100px] bg-gray-50 rounded-lg p-4 transition-all duration-300 ${
           isRecording ? 'border-2 border-indigo-500' : 'border border-gray-200'
         }`}>
-          <p className="text-gray-700 whitespace-pre-wrap">
-            {transcript || 'Start speaking to see the transcript...'}
-          </p>
+          {segments.length > 0 ? (
+            <ol className="space-y-1">
+              {withPauses(segments, pauses).map(({ segment, index, pause }) => {
+                if (pause) {
+                  return (
+                    <li key={`pause-${pause.at}`} className="flex items-center my-2 text-xs text-gray-400 italic">
+                      <span className="flex-1 border-t border-dashed border-gray-300" />
+                      <span className="px-2 flex items-center">
+                        <Pause className="w-3 h-3 mr-1" />
+                        Paused for {formatDuration(pause.duration)}{pause.automatic ? ' (silence)' : ''}
+                      </span>
+                      <span className="flex-1 border-t border-dashed border-gray-300" />
+                    </li>
+                  );
+                }
+                const canSeek = !isRecording && Boolean(audioBlob);
+                const lowConfidence = isLowConfidence(segment);
+                return (
+                  <React.Fragment key={segment.id}>
+                    <li
+                      onClick={canSeek ? () => seekAudio(segment.start) : undefined}
+                      title={canSeek ? `Play from ${formatTimestamp(segment.start)}` : undefined}
+                      className={`flex items-baseline rounded px-1 transition-colors ${
+                        canSeek ? 'cursor-pointer' : ''
+                      } ${
+                        !isRecording && index === activeSegmentIndex ? 'bg-indigo-100 text-indigo-900' : canSeek ? 'hover:bg-indigo-50' : ''
+                      }`}
+                    >
+                      <span className="w-16 flex-shrink-0 font-mono text-xs text-gray-500">
+                        {formatTimestamp(segment.start)}
+                      </span>
+                      {!isRecording && speakers.length > 0 ? (
+                        <select
+                          value={segment.speaker || ''}
+                          onClick={(event) => event.stopPropagation()}
+                          onChange={(event) => handleSegmentSpeakerChange(segment.id, event.target.value)}
+                          disabled={isProcessing}
+                          className="mr-2 w-28 flex-shrink-0 bg-transparent text-xs font-medium text-indigo-700 border-none focus:outline-none focus:ring-1 focus:ring-indigo-500 rounded"
+                          title="Change speaker"
+                        >
+                          <option value="">No speaker</option>
+                          {speakers.map(speaker => (
+                            <option key={speaker} value={speaker}>{speaker}</option>
+                          ))}
+                        </select>
+                      ) : segment.speaker && (
+                        <span className="mr-2 w-28 flex-shrink-0 truncate text-xs font-medium text-indigo-700">{segment.speaker}</span>
+                      )}
+                      <span
+                        onClick={lowConfidence && !isProcessing ? (event) => {
+                          event.stopPropagation();
+                          setCorrectingSegmentId(segment.id);
+                        } : undefined}
+                        onDoubleClick={isProcessing ? undefined : () => setCorrectingSegmentId(segment.id)}
+                        title={lowConfidence ? 'The recognizer was unsure here - click to check' : 'Double-click to correct'}
+                        className={`leading-relaxed ${lowConfidence
+                          ? 'text-gray-900 bg-yellow-100 rounded px-0.5 underline decoration-dotted decoration-yellow-600 cursor-pointer'
+                          : 'text-gray-700'}`}
+                      >
+                        {segment.text}
+                      </span>
+                    </li>
+                    {correctingSegmentId === segment.id && (
+                      <li className="pl-16">
+                        <SegmentCorrection
+                          segment={segment}
+                          onSave={(text) => handleCorrectSegment(segment.id, text)}
+                          onCancel={() => setCorrectingSegmentId(null)}
+                        />
+                      </li>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </ol>
+          ) : (
+            <p className="text-gray-700 whitespace-pre-wrap">
+              {transcript || 'Start speaking to see the transcript...'}
+            </p>
+          )}
         </div>
       </div>
 
+      {isRecording && Number(settings.liveAnalysisMinutes) > 0 && (
+        <LiveNotes
+          notes={liveNotes}
+          isAnalyzing={isLiveAnalyzing}
+          error={liveAnalysisError}
+          paused={liveAnalysisPaused}
+          intervalMinutes={Number(settings.liveAnalysisMinutes)}
+          onPause={() => {
+            cancelLiveAnalysis();
+            setLiveAnalysisPaused(true);
+          }}
+          onResume={() => setLiveAnalysisPaused(false)}
+        />
+      )}
+
+      {analysisError && !isProcessing && (
+        <div className="mb-8 p-4 bg-red-50 text-red-700 rounded-xl border border-red-200 animate-fadeIn">
+          <div className="flex items-start">
+            <AlertCircle className="w-5 h-5 mr-2 mt-0.5 flex-shrink-0" />
+            <div className="flex-1">
+              <p className="font-medium">The transcript could not be analyzed</p>
+              <p className="text-sm">{analysisError.message}</p>
+              {analysisError.details.length > 0 && (
+                <ul className="mt-2 text-xs font-mono list-disc list-inside space-y-0.5">
+                  {analysisError.details.slice(0, 8).map((detail, index) => (
+                    <li key={index}>{detail}</li>
+                  ))}
+                  {analysisError.details.length > 8 && (
+                    <li>...and {analysisError.details.length - 8} more</li>
+                  )}
+                </ul>
+              )}
+            </div>
+            <button
+              onClick={() => processTranscript(transcript, audioBlob, meetingId)}
+              disabled={!transcript.trim()}
+              className="ml-3 flex items-center text-sm font-medium text-red-700 hover:text-red-900 disabled:opacity-50"
+            >
+              <RotateCcw className="w-4 h-4 mr-1" />
+              Retry
+            </button>
+          </div>
+        </div>
+      )}
+
       {isProcessing && (
-        <div className="flex items-center justify-center py-8">
-          <Loader2 className="animate-spin mr-2 text-indigo-600" size={24} />
-          <span className="text-gray-700 font-medium">Processing your conversation...</span>
+        <div className="flex flex-col items-center justify-center py-8">
+          <div className="flex items-center">
+            <Loader2 className="animate-spin mr-2 text-indigo-600" size={24} />
+            <span className="text-gray-700 font-medium">
+              {!analysisProgress
+                ? 'Processing your conversation...'
+                : analysisProgress.combining
+                  ? `Combining the notes of ${analysisProgress.total} parts...`
+                  : `Analyzing part ${analysisProgress.current} of ${analysisProgress.total}...`}
+            </span>
+          </div>
+          {analysisProgress && (
+            <div className="mt-3 w-64 h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-indigo-600 transition-all duration-300"
+                style={{ width: `${((analysisProgress.combining ? analysisProgress.total : analysisProgress.current - 1) / analysisProgress.total) * 100}%` }}
+              />
+            </div>
+          )}
         </div>
       )}
 
       {results && (
         <div className="space-y-8 animate-fadeIn">
-          <div className="bg-white rounded-xl shadow-xl p-6 transform transition-all duration-300 hover:shadow-2xl">
-            <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
-              <ListTodo className="w-5 h-5 mr-2 text-indigo-600" />
-              Action Items
-            </h2>
-            {results.actionItems.length > 0 ? (
-              <ul className="space-y-3">
-                {results.actionItems.map((item, index) => (
-                  <li key={index} className="flex items-start p-3 bg-gray-50 rounded-lg">
-                    <div className="flex-1">
-                      <p className="font-medium text-gray-900">{item.task}</p>
-                      <p className="text-sm text-gray-600">Due: {item.deadline}</p>
-                    </div>
-                  </li>
-                ))}
-              </ul>
-            ) : (
-              <p className="text-gray-500 italic">No action items detected</p>
-            )}
-          </div>
+          <ReportExport
+            report={{
+              title: meetingTitle || defaultMeetingTitle(recordedAt ? new Date(recordedAt) : new Date()),
+              recordedAt: recordedAt || new Date().toISOString(),
+              timeZone: results.meetingDetails.resolved?.timeZone || getUserTimeZone(),
+              results,
+              transcript,
+              segments,
+              template: meetingTemplate
+            }}
+          />
 
-          <div className="bg-white rounded-xl shadow-xl p-6 transform transition-all duration-300 hover:shadow-2xl">
-            <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
-              <Clock className="w-5 h-5 mr-2 text-indigo-600" />
-              Meeting Details
-            </h2>
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-              <div className="p-3 bg-gray-50 rounded-lg">
-                <p className="text-sm text-gray-600">Date</p>
-                <p className="font-medium text-gray-900">{results.meetingDetails.date}</p>
-              </div>
-              <div className="p-3 bg-gray-50 rounded-lg">
-                <p className="text-sm text-gray-600">Time</p>
-                <p className="font-medium text-gray-900">{results.meetingDetails.time}</p>
+          <TemplateSections template={meetingTemplate} sections={results.sections} />
+
+          {showsCard(meetingTemplate, 'actionItems') && (
+            <div className="bg-white rounded-xl shadow-xl p-6 transform transition-all duration-300 hover:shadow-2xl">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                  <ListTodo className="w-5 h-5 mr-2 text-indigo-600" />
+                  Action Items
+                </h2>
+                {meetingId && results.actionItems.length > 0 && (
+                  <button
+                    onClick={() => syncActionItemsToChecklist(results.actionItems, meetingId)}
+                    className="flex items-center text-sm text-indigo-600 hover:text-indigo-800"
+                  >
+                    <ListPlus className="w-4 h-4 mr-1" />
+                    Add to checklist
+                  </button>
+                )}
               </div>
-              <div className="p-3 bg-gray-50 rounded-lg">
-                <p className="text-sm text-gray-600">Participants</p>
-                <p className="font-medium text-gray-900">
-                  {results.meetingDetails.participants.join(', ')}
+              {checklistSync && (
+                <p className="mb-3 text-sm text-gray-600">
+                  {checklistSync.added} added to your checklist
+                  {checklistSync.skipped > 0 && `, ${checklistSync.skipped} already on it`}
                 </p>
+              )}
+              {results.actionItems.length > 0 ? (
+                <ul className="space-y-3">
+                  {results.actionItems.map((item, index) => (
+                    <li key={index} className="flex items-start p-3 bg-gray-50 rounded-lg">
+                      <div className="flex-1">
+                        <div className="flex items-start justify-between">
+                          <p className={`font-medium ${item.status === 'done' ? 'text-gray-500 line-through' : 'text-gray-900'}`}>{item.task}</p>
+                          {item.priority && (
+                            <span className={`ml-2 flex-shrink-0 px-2 py-0.5 text-xs rounded-full ${PRIORITY_STYLES[item.priority] || PRIORITY_STYLES.medium}`}>
+                              {item.priority}
+                            </span>
+                          )}
+                        </div>
+                        <p className="text-sm text-gray-600">
+                          Due: {item.deadline}
+                          {formatResolved(item.resolved) && ` (${formatResolved(item.resolved)})`}
+                        </p>
+                        <p className="flex items-center text-sm text-gray-600">
+                          <User className="w-3 h-3 mr-1" />
+                          {item.assignee || 'Unassigned'}
+                          {item.status && item.status !== 'open' && (
+                            <span className="ml-2 text-gray-500">· {item.status}</span>
+                          )}
+                        </p>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-gray-500 italic">No action items detected</p>
+              )}
+            </div>
+          )}
+
+          {showsCard(meetingTemplate, 'actionItems') && meetingId && results.actionItems.length > 0 && (
+            <ActionItemExport
+              key={meetingId}
+              actionItems={results.actionItems}
+              meeting={{ title: meetingTitle, recordedAt }}
+              exports={meetingExports}
+              onExportsChange={handleExportsChange(meetingId)}
+              mappings={fieldMappings}
+              disabled={isProcessing}
+            />
+          )}
+
+          {showsCard(meetingTemplate, 'meetingDetails') && (
+            <div className="bg-white rounded-xl shadow-xl p-6 transform transition-all duration-300 hover:shadow-2xl">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+                <Clock className="w-5 h-5 mr-2 text-indigo-600" />
+                Meeting Details
+              </h2>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="p-3 bg-gray-50 rounded-lg">
+                  <p className="text-sm text-gray-600">Date</p>
+                  <p className="font-medium text-gray-900">{results.meetingDetails.date}</p>
+                  {results.meetingDetails.resolved?.date && (
+                    <p className="text-xs text-gray-500">{formatResolved({ ...results.meetingDetails.resolved, time: null })}</p>
+                  )}
+                </div>
+                <div className="p-3 bg-gray-50 rounded-lg">
+                  <p className="text-sm text-gray-600">Time</p>
+                  <p className="font-medium text-gray-900">{results.meetingDetails.time}</p>
+                </div>
+                <div className="p-3 bg-gray-50 rounded-lg">
+                  <p className="text-sm text-gray-600">Participants</p>
+                  <p className="font-medium text-gray-900">
+                    {results.meetingDetails.participants.join(', ')}
+                  </p>
+                </div>
               </div>
             </div>
-          </div>
+          )}
 
-          <div className="bg-white rounded-xl shadow-xl p-6 transform transition-all duration-300 hover:shadow-2xl">
-            <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
-              <FileText className="w-5 h-5 mr-2 text-indigo-600" />
-              Key Points
-            </h2>
-            {results.keyPoints.length > 0 ? (
-              <ul className="space-y-2">
-                {results.keyPoints.map((point, index) => (
-                  <li key={index} className="flex items-start">
-                    <span className="flex-shrink-0 w-6 h-6 flex items-center justify-center bg-indigo-100 text-indigo-600 rounded-full mr-2">
-                      {index + 1}
-                    </span>
-                    <p className="text-gray-700">{point}</p>
-                  </li>
-                ))}
-              </ul>
-            ) : (
-              <p className="text-gray-500 italic">No key points detected</p>
-            )}
-          </div>
+          {showsCard(meetingTemplate, 'keyPoints') && (
+            <div className="bg-white rounded-xl shadow-xl p-6 transform transition-all duration-300 hover:shadow-2xl">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+                <FileText className="w-5 h-5 mr-2 text-indigo-600" />
+                Key Points
+              </h2>
+              {results.keyPoints.length > 0 ? (
+                <ul className="space-y-2">
+                  {results.keyPoints.map((point, index) => (
+                    <li key={index} className="flex items-start">
+                      <span className="flex-shrink-0 w-6 h-6 flex items-center justify-center bg-indigo-100 text-indigo-600 rounded-full mr-2">
+                        {index + 1}
+                      </span>
+                      <p className="text-gray-700">{point}</p>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-gray-500 italic">No key points detected</p>
+              )}
+            </div>
+          )}
 
-          <div className="bg-white rounded-xl shadow-xl p-6 transform transition-all duration-300 hover:shadow-2xl">
-            <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
-              <Calendar className="w-5 h-5 mr-2 text-indigo-600" />
-              Calendar Events
-            </h2>
-            {results.calendarEvents.length > 0 ? (
-              <ul className="space-y-3">
-                {results.calendarEvents.map((event, index) => (
-                  <li key={index} className="p-3 bg-gray-50 rounded-lg">
-                    <p className="font-medium text-gray-900">{event.title}</p>
-                    <p className="text-sm text-gray-600">
-                      {event.date} at {event.time}
-                    </p>
-                  </li>
-                ))}
-              </ul>
-            ) : (
-              <p className="text-gray-500 italic">No calendar events detected</p>
-            )}
-          </div>
+          {showsCard(meetingTemplate, 'decisions') && (
+            <NoteList title="Decisions" icon={Gavel} items={results.decisions} emptyText="No decisions detected" markerClassName="bg-green-500" />
+          )}
+          {showsCard(meetingTemplate, 'risks') && (
+            <NoteList title="Risks" icon={AlertTriangle} items={results.risks} emptyText="No risks detected" markerClassName="bg-red-500" />
+          )}
+          {showsCard(meetingTemplate, 'openQuestions') && (
+            <NoteList title="Open Questions" icon={HelpCircle} items={results.openQuestions} emptyText="No open questions detected" markerClassName="bg-yellow-500" />
+          )}
+
+          {showsCard(meetingTemplate, 'calendarEvents') && (
+            <div className="bg-white rounded-xl shadow-xl p-6 transform transition-all duration-300 hover:shadow-2xl">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                  <Calendar className="w-5 h-5 mr-2 text-indigo-600" />
+                  Calendar Events
+                </h2>
+                {results.calendarEvents.length > 1 && (
+                  <button
+                    onClick={() => exportCalendarEvents(results.calendarEvents)}
+                    className="flex items-center text-sm text-indigo-600 hover:text-indigo-800"
+                  >
+                    <Download className="w-4 h-4 mr-1" />
+                    Export all (.ics)
+                  </button>
+                )}
+              </div>
+              {calendarNotice && (
+                <p className="mb-3 text-sm text-gray-600">{calendarNotice}</p>
+              )}
+              {results.calendarEvents.length > 0 ? (
+                <ul className="space-y-3">
+                  {results.calendarEvents.map((event, index) => {
+                    const canExport = Boolean(getEventTiming(event, recordedAt || new Date().toISOString()));
+                    return (
+                      <li key={index} className="flex items-start p-3 bg-gray-50 rounded-lg">
+                        <div className="flex-1">
+                          <p className="font-medium text-gray-900">{event.title}</p>
+                          <p className="text-sm text-gray-600">
+                            {event.date} at {event.time}
+                            {formatResolved(event.resolved) && ` (${formatResolved(event.resolved)})`}
+                          </p>
+                        </div>
+                        <button
+                          onClick={() => exportCalendarEvents([event])}
+                          disabled={!canExport}
+                          className="p-2 text-gray-500 hover:text-indigo-600 disabled:opacity-40 disabled:cursor-not-allowed"
+                          title={canExport ? 'Add to calendar (.ics)' : 'The date of this event could not be worked out'}
+                        >
+                          <CalendarPlus size={18} />
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              ) : (
+                <p className="text-gray-500 italic">No calendar events detected</p>
+              )}
+            </div>
+          )}
 
           <div className="bg-white rounded-xl shadow-xl p-6 transform transition-all duration-300 hover:shadow-2xl">
             <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
@@ -972,8 +1919,40 @@ Please extract this information carefully.
             </h2>
             <p className="text-gray-700 whitespace-pre-wrap">{results.summary}</p>
           </div>
+
+          <MeetingChat
+            key={meetingId || 'unsaved'}
+            segments={segments}
+            transcript={transcript}
+            messages={chatMessages}
+            onMessagesChange={handleChatChange(meetingId)}
+            options={{ provider: settings.provider, model: settings.model, language: meetingLanguage || settings.language }}
+            onCite={audioBlob ? seekAudio : null}
+            disabled={isRecording || isProcessing}
+          />
         </div>
       )}
+
+      <TaskList
+        refreshKey={tasksVersion}
+        onOpenMeeting={openMeetingById}
+        disabled={isRecording || isProcessing}
+      />
+
+      <MeetingSearch
+        refreshKey={historyVersion}
+        onOpen={openSearchResult}
+        disabled={isRecording || isProcessing}
+      />
+
+      <MeetingHistory
+        activeMeetingId={meetingId}
+        refreshKey={historyVersion}
+        onOpen={openMeeting}
+        onRenamed={handleMeetingRenamed}
+        onDeleted={handleMeetingDeleted}
+        disabled={isRecording || isProcessing}
+      />
     </div>
   );
 }
@@ -0,0 +1,245 @@
+import { ANSWER_SCHEMA, COMBINED_NOTES_SCHEMA, validateAgainstSchema } from './schema';
+import { analysisSchemaFor } from './templates';
+
+// API calls go through our own server so no LLM key ships in the browser bundle
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '';
+
+// Raised when the transcript could not be turned into meeting data. `details`
+// lists the specific schema problems when the model returned malformed output.
+export class AnalysisError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'AnalysisError';
+    this.details = details;
+  }
+}
+
+// Providers the server can run, with the models they default to
+export async function fetchProviders() {
+  const response = await fetch(`${API_BASE_URL}/api/providers`);
+  if (!response.ok) {
+    throw new Error(`Could not load providers (status ${response.status})`);
+  }
+  return response.json();
+}
+
+// `text` is the prompt-ready transcript; `options.transcript` is the plain text used by
+// providers that don't take prompts, `options.provider`, `options.model` and
+// `options.language` (the meeting language id) come from settings, and
+// `options.speakers` lists the speaker labels used in a "Speaker: text" transcript and
+// `options.glossary` the user's vocabulary entries (see glossary.js). `options.template`
+// is the meeting template (see templates.js); its sections come back as `sections`.
+// For rolling analysis `options.previous` holds the notes so far; `options.signal`
+// (an AbortSignal) cancels the request.
+export async function extractInformation(text, options = {}) {
+  if (!text.trim()) {
+    throw new Error('No text provided for analysis');
+  }
+
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}/api/analyze`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        text,
+        transcript: options.transcript,
+        provider: options.provider || undefined,
+        model: options.model || undefined,
+        language: options.language || undefined,
+        speakers: options.speakers?.length > 0 ? options.speakers : undefined,
+        glossary: options.glossary?.length > 0
+          ? options.glossary.map(({ term, kind, heardAs }) => ({ term, kind, heardAs }))
+          : undefined,
+        previous: options.previous || undefined,
+        // The general template adds nothing, so it isn't sent
+        template: options.template?.sections.length > 0 || options.template?.instructions ? options.template : undefined
+      }),
+      signal: options.signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.error('Could not reach the analysis server:', error);
+    throw new AnalysisError('Could not reach the analysis server. Make sure it is running (npm run server).');
+  }
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new AnalysisError(
+      body.error || `Analysis request failed with status ${response.status}`,
+      Array.isArray(body.details) ? body.details : []
+    );
+  }
+
+  const analysis = await response.json();
+
+  // The server validates too, but never render data we haven't checked ourselves
+  const errors = validateAgainstSchema(analysis, analysisSchemaFor(options.template));
+  if (errors.length > 0) {
+    console.error('Analysis response failed validation:', errors);
+    throw new AnalysisError('The analysis server returned meeting data in an unexpected format.', errors);
+  }
+
+  return analysis;
+}
+
+// Reduce step for meetings analyzed in parts: one summary and a consolidated key point
+// list from the parts' results. Resolves with { summary, keyPoints }.
+export async function combineNotes(summaries, keyPoints, options = {}) {
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}/api/combine`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        summaries,
+        keyPoints,
+        provider: options.provider || undefined,
+        model: options.model || undefined,
+        language: options.language || undefined
+      })
+    });
+  } catch (error) {
+    console.error('Could not reach the analysis server:', error);
+    throw new AnalysisError('Could not reach the analysis server. Make sure it is running (npm run server).');
+  }
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new AnalysisError(
+      body.error || `Combining notes failed with status ${response.status}`,
+      Array.isArray(body.details) ? body.details : []
+    );
+  }
+
+  const combined = await response.json();
+  const errors = validateAgainstSchema(combined, COMBINED_NOTES_SCHEMA);
+  if (errors.length > 0) {
+    throw new AnalysisError('The analysis server returned combined notes in an unexpected format.', errors);
+  }
+  return combined;
+}
+
+// Answer a question about a meeting from its transcript. `passages` are the transcript's
+// { time, speaker, text } pieces in order and `options.history` the earlier { role, content }
+// turns of the conversation. Resolves with { answer, citations }: indexes into `passages`.
+export async function askAboutMeeting(question, passages, options = {}) {
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}/api/ask`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        question,
+        passages: passages.map(({ time, speaker, text }) => ({ time, speaker, text })),
+        history: options.history?.length > 0 ? options.history : undefined,
+        provider: options.provider || undefined,
+        model: options.model || undefined,
+        language: options.language || undefined
+      })
+    });
+  } catch (error) {
+    console.error('Could not reach the analysis server:', error);
+    throw new AnalysisError('Could not reach the analysis server. Make sure it is running (npm run server).');
+  }
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new AnalysisError(
+      body.error || `The question could not be answered (status ${response.status})`,
+      Array.isArray(body.details) ? body.details : []
+    );
+  }
+
+  const answer = await response.json();
+  const errors = validateAgainstSchema(answer, ANSWER_SCHEMA);
+  if (errors.length > 0) {
+    throw new AnalysisError('The analysis server returned an answer in an unexpected format.', errors);
+  }
+  return answer;
+}
+
+// Ask the server's diarization service who spoke when. Resolves with turns of
+// { start, end, speaker } in seconds from the start of the recording.
+export async function diarizeRecording(audioBlob, { duration } = {}) {
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}/api/diarize${duration ? `?duration=${Math.ceil(duration)}` : ''}`, {
+      method: 'POST',
+      headers: { 'Content-Type': audioBlob.type || 'application/octet-stream' },
+      body: audioBlob
+    });
+  } catch (error) {
+    console.error('Could not reach the diarization endpoint:', error);
+    throw new Error('Could not reach the API server to identify speakers.');
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error || `Speaker identification failed with status ${response.status}`);
+  }
+  return Array.isArray(body.turns) ? body.turns : [];
+}
+
+// Transcribe an audio file on the server. Resolves with { text, segments } where
+// segment times are seconds from the start of the audio plus `offset`.
+export async function transcribeAudio(audio, { language, fileName, offset = 0 } = {}) {
+  const params = new URLSearchParams({ offset: String(offset) });
+  if (language) params.set('language', language);
+  if (fileName) params.set('name', fileName);
+
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}/api/transcribe?${params}`, {
+      method: 'POST',
+      headers: { 'Content-Type': audio.type || 'application/octet-stream' },
+      body: audio
+    });
+  } catch (error) {
+    console.error('Could not reach the transcription endpoint:', error);
+    throw new Error('Could not reach the API server to transcribe the audio.');
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error || `Transcription failed with status ${response.status}`);
+  }
+  return {
+    text: typeof body.text === 'string' ? body.text : '',
+    segments: Array.isArray(body.segments) ? body.segments : []
+  };
+}
+
+// Integrations action items can be exported to: { id, label, configured }
+export async function fetchIntegrations() {
+  const response = await fetch(`${API_BASE_URL}/api/integrations`);
+  if (!response.ok) {
+    throw new Error(`Could not load integrations (status ${response.status})`);
+  }
+  const body = await response.json();
+  return Array.isArray(body.integrations) ? body.integrations : [];
+}
+
+// Create an issue, card or webhook call per action item. `items` are { key, fields }
+// with fields mapped for the integration (see integrations.js). Resolves with
+// { key, id, url } or { key, error } for every item.
+export async function exportActionItems(integrationId, items) {
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}/api/export`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ integration: integrationId, items })
+    });
+  } catch (error) {
+    console.error('Could not reach the export endpoint:', error);
+    throw new Error('Could not reach the API server to export the action items.');
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const details = Array.isArray(body.details) && body.details.length > 0 ? ` (${body.details.join('; ')})` : '';
+    throw new Error(`${body.error || `Export failed with status ${response.status}`}${details}`);
+  }
+  return Array.isArray(body.results) ? body.results : [];
+}
@@ -0,0 +1,79 @@
+import { createSegment, segmentsToText } from './transcript';
+
+// Reads transcripts exported by video call tools: WebVTT (.vtt), SubRip (.srt)
+// or plain text. Caption cues become transcript segments so timestamps and
+// speaker names survive the import.
+
+export const TRANSCRIPT_FILE_TYPES = '.txt,.vtt,.srt,text/plain,text/vtt';
+
+const CUE_TIMING = /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+// "01:02:03.450", "02:03,450" -> seconds
+const parseTimestamp = (value) => {
+  const parts = value.replace(',', '.').split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+// Speaker from a WebVTT voice tag (<v Dana>) or a "Dana: " prefix, with markup removed
+const parseCueText = (lines) => {
+  let text = lines.join(' ').trim();
+  let speaker = null;
+
+  const voiceMatch = text.match(/^<v(?:\.[\w.-]+)?\s+([^>]+)>/);
+  if (voiceMatch) {
+    speaker = voiceMatch[1].trim();
+  }
+  text = text.replace(/<[^>]+>/g, '').trim();
+
+  const prefixMatch = !speaker && text.match(/^([\p{Lu}][\p{L}.' -]{0,40}):\s+(.+)$/u);
+  if (prefixMatch) {
+    speaker = prefixMatch[1].trim();
+    text = prefixMatch[2];
+  }
+
+  return { text, speaker };
+};
+
+export function isCaptionFile(content) {
+  return /^\uFEFF?WEBVTT/.test(content) || content.split(/\r?\n/).some(line => CUE_TIMING.test(line));
+}
+
+// Segments for every cue in a .vtt or .srt file. Consecutive cues from the same
+// speaker that repeat the previous text (rolling captions) are merged.
+export function parseCaptions(content) {
+  const blocks = content.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const segments = [];
+
+  blocks.forEach(block => {
+    const lines = block.split('\n').filter(line => line.trim());
+    const timingIndex = lines.findIndex(line => CUE_TIMING.test(line));
+    if (timingIndex === -1) return;
+
+    const [, start, end] = lines[timingIndex].match(CUE_TIMING);
+    const { text, speaker } = parseCueText(lines.slice(timingIndex + 1));
+    if (!text) return;
+
+    const previous = segments[segments.length - 1];
+    if (previous && previous.speaker === speaker && text.startsWith(previous.text)) {
+      previous.text = text;
+      previous.end = parseTimestamp(end);
+      return;
+    }
+
+    segments.push(createSegment({ text, start: parseTimestamp(start), end: parseTimestamp(end), speaker }));
+  });
+
+  return segments;
+}
+
+// Turn an uploaded or pasted transcript into { text, segments }. Plain text has no
+// timing, so it comes back without segments.
+export function parseTranscript(content) {
+  if (isCaptionFile(content)) {
+    const segments = parseCaptions(content);
+    return { text: segmentsToText(segments), segments };
+  }
+
+  // Keep line breaks - pasted transcripts often have one "Speaker: text" line per turn
+  return { text: content.replace(/[^\S\n]+/g, ' ').replace(/\n{2,}/g, '\n').trim(), segments: [] };
+}
@@ -0,0 +1,68 @@
+// Long transcripts are analyzed in parts that fit comfortably in a model's context.
+// Consecutive parts overlap a little so a task or date mentioned across a boundary
+// is seen whole by at least one of them.
+
+export const CHUNK_CHARS = 12000;
+export const CHUNK_OVERLAP_CHARS = 1000;
+
+const splitWords = (text, maxChars) => {
+  const parts = [''];
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    // A "word" longer than a part (pasted data, no spaces) is simply cut
+    for (let i = 0; i < word.length; i += maxChars) {
+      const piece = word.slice(i, i + maxChars);
+      const last = parts[parts.length - 1];
+      if (last && last.length + piece.length + 1 > maxChars) {
+        parts.push(piece);
+      } else {
+        parts[parts.length - 1] = last ? `${last} ${piece}` : piece;
+      }
+    }
+  });
+  return parts.filter(Boolean);
+};
+
+// Speaker lines are kept whole; longer lines (and unlabeled transcripts, which
+// are one long line) are cut between sentences, or between words as a last resort.
+const splitIntoUnits = (text, maxChars) => text
+  .split('\n')
+  .filter(line => line.trim())
+  .flatMap(line => {
+    if (line.length <= maxChars) return [line];
+    const sentences = line.match(/[^.!?]+(?:[.!?]+|$)\s*/g) || [line];
+    return sentences.flatMap(sentence => (sentence.length <= maxChars ? [sentence.trim()] : splitWords(sentence, maxChars)));
+  })
+  .filter(Boolean);
+
+// Returns the transcript as a list of overlapping parts, or a single part when it is short enough
+export function splitTranscript(text, { maxChars = CHUNK_CHARS, overlapChars = CHUNK_OVERLAP_CHARS } = {}) {
+  if (text.length <= maxChars) return [text];
+
+  const units = splitIntoUnits(text, maxChars - overlapChars);
+  const chunks = [];
+  let current = [];
+  let length = 0;
+
+  units.forEach(unit => {
+    if (length > 0 && length + unit.length + 1 > maxChars) {
+      chunks.push(current.join('\n'));
+
+      // Start the next part with the end of this one
+      const overlap = [];
+      let overlapLength = 0;
+      for (let i = current.length - 1; i >= 0 && overlapLength + current[i].length <= overlapChars; i--) {
+        overlap.unshift(current[i]);
+        overlapLength += current[i].length + 1;
+      }
+      current = overlap;
+      length = overlapLength;
+    }
+    current.push(unit);
+    length += unit.length + 1;
+  });
+
+  if (current.length > 0) {
+    chunks.push(current.join('\n'));
+  }
+  return chunks;
+}
@@ -0,0 +1,319 @@
+// Turns the free-form dates and times found in transcripts ("next friday", "3pm",
+// "end of the week") into ISO values, relative to when the meeting was recorded
+// and in the user's time zone. Calendar days are handled as UTC midnights so
+// daylight saving changes never shift a day. Phrases are read with the
+// vocabulary of the meeting language (see languages.js).
+import { getLanguage, phrasePattern, monthPattern, findMonthIndex, DEFAULT_LANGUAGE } from './languages.js';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const makeDay = (year, month, day) => new Date(Date.UTC(year, month, day));
+
+// Like makeDay, but null for dates that don't exist (month 13, April 31) instead of
+// letting Date.UTC roll them over into a real-looking one
+const calendarDay = (year, month, day) => {
+  if (month < 0 || month > 11 || day < 1 || day > makeDay(year, month + 1, 0).getUTCDate()) return null;
+  return makeDay(year, month, day);
+};
+
+const addDays = (day, days) => makeDay(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() + days);
+
+const toIsoDate = (day) => day.toISOString().slice(0, 10);
+
+const isSpecified = (phrase) => Boolean(phrase && phrase.trim() && !/^not specified$/i.test(phrase.trim()));
+
+const matchesAny = (text, phrases) => phrases.length > 0 && new RegExp(phrasePattern(phrases), 'iu').test(text);
+
+// Whole-word regex from a source that may contain \p{...} classes
+const wordRegExp = (source) => new RegExp(`(?<![\\p{L}\\p{N}])${source}(?![\\p{L}\\p{N}])`, 'iu');
+
+export function getUserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+}
+
+// Calendar date and wall-clock time of an instant in the given time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+};
+
+// Minutes the time zone is ahead of UTC at the given instant
+const getOffsetMinutes = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - date.getTime()) / 60000);
+};
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+// The instant that a wall-clock date ("2025-03-14") and time ("15:30") in a time zone refers to
+export function zonedTimeToDate(isoDate, time, timeZone) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const [hours, minutes] = (time || '00:00').split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Guess with the offset at the wall-clock time, then correct once around DST transitions
+  let instant = wallClock - getOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+  instant = wallClock - getOffsetMinutes(new Date(instant), timeZone) * 60000;
+  return new Date(instant);
+}
+
+// "15.30 Uhr" and "15.30" are times. A dotted date has a year or a closing dot
+// ("15.3.2026", "15.03."), and is never followed by an hour word.
+const isDottedTime = (match, text, language) => {
+  if (match[2] !== '.' || match[4]) return false;
+  const rest = text.slice(match.index + match[0].length);
+  if (language.hourWords.length > 0 && new RegExp(`^\\s*(?:${language.hourWords.join('|')})(?![\\p{L}\\p{N}])`, 'iu').test(rest)) {
+    return true;
+  }
+  return match[3].length === 2 && !rest.startsWith('.');
+};
+
+// Clock times in a phrase: a number with an hour marker ("3pm", "15 Uhr", "8 Uhr
+// abends", "3 de la tarde") or hours and minutes ("15:30", "15.30")
+const clockTimes = (language) => {
+  const markers = ['\\s*[ap]\\.?\\s*m\\.?'];
+  if (language.hourWords.length > 0) markers.push(`\\s*(?:${language.hourWords.join('|')})`);
+  const dayPeriods = [...language.amPhrases, ...language.pmPhrases];
+  if (dayPeriods.length > 0) markers.push(`\\s+(?:${dayPeriods.join('|')})`);
+
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}])\\d{1,2}(?:(?:[:.]\\d{2})?(?:${markers.join('|')})+|[:.]\\d{2}(?![.\\d]))(?![\\p{L}\\p{N}])`,
+    'giu'
+  );
+};
+
+// The day named in a time phrase ("Friday 3pm"), ignoring its clock times so that
+// "15.30 Uhr" doesn't count as a date
+const resolveDayInTimePhrase = (phrase, options) => {
+  if (!isSpecified(phrase)) return null;
+  const withoutTimes = phrase.toLowerCase().replace(clockTimes(getLanguage(options.language)), ' ');
+  return /[\p{L}\p{N}]/u.test(withoutTimes) ? resolveDay(withoutTimes, options) : null;
+};
+
+// Resolve a date phrase to an ISO calendar date ("2025-03-14"), or null if it can't be understood
+export function resolveDay(phrase, { referenceDate = new Date(), timeZone = getUserTimeZone(), language: languageId = DEFAULT_LANGUAGE } = {}) {
+  if (!isSpecified(phrase)) return null;
+
+  const language = getLanguage(languageId);
+  const text = phrase.toLowerCase().trim();
+  const reference = getZonedParts(new Date(referenceDate), timeZone);
+  const today = makeDay(reference.year, reference.month - 1, reference.day);
+  const weekday = today.getUTCDay();
+
+  // Drop phrases like "de la mañana" so they aren't read as "tomorrow"
+  const tomorrowText = language.tomorrowExclusions.length > 0
+    ? text.replace(new RegExp(phrasePattern(language.tomorrowExclusions), 'giu'), ' ')
+    : text;
+
+  if (matchesAny(text, language.dayAfterTomorrow)) return toIsoDate(addDays(today, 2));
+  if (matchesAny(tomorrowText, language.tomorrow)) return toIsoDate(addDays(today, 1));
+  if (matchesAny(text, language.today)) return toIsoDate(today);
+
+  // "in 3 days", "in two weeks", "in a month"
+  const units = Object.values(language.relativeUnits).flat();
+  const relativeMatch = text.match(wordRegExp(
+    `(?:${phrasePattern(language.relativePrefix)})\\s+(\\d+|${Object.keys(language.numberWords).join('|')})\\s+(${units.join('|')})`
+  ));
+  if (relativeMatch) {
+    const amount = language.numberWords[relativeMatch[1]] ?? Number(relativeMatch[1]);
+    const unit = Object.keys(language.relativeUnits).find(key => language.relativeUnits[key].includes(relativeMatch[2]));
+    if (unit === 'month') {
+      return toIsoDate(makeDay(today.getUTCFullYear(), today.getUTCMonth() + amount, today.getUTCDate()));
+    }
+    return toIsoDate(addDays(today, amount * (unit === 'week' ? 7 : 1)));
+  }
+
+  if (matchesAny(text, language.endOfWeek)) return toIsoDate(addDays(today, (5 - weekday + 7) % 7));
+  if (matchesAny(text, language.nextWeek)) return toIsoDate(addDays(today, (1 - weekday + 7) % 7 || 7));
+  if (matchesAny(text, language.endOfMonth)) {
+    return toIsoDate(makeDay(today.getUTCFullYear(), today.getUTCMonth() + 1, 0));
+  }
+  if (matchesAny(text, language.nextMonth)) return toIsoDate(makeDay(today.getUTCFullYear(), today.getUTCMonth() + 1, 1));
+
+  // Weekday names always point forward; "next" only skips today
+  const weekdayMatch = text.match(wordRegExp(`(${language.weekdays.join('|')})`));
+  if (weekdayMatch) {
+    const daysAhead = (language.weekdays.indexOf(weekdayMatch[1]) - weekday + 7) % 7 || 7;
+    return toIsoDate(addDays(today, daysAhead));
+  }
+
+  const isoMatch = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (isoMatch) {
+    const day = calendarDay(Number(isoMatch[1]), Number(isoMatch[2]) - 1, Number(isoMatch[3]));
+    return day ? toIsoDate(day) : null;
+  }
+
+  // Numeric dates in the order the language writes them: M/D/YYYY in English, D/M/YYYY or D.M.YYYY otherwise
+  const numericPattern = language.numericDayFirst
+    ? /\b(\d{1,2})([/.])(\d{1,2})(?:[/.](\d{2,4}))?\b/g
+    : /\b(\d{1,2})(\/)(\d{1,2})(?:\/(\d{2,4}))?\b/g;
+  const numericMatch = [...text.matchAll(numericPattern)].find(match => !isDottedTime(match, text, language));
+  if (numericMatch) {
+    const year = numericMatch[4]
+      ? Number(numericMatch[4].length === 2 ? `20${numericMatch[4]}` : numericMatch[4])
+      : today.getUTCFullYear();
+    const [month, day] = language.numericDayFirst
+      ? [numericMatch[3], numericMatch[1]]
+      : [numericMatch[1], numericMatch[3]];
+    const date = calendarDay(year, Number(month) - 1, Number(day));
+    return date ? toIsoDate(date) : null;
+  }
+
+  // "January 5th", "Jan 5", "5th of January", "5 de enero" or "5. Januar"; without a year, pick the next occurrence
+  const months = monthPattern(language);
+  const connector = language.dayMonthConnector ? `(?:${language.dayMonthConnector}\\s+)?` : '';
+  const year = `(?:,?\\s+${connector}(\\d{4}))?`;
+  const monthFirst = text.match(wordRegExp(`(${months})\\s+(\\d{1,2})${language.ordinalSuffix}${year}`));
+  const dayFirst = text.match(wordRegExp(`(\\d{1,2})${language.ordinalSuffix}\\s+${connector}(${months})${year}`));
+  if (monthFirst || dayFirst) {
+    const month = findMonthIndex(language, monthFirst ? monthFirst[1] : dayFirst[2]);
+    const day = Number(monthFirst ? monthFirst[2] : dayFirst[1]);
+    const explicitYear = monthFirst ? monthFirst[3] : dayFirst[3];
+
+    if (explicitYear) {
+      const date = calendarDay(Number(explicitYear), month, day);
+      return date ? toIsoDate(date) : null;
+    }
+    const thisYear = calendarDay(today.getUTCFullYear(), month, day);
+    const date = thisYear && thisYear >= today ? thisYear : calendarDay(today.getUTCFullYear() + 1, month, day);
+    return date ? toIsoDate(date) : null;
+  }
+
+  return null;
+}
+
+// Resolve "3pm", "3:30 PM", "15:00", "15 Uhr", "3 de la tarde", "noon" or "end of day" to "HH:MM", or null
+export function resolveTime(phrase, { language: languageId = DEFAULT_LANGUAGE } = {}) {
+  if (!isSpecified(phrase)) return null;
+
+  const language = getLanguage(languageId);
+  const text = phrase.toLowerCase().trim();
+
+  const twelveHour = text.match(/\b(\d{1,2})(?::(\d{2}))?\s*([ap])\.?\s*m\b/);
+  if (twelveHour) {
+    const hours = Number(twelveHour[1]) % 12 + (twelveHour[3] === 'p' ? 12 : 0);
+    return `${pad(hours)}:${twelveHour[2] || '00'}`;
+  }
+
+  // "3 de la tarde", "8 Uhr abends"
+  const hourWords = language.hourWords.length > 0 ? `(?:\\s*(?:${language.hourWords.join('|')}))?` : '';
+  const dayPeriods = [...language.amPhrases, ...language.pmPhrases];
+  if (dayPeriods.length > 0) {
+    const periodMatch = text.match(wordRegExp(`(\\d{1,2})(?:[:.](\\d{2}))?${hourWords}\\s+(${dayPeriods.join('|')})`));
+    if (periodMatch && Number(periodMatch[1]) <= 12) {
+      const isPm = language.pmPhrases.includes(periodMatch[3].replace(/\s+/g, ' '));
+      const hours = Number(periodMatch[1]) % 12 + (isPm ? 12 : 0);
+      return `${pad(hours)}:${periodMatch[2] || '00'}`;
+    }
+  }
+
+  const twentyFourHour = text.match(/\b([01]?\d|2[0-3]):([0-5]\d)\b/);
+  if (twentyFourHour) {
+    return `${pad(twentyFourHour[1])}:${twentyFourHour[2]}`;
+  }
+
+  // "15 Uhr", "15.30 Uhr", "15 h"
+  if (language.hourWords.length > 0) {
+    const hourMatch = text.match(wordRegExp(`([01]?\\d|2[0-3])(?:[.:]([0-5]\\d))?\\s*(?:${language.hourWords.join('|')})`));
+    if (hourMatch) {
+      return `${pad(hourMatch[1])}:${hourMatch[2] || '00'}`;
+    }
+  }
+
+  const timeOfDay = language.timesOfDay.find(([phrases]) => matchesAny(text, phrases));
+  return timeOfDay ? timeOfDay[1] : null;
+}
+
+// Resolve a date phrase and an optional separate time phrase. The original wording
+// is kept in `phrase`; `dateTime` is only set when both a day and a time are known.
+export function resolveDateTime(datePhrase, timePhrase, { referenceDate = new Date(), timeZone = getUserTimeZone(), language = DEFAULT_LANGUAGE } = {}) {
+  const options = { referenceDate, timeZone, language };
+  const date = resolveDay(datePhrase, options) ?? resolveDayInTimePhrase(timePhrase, options);
+  const time = resolveTime(timePhrase, options) ?? resolveTime(datePhrase, options);
+
+  let dateTime = null;
+  if (date && time) {
+    const instant = zonedTimeToDate(date, time, timeZone);
+    dateTime = `${date}T${time}:00${formatOffset(getOffsetMinutes(instant, timeZone))}`;
+  }
+
+  return {
+    phrase: [datePhrase, timePhrase].filter(isSpecified).join(' at ') || null,
+    date,
+    time,
+    dateTime,
+    timeZone
+  };
+}
+
+// Attach resolved dates to everything in an analysis result that carries a date
+export function annotateResolvedDates(results, { referenceDate, timeZone = getUserTimeZone(), language = DEFAULT_LANGUAGE }) {
+  const options = { referenceDate, timeZone, language };
+
+  return {
+    ...results,
+    actionItems: results.actionItems.map(item => ({
+      ...item,
+      resolved: resolveDateTime(item.deadline, null, options)
+    })),
+    meetingDetails: {
+      ...results.meetingDetails,
+      resolved: resolveDateTime(results.meetingDetails.date, results.meetingDetails.time, options)
+    },
+    calendarEvents: results.calendarEvents.map(event => ({
+      ...event,
+      resolved: resolveDateTime(event.date, event.time, options)
+    }))
+  };
+}
+
+// Sortable "YYYY-MM-DDTHH:MM" string, or null when there is no resolved date
+export function resolvedSortKey(resolved) {
+  if (!resolved?.date) return null;
+  return `${resolved.date}T${resolved.time || '23:59'}`;
+}
+
+// Short human-readable form, e.g. "Fri, Oct 23" or "Fri, Oct 23, 3:00 PM"
+export function formatResolved(resolved, locale) {
+  if (!resolved?.date) return null;
+
+  const day = new Date(`${resolved.date}T12:00:00Z`);
+  const options = { weekday: 'short', month: 'short', day: 'numeric' };
+  if (day.getUTCFullYear() !== new Date().getFullYear()) {
+    options.year = 'numeric';
+  }
+
+  if (!resolved.time) {
+    return day.toLocaleDateString(locale, { ...options, timeZone: 'UTC' });
+  }
+
+  const instant = zonedTimeToDate(resolved.date, resolved.time, resolved.timeZone);
+  return instant.toLocaleString(locale, { ...options, hour: 'numeric', minute: '2-digit', timeZone: resolved.timeZone });
+}
+
+// Whether a resolved date lies before today
+export function isPastDue(resolved, now = new Date()) {
+  if (!resolved?.date) return false;
+  const today = getZonedParts(now, resolved.timeZone);
+  return resolved.date < `${today.year}-${pad(today.month)}-${pad(today.day)}`;
+}
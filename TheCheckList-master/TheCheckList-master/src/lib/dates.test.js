@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { resolveDay, resolveTime, resolveDateTime } from './dates.js';
+
+// Monday, October 19th 2026
+const options = { referenceDate: new Date('2026-10-19T12:00:00Z'), timeZone: 'UTC' };
+const german = { ...options, language: 'de-DE' };
+
+describe('resolveDay', () => {
+  it('resolves relative days against the reference date', () => {
+    expect(resolveDay('today', options)).toBe('2026-10-19');
+    expect(resolveDay('tomorrow', options)).toBe('2026-10-20');
+    expect(resolveDay('next friday', options)).toBe('2026-10-23');
+    expect(resolveDay('in two weeks', options)).toBe('2026-11-02');
+    expect(resolveDay('end of the month', options)).toBe('2026-10-31');
+  });
+
+  it('picks the next occurrence of a month and day without a year', () => {
+    expect(resolveDay('March 5', options)).toBe('2027-03-05');
+    expect(resolveDay('December 24th', options)).toBe('2026-12-24');
+  });
+
+  it('reads numeric dates in the order the language writes them', () => {
+    expect(resolveDay('12/31', options)).toBe('2026-12-31');
+    expect(resolveDay('2026-11-03', options)).toBe('2026-11-03');
+    expect(resolveDay('bis 20.11.2026', german)).toBe('2026-11-20');
+    expect(resolveDay('am 15.11.', german)).toBe('2026-11-15');
+  });
+
+  it('leaves impossible dates unresolved instead of rolling them over', () => {
+    expect(resolveDay('13/45', options)).toBeNull();
+    expect(resolveDay('4/31', options)).toBeNull();
+    expect(resolveDay('2026-02-30', options)).toBeNull();
+    expect(resolveDay('January 45', options)).toBeNull();
+  });
+
+  it('does not read German clock times as dates', () => {
+    expect(resolveDay('15.30 Uhr', german)).toBeNull();
+    expect(resolveDay('um 15.30', german)).toBeNull();
+  });
+
+  it('returns null for unspecified phrases', () => {
+    expect(resolveDay('Not specified', options)).toBeNull();
+    expect(resolveDay('', options)).toBeNull();
+  });
+});
+
+describe('resolveTime', () => {
+  it('understands 12- and 24-hour times', () => {
+    expect(resolveTime('3pm', options)).toBe('15:00');
+    expect(resolveTime('3:30 PM', options)).toBe('15:30');
+    expect(resolveTime('15:00', options)).toBe('15:00');
+    expect(resolveTime('15.30 Uhr', german)).toBe('15:30');
+    expect(resolveTime('8 Uhr abends', german)).toBe('20:00');
+  });
+});
+
+describe('resolveDateTime', () => {
+  it('combines a day and a time into an offset timestamp', () => {
+    const resolved = resolveDateTime('tomorrow', '3pm', options);
+    expect(resolved).toMatchObject({ date: '2026-10-20', time: '15:00', dateTime: '2026-10-20T15:00:00+00:00', phrase: 'tomorrow at 3pm' });
+  });
+
+  it('only takes a day from the time phrase when it names one', () => {
+    expect(resolveDateTime('Not specified', '15.30 Uhr', german)).toMatchObject({ date: null, time: '15:30', dateTime: null });
+    expect(resolveDateTime('Not specified', 'Freitag 15 Uhr', german)).toMatchObject({ date: '2026-10-23', time: '15:00' });
+    expect(resolveDateTime('Not specified', 'Friday at 3pm', options)).toMatchObject({ date: '2026-10-23', time: '15:00' });
+  });
+
+  it('uses the time zone for the offset', () => {
+    const resolved = resolveDateTime('2026-07-01', '09:00', { ...options, timeZone: 'Europe/Berlin' });
+    expect(resolved.dateTime).toBe('2026-07-01T09:00:00+02:00');
+  });
+});
@@ -0,0 +1,102 @@
+const DB_NAME = 'voicegenius';
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+export function createId() {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Open (and upgrade if needed) the local IndexedDB database
+export function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!('indexedDB' in window)) {
+        reject(new Error('IndexedDB is not supported in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains('meetings')) {
+          const meetings = db.createObjectStore('meetings', { keyPath: 'id' });
+          meetings.createIndex('createdAt', 'createdAt');
+        }
+
+        if (!db.objectStoreNames.contains('tasks')) {
+          const tasks = db.createObjectStore('tasks', { keyPath: 'id' });
+          // Unique so the same task can never be stored twice, even across meetings
+          tasks.createIndex('normalizedText', 'normalizedText', { unique: true });
+          tasks.createIndex('meetingId', 'meetingId');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        // Allow a later call to retry opening the database
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+// Run a single request against an object store and resolve once its transaction completes
+export async function runRequest(storeName, mode, makeRequest) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    // transaction.error is still null while a failed request's error bubbles up, so
+    // take the request's own error (a ConstraintError for a duplicate, for example)
+    transaction.onerror = () => reject(request?.error || transaction.error);
+    transaction.onabort = () => reject(request?.error || transaction.error);
+  });
+}
+
+// Read a record and write back `update(record)` in one transaction, so concurrent
+// updates can't overwrite each other with stale copies. Rejects with
+// `notFoundMessage` when there is no record with that key, and with whatever
+// `update` throws or the write fails with.
+export async function updateRecord(storeName, key, update, notFoundMessage = 'Record not found') {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+    const request = store.get(key);
+    let putRequest = null;
+    let updated;
+    let failure = null;
+
+    request.onsuccess = () => {
+      try {
+        if (!request.result) {
+          throw new Error(notFoundMessage);
+        }
+        updated = update(request.result);
+      } catch (err) {
+        failure = err;
+        transaction.abort();
+        return;
+      }
+      putRequest = store.put(updated);
+    };
+
+    const fail = () => reject(failure || putRequest?.error || request.error || transaction.error);
+    transaction.oncomplete = () => resolve(updated);
+    transaction.onerror = fail;
+    transaction.onabort = fail;
+  });
+}
@@ -0,0 +1,20 @@
+// Offer generated content to the user as a file download
+export function downloadFile(content, fileName, mimeType) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Turn a meeting title into something safe to use as a file name
+export function toFileName(title, fallback = 'meeting') {
+  return title.replace(/[^\w\s-]+/g, '').trim().replace(/\s+/g, '-') || fallback;
+}
@@ -0,0 +1,60 @@
+import { createId } from './db';
+import { phrasePattern } from './languages';
+
+const STORAGE_KEY = 'voicegenius.glossary';
+
+// The glossary is the user's own vocabulary: product names, acronyms and colleagues
+// that speech recognition gets wrong. Entries are { id, term, kind, heardAs }: `term`
+// is the correct spelling, `kind` is 'term' or 'name' (a person) and `heardAs` lists
+// what the recognizer writes instead ("cube control" for "kubectl").
+
+export const GLOSSARY_KINDS = [
+  { id: 'term', label: 'Term' },
+  { id: 'name', label: 'Person' }
+];
+
+export function createGlossaryEntry({ term, kind = 'term', heardAs = [] }) {
+  const trimmedTerm = term.trim();
+  return {
+    id: createId(),
+    term: trimmedTerm,
+    kind: kind === 'name' ? 'name' : 'term',
+    heardAs: [...new Set(heardAs.map(phrase => phrase.trim()).filter(phrase => phrase && phrase.toLowerCase() !== trimmedTerm.toLowerCase()))]
+  };
+}
+
+export function loadGlossary() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (err) {
+    console.error('Failed to read the glossary:', err);
+    return [];
+  }
+}
+
+export function saveGlossary(entries) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (err) {
+    console.error('Failed to save the glossary:', err);
+  }
+}
+
+// Correct a recognition result: misheard spellings become the term, and the term
+// itself gets its proper capitalization ("github" -> "GitHub")
+export function applyGlossary(text, glossary) {
+  return glossary.reduce(
+    (corrected, entry) => corrected.replace(new RegExp(phrasePattern([entry.term, ...entry.heardAs]), 'giu'), entry.term),
+    text
+  );
+}
+
+// What participant detection needs to know: who the people are and which
+// capitalized words are products or acronyms instead
+export function getGlossaryHints(glossary) {
+  return {
+    knownNames: glossary.filter(entry => entry.kind === 'name').map(entry => entry.term),
+    knownTerms: glossary.filter(entry => entry.kind !== 'name').map(entry => entry.term)
+  };
+}
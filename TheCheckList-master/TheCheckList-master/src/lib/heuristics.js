@@ -0,0 +1,243 @@
+// Pattern-based extraction used as a fallback when the LLM misses details,
+// and by the rule-based provider on the server. Each function takes the
+// meeting language id (see languages.js) for its vocabulary.
+import { getLanguage, phrasePattern, monthPattern, DEFAULT_LANGUAGE } from './languages.js';
+import { ACTION_ITEM_DEFAULTS } from './schema.js';
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+// Remove phrases that look like a keyword but mean something else (e.g. "de la mañana")
+const withoutExclusions = (text, exclusions) => (exclusions.length > 0
+  ? text.replace(new RegExp(phrasePattern(exclusions), 'giu'), ' ')
+  : text);
+
+const findTime = (text, language) => {
+  const timeMatch = text.match(new RegExp(`(?<![\\p{L}\\p{N}])(${language.timePattern}|(?:[01]?\\d|2[0-3]):[0-5]\\d)(?![\\p{L}\\p{N}])`, 'iu'));
+  return timeMatch ? timeMatch[1] : null;
+};
+
+// Extract meeting date, time and participants manually. `knownNames` and `knownTerms`
+// come from the user's glossary: people who are participants whenever they're
+// mentioned, and products or acronyms that are never names.
+export function extractMeetingDetailsManually(text, languageId = DEFAULT_LANGUAGE, { knownNames = [], knownTerms = [] } = {}) {
+  const language = getLanguage(languageId);
+
+  // Default values
+  const meetingDetails = {
+    date: 'Not specified',
+    time: 'Not specified',
+    participants: ['Unspecified participants']
+  };
+  
+  // "Tomorrow" and "today" are kept as said; dates.js resolves them against when the
+  // meeting was recorded, which for imports and re-analysis isn't now
+  const tomorrowMatch = withoutExclusions(text, language.tomorrowExclusions).match(new RegExp(phrasePattern(language.tomorrow), 'iu'));
+  const todayMatch = text.match(new RegExp(phrasePattern(language.today), 'iu'));
+  const dayMatch = text.match(new RegExp(`(${phrasePattern(language.weekdays)})`, 'iu'));
+  const connector = language.dayMonthConnector ? `(?:${language.dayMonthConnector}\\s+)?` : '';
+  const dateMatch = text.match(new RegExp(`(?<![\\p{L}\\p{N}])(\\d{1,2}${language.ordinalSuffix}\\s+${connector}(?:${monthPattern(language)}))(?![\\p{L}\\p{N}])`, 'iu'));
+  
+  if (tomorrowMatch) {
+    meetingDetails.date = capitalize(tomorrowMatch[0].toLowerCase());
+  } else if (todayMatch) {
+    meetingDetails.date = capitalize(todayMatch[0].toLowerCase());
+  } else if (dayMatch) {
+    meetingDetails.date = capitalize(dayMatch[1].toLowerCase());
+  } else if (dateMatch) {
+    meetingDetails.date = dateMatch[1];
+  }
+  
+  // Extract time with improved pattern matching
+  const time = findTime(text, language);
+  if (time) {
+    meetingDetails.time = time;
+  }
+  
+  // Extract participants named after "with" / "and" (or their translations)
+  const namePattern = '(\\p{Lu}\\p{Ll}+(?:\\s+\\p{Lu}\\p{Ll}+)?)';
+  const withMatch = text.match(new RegExp(`${phrasePattern(language.withWords)}\\s+${namePattern}`, 'u'));
+  const andMatch = text.match(new RegExp(`${phrasePattern([language.conjunction])}\\s+${namePattern}`, 'u'));
+  
+  // Glossary names are recognized however they are capitalized
+  const participants = knownNames.filter(name => new RegExp(phrasePattern([name]), 'iu').test(text));
+  const mentionsKnownNames = participants.length > 0;
+  // Words from the language's own keyword lists ("Meeting", "Bring") are never names, nor are glossary terms
+  const keywords = new Set([...language.eventPhrases, ...language.actionPhrases, ...language.bringPhrases]
+    .flatMap(phrase => phrase.split(/\s+/)));
+  const terms = new Set(knownTerms.flatMap(term => term.toLowerCase().split(/\s+/)));
+  const isNameCandidate = (name) => !language.nonNameWords.includes(name.split(/\s+/)[0])
+    && !keywords.has(name.split(/\s+/)[0].toLowerCase())
+    && !terms.has(name.split(/\s+/)[0].toLowerCase())
+    && !participants.some(known => name.toLowerCase().startsWith(known.toLowerCase()))
+    && !language.weekdays.includes(name.toLowerCase())
+    && !language.months.includes(name.toLowerCase());
+  
+  if (withMatch && isNameCandidate(withMatch[1])) {
+    participants.push(withMatch[1]);
+  }
+  
+  if (andMatch && isNameCandidate(andMatch[1]) && !participants.includes(andMatch[1])) {
+    participants.push(andMatch[1]);
+  }
+  
+  // Look for any capitalized names (likely people) where capitals mean something. This
+  // guesses wrong often, so skip it when the glossary already told us who was there.
+  if (language.capitalizedNames && !mentionsKnownNames) {
+    const nameMatches = text.match(/(?<![\p{L}\p{N}])\p{Lu}\p{Ll}+(?![\p{L}\p{N}])/gu);
+    if (nameMatches) {
+      nameMatches.forEach(name => {
+        if (isNameCandidate(name) && !participants.includes(name)) {
+          participants.push(name);
+        }
+      });
+    }
+  }
+  
+  if (participants.length > 0) {
+    meetingDetails.participants = participants;
+  }
+  
+  return meetingDetails;
+}
+
+// Fallback function to extract calendar events manually if the LLM misses them
+export function extractCalendarEventsManually(text, languageId = DEFAULT_LANGUAGE) {
+  const language = getLanguage(languageId);
+  const events = [];
+  const time = findTime(text, language) || 'Not specified';
+  
+  // Check for meeting + tomorrow pattern
+  const tomorrowMatch = new RegExp(`${phrasePattern(language.meetingWords)}.+?${phrasePattern(language.tomorrow)}`, 'iu')
+    .test(withoutExclusions(text, language.tomorrowExclusions));
+  if (tomorrowMatch) {
+    events.push({
+      title: language.defaultEventTitle,
+      date: capitalize(language.tomorrow[0]),
+      time
+    });
+  }
+  
+  // Check for specific days
+  const dayMatch = text.match(new RegExp(`(${phrasePattern(language.weekdays)})`, 'iu'));
+  if (dayMatch) {
+    events.push({
+      title: language.defaultEventTitle,
+      date: capitalize(dayMatch[1].toLowerCase()),
+      time
+    });
+  }
+  
+  return events;
+}
+
+// The sentence a match was found in, for looking at its surroundings
+const sentenceAround = (text, index) => {
+  const start = Math.max(text.lastIndexOf('. ', index), text.lastIndexOf('? ', index), text.lastIndexOf('! ', index), text.lastIndexOf('\n', index));
+  const end = text.slice(index).search(/[.!?](?:\s|$)/);
+  return text.slice(start + 1, end === -1 ? text.length : index + end + 1).trim();
+};
+
+// "Priya, can you ..." or "Sam will ..." - who a task was given to
+const findAssignee = (sentence, language) => {
+  const match = sentence.match(new RegExp(`(?<![\\p{L}\\p{N}])(\\p{Lu}\\p{Ll}+)(?:,\\s*|\\s+)${phrasePattern(language.assignmentPhrases)}`, 'u'));
+  return match && !language.nonNameWords.includes(match[1]) ? match[1] : ACTION_ITEM_DEFAULTS.assignee;
+};
+
+// Most tasks are medium priority unless someone says otherwise
+const findPriority = (sentence, language) => {
+  if (new RegExp(phrasePattern(language.urgentPhrases), 'iu').test(sentence)) return 'high';
+  if (new RegExp(phrasePattern(language.lowPriorityPhrases), 'iu').test(sentence)) return 'low';
+  return ACTION_ITEM_DEFAULTS.priority;
+};
+
+// Fallback function to extract action items manually if the LLM misses them
+export function extractActionItemsManually(text, languageId = DEFAULT_LANGUAGE) {
+  const language = getLanguage(languageId);
+  const actions = [];
+  const clauseEnd = `(?:[.,;!?]|${phrasePattern([language.conjunction])}|$)`;
+  
+  const addAction = (match) => {
+    const sentence = sentenceAround(text, match.index);
+    // Urgency is often said right after the request ("... by Friday? It's urgent.")
+    const nextSentence = sentenceAround(text, text.indexOf(sentence) + sentence.length + 1);
+    actions.push({
+      task: match[0].trim(),
+      deadline: 'Not specified',
+      assignee: findAssignee(sentence, language),
+      priority: findPriority(`${sentence} ${nextSentence}`, language),
+      status: ACTION_ITEM_DEFAULTS.status
+    });
+  };
+  
+  // Look for "need to", "have to", "can you", etc. followed by a verb
+  const needToPattern = new RegExp(`${phrasePattern([...language.obligationPhrases, ...language.requestPhrases])}\\s+\\p{L}+\\s.+?${clauseEnd}`, 'giu');
+  [...text.matchAll(needToPattern)].forEach(addAction);
+  
+  // Look for "bring" instructions
+  const bringPattern = new RegExp(`${phrasePattern(language.bringPhrases)}\\s.+?${clauseEnd}`, 'giu');
+  [...text.matchAll(bringPattern)].forEach(addAction);
+  
+  return actions;
+}
+
+const splitSentences = (text) => text
+  .split(/(?<=[.!?])\s+/)
+  .map(sentence => sentence.trim())
+  .filter(sentence => sentence.split(/\s+/).length >= 3);
+
+// Pick sentences that sound like decisions, plans or results as key points
+export function extractKeyPointsManually(text, languageId = DEFAULT_LANGUAGE) {
+  const keywordPattern = new RegExp(phrasePattern(getLanguage(languageId).keyPointWords), 'iu');
+  const sentences = splitSentences(text);
+  const keyPoints = sentences.filter(sentence => keywordPattern.test(sentence));
+
+  return (keyPoints.length > 0 ? keyPoints : sentences).slice(0, 5);
+}
+
+// Sentences containing any of the given phrases
+const sentencesWith = (text, phrases) => {
+  const pattern = new RegExp(phrasePattern(phrases), 'iu');
+  return splitSentences(text).filter(sentence => pattern.test(sentence));
+};
+
+// Sentences where the meeting agreed on something
+export function extractDecisionsManually(text, languageId = DEFAULT_LANGUAGE) {
+  return sentencesWith(text, getLanguage(languageId).decisionPhrases).slice(0, 10);
+}
+
+// Sentences about concerns, blockers and delays
+export function extractRisksManually(text, languageId = DEFAULT_LANGUAGE) {
+  return sentencesWith(text, getLanguage(languageId).riskPhrases).slice(0, 10);
+}
+
+// Questions that aren't requests ("can you ...?" is a task), and things said to be unclear
+export function extractOpenQuestionsManually(text, languageId = DEFAULT_LANGUAGE) {
+  const language = getLanguage(languageId);
+  const requestPattern = new RegExp(phrasePattern(language.requestPhrases), 'iu');
+  const unresolvedPattern = new RegExp(phrasePattern(language.openQuestionPhrases), 'iu');
+
+  return splitSentences(text)
+    .filter(sentence => unresolvedPattern.test(sentence) || (sentence.endsWith('?') && !requestPattern.test(sentence)))
+    .slice(0, 10);
+}
+
+// A meeting template's sections (see templates.js) from the sentences containing their
+// phrases: list sections get the sentences, text sections the first two joined
+export function extractSectionsManually(text, template) {
+  return Object.fromEntries((template?.sections || []).map(section => {
+    const sentences = section.phrases?.length > 0 ? sentencesWith(text, section.phrases) : [];
+    return [
+      section.id,
+      section.type === 'list' ? sentences.slice(0, 10) : sentences.slice(0, 2).join(' ') || 'Not specified'
+    ];
+  }));
+}
+
+// Use the opening sentences of the transcript as a short summary
+export function summarizeManually(text) {
+  const sentences = splitSentences(text);
+  if (sentences.length === 0) {
+    return text.trim();
+  }
+  return sentences.slice(0, 2).join(' ');
+}
@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { extractMeetingDetailsManually } from './heuristics.js';
+import { annotateResolvedDates } from './dates.js';
+
+describe('extractMeetingDetailsManually', () => {
+  it('keeps relative days as said so they resolve against the recording date', () => {
+    const details = extractMeetingDetailsManually('Let us meet tomorrow at 3pm with Priya.', 'en-US');
+    expect(details.date).toBe('Tomorrow');
+
+    const { meetingDetails } = annotateResolvedDates(
+      { actionItems: [], calendarEvents: [], meetingDetails: details },
+      { referenceDate: new Date('2026-03-02T10:00:00Z'), timeZone: 'UTC', language: 'en-US' }
+    );
+    expect(meetingDetails.resolved).toMatchObject({ date: '2026-03-03', time: '15:00' });
+  });
+
+  it('reads the meeting language', () => {
+    expect(extractMeetingDetailsManually('Wir sehen uns morgen um 10 Uhr.', 'de-DE').date).toBe('Morgen');
+    expect(extractMeetingDetailsManually('Nos vemos hoy a las 10 de la mañana.', 'es-ES').date).toBe('Hoy');
+  });
+});
@@ -0,0 +1,114 @@
+import { resolveDateTime, zonedTimeToDate, getUserTimeZone } from './dates';
+
+const DEFAULT_EVENT_MINUTES = 60;
+const PLACEHOLDER_PARTICIPANTS = ['Unspecified participants'];
+
+// Escape text values as required by RFC 5545
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets must be folded onto continuation lines
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (encoder.encode(current + char).length > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatDate = (isoDate) => isoDate.replace(/-/g, '');
+
+const nextDay = (isoDate) => {
+  const day = new Date(`${isoDate}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().slice(0, 10);
+};
+
+const formatUtcDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Work out when an extracted event happens, preferring the dates resolved at analysis
+// time. Events without a usable date return null.
+export function getEventTiming(event, recordedAt) {
+  const resolved = event.resolved || resolveDateTime(event.date, event.time, {
+    referenceDate: new Date(recordedAt),
+    timeZone: getUserTimeZone()
+  });
+  if (!resolved.date) return null;
+
+  if (!resolved.time) {
+    return { allDay: true, day: resolved.date };
+  }
+
+  const start = zonedTimeToDate(resolved.date, resolved.time, resolved.timeZone);
+  return { allDay: false, day: resolved.date, start, end: new Date(start.getTime() + DEFAULT_EVENT_MINUTES * 60 * 1000) };
+}
+
+const buildEvent = (event, timing, { recordedAt, meetingTitle, participants, uid }) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtcDateTime(new Date())}`,
+    timing.allDay ? `DTSTART;VALUE=DATE:${formatDate(timing.day)}` : `DTSTART:${formatUtcDateTime(timing.start)}`,
+    timing.allDay ? `DTEND;VALUE=DATE:${formatDate(nextDay(timing.day))}` : `DTEND:${formatUtcDateTime(timing.end)}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    `DESCRIPTION:${escapeText(`From "${meetingTitle}" recorded on ${new Date(recordedAt).toLocaleString()}`)}`
+  ];
+
+  // Names without email addresses use the "invalid:nomail" URI, as calendar apps do
+  participants
+    .filter(name => name && !PLACEHOLDER_PARTICIPANTS.includes(name))
+    .forEach(name => {
+      lines.push(`ATTENDEE;CN="${name.replace(/"/g, '')}";ROLE=REQ-PARTICIPANT:invalid:nomail`);
+    });
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Build an .ics calendar for the given events. Events whose date can't be
+// resolved are left out and returned in `skipped`.
+export function buildCalendar(events, { recordedAt, meetingTitle = 'Meeting', participants = [] }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//VoiceGenius//Meeting Assistant//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  const skipped = [];
+
+  events.forEach(event => {
+    const timing = getEventTiming(event, recordedAt);
+    if (!timing) {
+      skipped.push(event);
+      return;
+    }
+
+    // Stable per event, so exporting it again updates the calendar entry instead of duplicating it
+    const slug = event.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const uid = `${new Date(recordedAt).getTime()}-${formatDate(timing.day)}-${slug}@voicegenius`;
+    lines.push(...buildEvent(event, timing, { recordedAt, meetingTitle, participants, uid }));
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return {
+    content: lines.map(foldLine).join('\r\n') + '\r\n',
+    exported: events.length - skipped.length,
+    skipped
+  };
+}
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { buildCalendar, getEventTiming } from './ics';
+
+const recordedAt = '2026-10-19T09:00:00.000Z';
+const resolved = (date, time) => ({ date, time, timeZone: 'UTC' });
+
+describe('getEventTiming', () => {
+  it('makes events without a time all-day', () => {
+    expect(getEventTiming({ title: 'Launch', resolved: resolved('2026-10-23', null) }, recordedAt)).toEqual({ allDay: true, day: '2026-10-23' });
+  });
+
+  it('gives timed events an hour', () => {
+    const timing = getEventTiming({ title: 'Review', resolved: resolved('2026-10-20', '14:00') }, recordedAt);
+    expect(timing.start.toISOString()).toBe('2026-10-20T14:00:00.000Z');
+    expect(timing.end.toISOString()).toBe('2026-10-20T15:00:00.000Z');
+  });
+
+  it('returns null for events without a usable date', () => {
+    expect(getEventTiming({ title: 'Someday', resolved: resolved(null, null) }, recordedAt)).toBeNull();
+  });
+});
+
+describe('buildCalendar', () => {
+  const events = [
+    { title: 'Review; design, v2', resolved: resolved('2026-10-20', '14:00') },
+    { title: 'Launch', resolved: resolved('2026-10-23', null) },
+    { title: 'Someday', resolved: resolved(null, null) }
+  ];
+  const { content, exported, skipped } = buildCalendar(events, {
+    recordedAt,
+    meetingTitle: 'Weekly sync',
+    participants: ['Ana', 'Unspecified participants']
+  });
+
+  it('exports events with dates and reports the others', () => {
+    expect(exported).toBe(2);
+    expect(skipped.map(event => event.title)).toEqual(['Someday']);
+  });
+
+  it('writes valid iCalendar lines', () => {
+    expect(content.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(content.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(content).toContain('DTSTART:20261020T140000Z');
+    expect(content).toContain('DTSTART;VALUE=DATE:20261023');
+    expect(content).toContain('DTEND;VALUE=DATE:20261024');
+    expect(content).toContain(String.raw`SUMMARY:Review\; design\, v2`);
+    expect(content).toContain('ATTENDEE;CN="Ana"');
+    expect(content).not.toContain('Unspecified participants');
+    content.split('\r\n').forEach(line => expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75));
+  });
+});
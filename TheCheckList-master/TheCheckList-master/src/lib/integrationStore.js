@@ -0,0 +1,35 @@
+import { DEFAULT_FIELD_MAPPINGS } from './integrations';
+import { normalizeTaskText } from './taskStore';
+
+const STORAGE_KEY = 'voicegenius.integrations';
+
+// The field mappings (see integrations.js) are stored in this browser, keyed by
+// integration id. Fields that were never changed use the default mapping.
+
+export function loadFieldMappings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return Object.fromEntries(Object.entries(DEFAULT_FIELD_MAPPINGS).map(([id, defaults]) => [
+      id,
+      { ...defaults, ...(stored && typeof stored[id] === 'object' ? stored[id] : {}) }
+    ]));
+  } catch (err) {
+    console.error('Failed to read the field mappings:', err);
+    return structuredClone(DEFAULT_FIELD_MAPPINGS);
+  }
+}
+
+export function saveFieldMappings(mappings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(mappings));
+  } catch (err) {
+    console.error('Failed to save the field mappings:', err);
+  }
+}
+
+// A meeting remembers its exported action items as `exports`: for each item key, the
+// integrations it went to with { id, url, exportedAt }. Items are keyed by their
+// normalized text, so they are still recognized after the meeting is re-analyzed.
+export const exportKey = (item) => normalizeTaskText(item.task);
+
+export const findExport = (exports, item, integrationId) => exports?.[exportKey(item)]?.[integrationId] || null;
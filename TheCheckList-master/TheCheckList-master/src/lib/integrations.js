@@ -0,0 +1,149 @@
+// Places action items can be exported to, shared by the browser and the API server.
+// The API server holds the credentials and creates the issues, cards or webhook calls
+// (see server/integrations/); the browser decides what goes into them.
+//
+// Every integration has a few fields, and the field mapping says what each one is filled
+// with: a text with {placeholders} for the parts of an action item. `list` fields are
+// comma-separated in the mapping and sent as lists. Fields that come out empty are left
+// out, except that `required` ones stop the item from being exported.
+
+export const INTEGRATIONS = [
+  {
+    id: 'github',
+    label: 'GitHub Issues',
+    fields: [
+      { id: 'title', label: 'Title', required: true },
+      { id: 'body', label: 'Body', multiline: true },
+      { id: 'labels', label: 'Labels', list: true },
+      { id: 'assignees', label: 'Assignees (GitHub logins)', list: true }
+    ]
+  },
+  {
+    id: 'jira',
+    label: 'Jira',
+    fields: [
+      { id: 'summary', label: 'Summary', required: true },
+      { id: 'description', label: 'Description', multiline: true },
+      { id: 'labels', label: 'Labels', list: true },
+      { id: 'priority', label: 'Priority (name in Jira)' },
+      { id: 'duedate', label: 'Due date (YYYY-MM-DD)' }
+    ]
+  },
+  {
+    id: 'trello',
+    label: 'Trello',
+    fields: [
+      { id: 'name', label: 'Card name', required: true },
+      { id: 'desc', label: 'Description', multiline: true },
+      { id: 'due', label: 'Due date (YYYY-MM-DD)' }
+    ]
+  },
+  {
+    id: 'webhook',
+    label: 'Webhook',
+    fields: [
+      { id: 'title', label: 'Title', required: true },
+      { id: 'description', label: 'Description', multiline: true },
+      { id: 'assignee', label: 'Assignee' },
+      { id: 'priority', label: 'Priority' },
+      { id: 'status', label: 'Status' },
+      { id: 'due', label: 'Due date' },
+      { id: 'meeting', label: 'Meeting' }
+    ]
+  }
+];
+
+// What an action item offers to the mapping
+export const MAPPING_PLACEHOLDERS = [
+  { id: 'task', description: 'What needs to be done' },
+  { id: 'assignee', description: 'Who owns it' },
+  { id: 'priority', description: 'high, medium or low' },
+  { id: 'status', description: 'open, in progress or done' },
+  { id: 'deadline', description: 'The deadline as it was said, e.g. "next Friday"' },
+  { id: 'dueDate', description: 'The deadline as YYYY-MM-DD, when it could be worked out' },
+  { id: 'meeting', description: 'The meeting title' },
+  { id: 'meetingDate', description: 'The day of the meeting as YYYY-MM-DD' }
+];
+
+const DEFAULT_DESCRIPTION = 'From the meeting "{meeting}" on {meetingDate}.\n\nOwner: {assignee}\nDue: {deadline}\nPriority: {priority}';
+
+export const DEFAULT_FIELD_MAPPINGS = {
+  github: { title: '{task}', body: DEFAULT_DESCRIPTION, labels: 'action-item', assignees: '' },
+  jira: { summary: '{task}', description: DEFAULT_DESCRIPTION, labels: 'action-item', priority: '', duedate: '{dueDate}' },
+  trello: { name: '{task}', desc: DEFAULT_DESCRIPTION, due: '{dueDate}' },
+  webhook: {
+    title: '{task}',
+    description: '',
+    assignee: '{assignee}',
+    priority: '{priority}',
+    status: '{status}',
+    due: '{dueDate}',
+    meeting: '{meeting}'
+  }
+};
+
+export const getIntegration = (id) => INTEGRATIONS.find(integration => integration.id === id) || null;
+
+// Placeholder values of an action item from a meeting { title, recordedAt }
+const placeholderValues = (item, meeting) => ({
+  task: item.task,
+  assignee: item.assignee || 'Unassigned',
+  priority: item.priority || '',
+  status: item.status || '',
+  deadline: item.deadline || '',
+  dueDate: item.resolved?.date || '',
+  meeting: meeting.title || '',
+  meetingDate: meeting.recordedAt ? meeting.recordedAt.slice(0, 10) : ''
+});
+
+// Field values for one action item, or { errors } naming the required fields that came
+// out empty. Unknown placeholders are kept as written so typos are easy to spot.
+export function applyFieldMapping(integrationId, mapping, item, meeting) {
+  const integration = getIntegration(integrationId);
+  const values = placeholderValues(item, meeting);
+  const fields = {};
+  const errors = [];
+
+  integration.fields.forEach(field => {
+    const text = (mapping[field.id] ?? DEFAULT_FIELD_MAPPINGS[integrationId][field.id] ?? '')
+      .replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? values[name] : placeholder))
+      .trim();
+
+    if (field.list) {
+      const list = text.split(',').map(value => value.trim()).filter(Boolean);
+      if (list.length > 0) fields[field.id] = list;
+    } else if (text) {
+      fields[field.id] = text;
+    }
+
+    if (field.required && !(field.id in fields)) {
+      errors.push(`${field.label} is empty`);
+    }
+  });
+
+  return errors.length > 0 ? { errors } : { fields };
+}
+
+// Problems with field values sent to the API server for an integration
+export function validateExportFields(integrationId, fields) {
+  const integration = getIntegration(integrationId);
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return ['fields must be an object'];
+  }
+
+  const errors = [];
+  integration.fields.forEach(field => {
+    const value = fields[field.id];
+    if (value === undefined) {
+      if (field.required) errors.push(`${field.id} is required`);
+    } else if (field.list
+      ? !Array.isArray(value) || !value.every(entry => typeof entry === 'string')
+      : typeof value !== 'string') {
+      errors.push(`${field.id} must be ${field.list ? 'a list of strings' : 'a string'}`);
+    }
+  });
+  Object.keys(fields)
+    .filter(key => !integration.fields.some(field => field.id === key))
+    .forEach(key => errors.push(`${key} is not a field of ${integration.label}`));
+  return errors;
+}
@@ -0,0 +1,201 @@
+// Meeting languages: the speech recognition locale plus the vocabulary the
+// pattern-based heuristics and date resolution need. Also loaded by the Node
+// server, so imports of this module use explicit .js extensions.
+
+export const LANGUAGES = [
+  {
+    id: 'en-US',
+    label: 'English',
+    name: 'English',
+    weekdays: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+    months: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'],
+    abbreviateMonths: true,
+    ordinalSuffix: '(?:st|nd|rd|th)?',
+    dayMonthConnector: 'of',
+    numericDayFirst: false,
+    today: ['today', 'tonight', 'end of the day', 'end of day', 'eod', 'this morning', 'this afternoon', 'this evening'],
+    tomorrow: ['tomorrow'],
+    tomorrowExclusions: [],
+    dayAfterTomorrow: ['day after tomorrow'],
+    nextWeek: ['next week'],
+    endOfWeek: ['end of the week', 'end of week', 'eow'],
+    endOfMonth: ['end of the month', 'end of month', 'eom'],
+    nextMonth: ['next month'],
+    relativePrefix: ['in'],
+    relativeUnits: { day: ['day', 'days'], week: ['week', 'weeks'], month: ['month', 'months'] },
+    numberWords: { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 },
+    timePattern: '\\d{1,2}(?::\\d{2})?\\s*(?:am|pm|a\\.m\\.|p\\.m\\.)',
+    hourWords: [],
+    amPhrases: [],
+    pmPhrases: [],
+    timesOfDay: [
+      [['noon', 'midday'], '12:00'],
+      [['midnight'], '00:00'],
+      [['end of the day', 'end of day', 'eod'], '17:00'],
+      [['morning'], '09:00'],
+      [['afternoon'], '14:00'],
+      [['evening', 'tonight'], '18:00']
+    ],
+    meetingWords: ['meeting', 'appointment', 'call'],
+    defaultEventTitle: 'Meeting',
+    eventPhrases: ['meeting', 'appointment', 'call', 'conference', 'session', 'interview', 'tomorrow', 'today', 'next week', 'schedule', 'calendar', 'reminder'],
+    actionPhrases: ['need to', 'have to', 'must', 'should', 'will', 'going to', 'task', 'todo', 'to do', 'action item', 'follow up', 'deadline'],
+    obligationPhrases: ['need to', 'have to', 'must', 'should'],
+    bringPhrases: ['bring'],
+    conjunction: 'and',
+    withWords: ['with'],
+    capitalizedNames: true,
+    nonNameWords: ['I', 'The', 'A', 'An', 'This', 'That', 'These', 'Those', 'It', 'We', 'You', 'He', 'She', 'They'],
+    requestPhrases: ['can you', 'could you', 'would you', 'please'],
+    assignmentPhrases: ['can you', 'could you', 'would you', 'will', 'needs to', 'has to', 'should', 'is going to'],
+    urgentPhrases: ['urgent', 'urgently', 'asap', 'as soon as possible', 'high priority', 'top priority', 'critical', 'immediately', 'right away'],
+    lowPriorityPhrases: ['low priority', 'no rush', 'when you get a chance', 'nice to have', 'not urgent', 'eventually'],
+    decisionPhrases: ['decided', 'we agreed', 'agreed to', 'agreed that', 'we will go with', "let's go with", 'settled on', 'approved', 'the decision is'],
+    riskPhrases: ['risk', 'risky', 'concern', 'concerned', 'worried', 'blocker', 'blocked', 'might slip', 'could slip', 'delay', 'depends on'],
+    openQuestionPhrases: ['open question', 'not sure', 'unclear', 'to be decided', 'tbd', "don't know yet", 'need to find out', 'need to figure out'],
+    keyPointWords: ['decided', 'agreed', 'plan', 'goal', 'important', 'priority', 'update', 'release', 'launch', 'budget', 'deadline', 'problem', 'issue', 'because']
+  },
+  {
+    id: 'es-ES',
+    label: 'Español',
+    name: 'Spanish',
+    weekdays: ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'],
+    months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+    abbreviateMonths: false,
+    ordinalSuffix: '(?:º|°)?',
+    dayMonthConnector: 'de',
+    numericDayFirst: true,
+    today: ['hoy', 'esta noche', 'esta tarde', 'al final del día', 'fin del día'],
+    tomorrow: ['mañana'],
+    // "mañana" also means "morning"
+    tomorrowExclusions: ['de la mañana', 'por la mañana', 'esta mañana', 'pasado mañana'],
+    dayAfterTomorrow: ['pasado mañana'],
+    nextWeek: ['la próxima semana', 'la semana que viene', 'semana próxima'],
+    endOfWeek: ['fin de semana', 'final de la semana', 'finales de semana'],
+    endOfMonth: ['fin de mes', 'final del mes', 'finales de mes'],
+    nextMonth: ['el próximo mes', 'el mes que viene'],
+    relativePrefix: ['en', 'dentro de'],
+    relativeUnits: { day: ['día', 'días'], week: ['semana', 'semanas'], month: ['mes', 'meses'] },
+    numberWords: { un: 1, una: 1, uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10 },
+    timePattern: '\\d{1,2}(?::\\d{2})?\\s*(?:am|pm|h|horas|de la (?:mañana|tarde|noche))',
+    hourWords: ['h', 'horas'],
+    amPhrases: ['de la mañana', 'de la madrugada'],
+    pmPhrases: ['de la tarde', 'de la noche'],
+    timesOfDay: [
+      [['mediodía'], '12:00'],
+      [['medianoche'], '00:00'],
+      [['al final del día', 'fin del día'], '17:00'],
+      [['por la mañana', 'esta mañana'], '09:00'],
+      [['tarde'], '14:00'],
+      [['noche'], '18:00']
+    ],
+    meetingWords: ['reunión', 'cita', 'llamada'],
+    defaultEventTitle: 'Reunión',
+    eventPhrases: ['reunión', 'cita', 'llamada', 'conferencia', 'sesión', 'entrevista', 'mañana', 'hoy', 'próxima semana', 'agenda', 'calendario', 'recordatorio'],
+    actionPhrases: ['tengo que', 'tenemos que', 'hay que', 'debo', 'debemos', 'necesito', 'necesitamos', 'vamos a', 'tarea', 'pendiente', 'seguimiento', 'fecha límite'],
+    obligationPhrases: ['tengo que', 'tienes que', 'tiene que', 'tenemos que', 'tienen que', 'hay que', 'debo', 'debes', 'debe', 'debemos', 'deben', 'necesito', 'necesitamos'],
+    bringPhrases: ['traer', 'trae', 'traed', 'traigan'],
+    conjunction: 'y',
+    withWords: ['con'],
+    capitalizedNames: true,
+    nonNameWords: ['Yo', 'El', 'La', 'Los', 'Las', 'Un', 'Una', 'Este', 'Esta', 'Eso', 'Esto', 'Nosotros', 'Ellos', 'Ella', 'Él', 'Hoy', 'Mañana', 'Vale', 'Bueno'],
+    requestPhrases: ['puedes', 'podrías', 'puede', 'podría', 'por favor'],
+    assignmentPhrases: ['puedes', 'podrías', 'puede', 'podría', 'va a', 'tiene que', 'debe', 'se encarga de'],
+    urgentPhrases: ['urgente', 'lo antes posible', 'cuanto antes', 'alta prioridad', 'máxima prioridad', 'crítico', 'inmediatamente'],
+    lowPriorityPhrases: ['baja prioridad', 'sin prisa', 'cuando puedas', 'no es urgente'],
+    decisionPhrases: ['decidimos', 'hemos decidido', 'acordamos', 'hemos acordado', 'quedamos en', 'aprobado', 'aprobamos', 'vamos con'],
+    riskPhrases: ['riesgo', 'arriesgado', 'preocupa', 'preocupación', 'bloqueo', 'bloqueado', 'retraso', 'depende de'],
+    openQuestionPhrases: ['pregunta abierta', 'no está claro', 'no sabemos', 'por decidir', 'hay que averiguar', 'sin resolver'],
+    keyPointWords: ['decidimos', 'acordamos', 'plan', 'objetivo', 'importante', 'prioridad', 'lanzamiento', 'presupuesto', 'plazo', 'problema', 'porque']
+  },
+  {
+    id: 'de-DE',
+    label: 'Deutsch',
+    name: 'German',
+    weekdays: ['sonntag', 'montag', 'dienstag', 'mittwoch', 'donnerstag', 'freitag', 'samstag'],
+    months: ['januar', 'februar', 'märz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember'],
+    abbreviateMonths: false,
+    ordinalSuffix: '\\.?',
+    dayMonthConnector: null,
+    numericDayFirst: true,
+    today: ['heute', 'heute abend', 'heute nachmittag', 'bis feierabend'],
+    tomorrow: ['morgen'],
+    // "Morgen" is also "morning"
+    tomorrowExclusions: ['heute morgen', 'guten morgen', 'am morgen'],
+    dayAfterTomorrow: ['übermorgen'],
+    nextWeek: ['nächste woche', 'kommende woche'],
+    endOfWeek: ['ende der woche', 'wochenende'],
+    endOfMonth: ['ende des monats', 'monatsende'],
+    nextMonth: ['nächsten monat', 'nächster monat'],
+    relativePrefix: ['in'],
+    relativeUnits: { day: ['tag', 'tagen'], week: ['woche', 'wochen'], month: ['monat', 'monaten'] },
+    numberWords: { einem: 1, einer: 1, eins: 1, zwei: 2, drei: 3, vier: 4, fünf: 5, sechs: 6, sieben: 7, acht: 8, neun: 9, zehn: 10 },
+    timePattern: '\\d{1,2}(?::\\d{2})?\\s*uhr',
+    hourWords: ['uhr'],
+    amPhrases: ['morgens', 'früh', 'vormittags'],
+    pmPhrases: ['nachmittags', 'abends'],
+    timesOfDay: [
+      [['mittag', 'mittags'], '12:00'],
+      [['mitternacht'], '00:00'],
+      [['feierabend'], '17:00'],
+      [['morgens', 'vormittag', 'heute morgen', 'früh'], '09:00'],
+      [['nachmittag'], '14:00'],
+      [['abend', 'abends'], '18:00']
+    ],
+    meetingWords: ['meeting', 'besprechung', 'termin', 'anruf', 'telefonat'],
+    defaultEventTitle: 'Besprechung',
+    eventPhrases: ['meeting', 'besprechung', 'termin', 'anruf', 'konferenz', 'sitzung', 'interview', 'morgen', 'heute', 'nächste woche', 'kalender', 'erinnerung'],
+    actionPhrases: ['muss', 'müssen', 'sollte', 'sollten', 'soll', 'werde', 'werden', 'aufgabe', 'todo', 'nachfassen', 'frist', 'deadline'],
+    obligationPhrases: ['muss', 'musst', 'müssen', 'sollte', 'sollten', 'soll', 'sollen'],
+    bringPhrases: ['mitbringen', 'bring', 'bringt'],
+    conjunction: 'und',
+    withWords: ['mit'],
+    // Every German noun is capitalized, so capital letters say nothing about names
+    capitalizedNames: false,
+    nonNameWords: ['Ich', 'Wir', 'Sie', 'Er', 'Es', 'Der', 'Die', 'Das', 'Ein', 'Eine', 'Heute', 'Morgen'],
+    requestPhrases: ['kannst du', 'könntest du', 'können sie', 'könnten sie', 'bitte'],
+    assignmentPhrases: ['kannst du', 'könntest du', 'können sie', 'wird', 'muss', 'soll', 'kümmert sich um'],
+    urgentPhrases: ['dringend', 'asap', 'so schnell wie möglich', 'hohe priorität', 'höchste priorität', 'kritisch', 'sofort'],
+    lowPriorityPhrases: ['niedrige priorität', 'keine eile', 'wenn du zeit hast', 'nicht dringend'],
+    decisionPhrases: ['entschieden', 'beschlossen', 'wir einigen uns', 'geeinigt', 'vereinbart', 'genehmigt', 'wir nehmen'],
+    riskPhrases: ['risiko', 'riskant', 'sorge', 'bedenken', 'blocker', 'blockiert', 'verzögerung', 'verzögern', 'hängt von'],
+    openQuestionPhrases: ['offene frage', 'unklar', 'noch offen', 'wissen wir nicht', 'muss noch geklärt', 'zu klären'],
+    keyPointWords: ['entschieden', 'beschlossen', 'vereinbart', 'plan', 'ziel', 'wichtig', 'priorität', 'release', 'budget', 'frist', 'problem', 'weil']
+  }
+];
+
+export const DEFAULT_LANGUAGE = 'en-US';
+
+// Exact match first, then the same base language ("es-MX" -> Spanish), then English
+export function getLanguage(id) {
+  const base = (id || '').split('-')[0].toLowerCase();
+  return LANGUAGES.find(language => language.id === id)
+    || LANGUAGES.find(language => language.id.split('-')[0] === base)
+    || LANGUAGES[0];
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Regex source matching any of the phrases as whole words. Uses Unicode-aware
+// boundaries because \b treats letters like "ü" or "é" as non-word characters.
+export function phrasePattern(phrases) {
+  const alternatives = [...phrases]
+    .sort((a, b) => b.length - a.length)
+    .map(phrase => escapeRegExp(phrase).replace(/\s+/g, '\\s+'))
+    .join('|');
+  return `(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`;
+}
+
+// Regex source for any month name, including three-letter abbreviations where the language uses them
+export function monthPattern(language) {
+  return language.months
+    .map(month => (language.abbreviateMonths ? `${month.slice(0, 3)}(?:${month.slice(3)})?` : month))
+    .join('|');
+}
+
+export function findMonthIndex(language, name) {
+  const lowerName = name.toLowerCase();
+  return language.months.findIndex(month => (language.abbreviateMonths
+    ? month.startsWith(lowerName.slice(0, 3))
+    : month === lowerName));
+}
@@ -0,0 +1,51 @@
+import { runRequest, updateRecord } from './db';
+
+const STORE = 'meetings';
+
+export function defaultMeetingTitle(date) {
+  return `Meeting on ${date.toLocaleDateString()} at ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+// Save (or overwrite) a meeting record
+export async function saveMeeting(meeting) {
+  const record = {
+    ...meeting,
+    updatedAt: new Date().toISOString()
+  };
+  await runRequest(STORE, 'readwrite', store => store.put(record));
+  return record;
+}
+
+// All saved meetings, newest first
+export async function listMeetings() {
+  const meetings = await runRequest(STORE, 'readonly', store => store.getAll());
+  return meetings.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function getMeeting(id) {
+  const meeting = await runRequest(STORE, 'readonly', store => store.get(id));
+  return meeting || null;
+}
+
+// Merge the given fields into a stored meeting. The read and the write share one
+// transaction, so updates from overlapping flows (chat, exports, edits) all survive.
+export async function updateMeeting(id, changes) {
+  return updateRecord(STORE, id, meeting => ({
+    ...meeting,
+    ...changes,
+    id,
+    updatedAt: new Date().toISOString()
+  }), 'Meeting not found');
+}
+
+export async function renameMeeting(id, title) {
+  const trimmedTitle = title.trim();
+  if (!trimmedTitle) {
+    throw new Error('Meeting title cannot be empty');
+  }
+  return updateMeeting(id, { title: trimmedTitle });
+}
+
+export async function deleteMeeting(id) {
+  await runRequest(STORE, 'readwrite', store => store.delete(id));
+}
@@ -0,0 +1,73 @@
+// Combine several analysis results (for example from consecutive parts of one
+// meeting) into one, dropping items that appear more than once. Also loaded by
+// the Node server.
+
+const NOT_SPECIFIED = 'Not specified';
+const NO_PARTICIPANTS = 'Unspecified participants';
+
+// Case, punctuation and spacing differences don't make two items different
+export const normalizeItemText = (text) => String(text)
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const uniqueBy = (items, getKey) => {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = getKey(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Meeting template sections (see templates.js): lists are concatenated and deduplicated
+// like the standard ones, text sections keep the latest specified value
+const mergeSections = (analyses) => {
+  const ids = [...new Set(analyses.flatMap(analysis => Object.keys(analysis.sections || {})))];
+  return Object.fromEntries(ids.map(id => {
+    const values = analyses.map(analysis => analysis.sections?.[id]).filter(value => value !== undefined);
+    return [
+      id,
+      values.some(Array.isArray)
+        ? uniqueBy(values.flat(), normalizeItemText)
+        : values.filter(value => value && value !== NOT_SPECIFIED).pop() || NOT_SPECIFIED
+    ];
+  }));
+};
+
+// Later results win for single values (meeting date and time) since they saw more
+// of the meeting; lists are concatenated and deduplicated. `summary` overrides the
+// combined summary, which otherwise is the summaries joined in order.
+export function mergeAnalyses(analyses, { summary } = {}) {
+  const present = analyses.filter(Boolean);
+  const specified = (value) => value && value !== NOT_SPECIFIED;
+
+  const participants = uniqueBy(
+    present.flatMap(analysis => analysis.meetingDetails?.participants || []).filter(name => name && name !== NO_PARTICIPANTS),
+    normalizeItemText
+  );
+
+  const merged = {
+    actionItems: uniqueBy(present.flatMap(analysis => analysis.actionItems || []), item => normalizeItemText(item.task)),
+    meetingDetails: {
+      date: present.map(analysis => analysis.meetingDetails?.date).filter(specified).pop() || NOT_SPECIFIED,
+      time: present.map(analysis => analysis.meetingDetails?.time).filter(specified).pop() || NOT_SPECIFIED,
+      participants: participants.length > 0 ? participants : [NO_PARTICIPANTS]
+    },
+    keyPoints: uniqueBy(present.flatMap(analysis => analysis.keyPoints || []), normalizeItemText),
+    decisions: uniqueBy(present.flatMap(analysis => analysis.decisions || []), normalizeItemText),
+    risks: uniqueBy(present.flatMap(analysis => analysis.risks || []), normalizeItemText),
+    openQuestions: uniqueBy(present.flatMap(analysis => analysis.openQuestions || []), normalizeItemText),
+    calendarEvents: uniqueBy(
+      present.flatMap(analysis => analysis.calendarEvents || []),
+      event => `${normalizeItemText(event.title)}|${normalizeItemText(event.date)}`
+    ),
+    summary: summary ?? present.map(analysis => analysis.summary).filter(Boolean).join(' ')
+  };
+  if (present.some(analysis => analysis.sections)) {
+    merged.sections = mergeSections(present);
+  }
+  return merged;
+}
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { mergeAnalyses } from './merge.js';
+import { splitTranscript } from './chunking.js';
+
+const analysis = (fields) => ({
+  actionItems: [],
+  meetingDetails: { date: 'Not specified', time: 'Not specified', participants: ['Unspecified participants'] },
+  keyPoints: [],
+  decisions: [],
+  risks: [],
+  openQuestions: [],
+  calendarEvents: [],
+  summary: '',
+  ...fields
+});
+
+describe('mergeAnalyses', () => {
+  it('drops items repeated by overlapping parts', () => {
+    const merged = mergeAnalyses([
+      analysis({ actionItems: [{ task: 'Send the deck.', deadline: 'Friday' }], keyPoints: ['Beta is on track'] }),
+      analysis({ actionItems: [{ task: 'send the deck', deadline: 'Friday' }, { task: 'Book a room', deadline: 'Not specified' }], keyPoints: ['beta is on track!'] })
+    ]);
+    expect(merged.actionItems.map(item => item.task)).toEqual(['Send the deck.', 'Book a room']);
+    expect(merged.keyPoints).toEqual(['Beta is on track']);
+  });
+
+  it('keeps specified meeting details and real participants', () => {
+    const merged = mergeAnalyses([
+      analysis({ meetingDetails: { date: 'Monday', time: 'Not specified', participants: ['Ana'] } }),
+      analysis({ meetingDetails: { date: 'Not specified', time: '10 am', participants: ['ana', 'Ben'] } })
+    ]);
+    expect(merged.meetingDetails).toEqual({ date: 'Monday', time: '10 am', participants: ['Ana', 'Ben'] });
+  });
+
+  it('falls back to the placeholder when nobody was named', () => {
+    expect(mergeAnalyses([analysis(), analysis()]).meetingDetails.participants).toEqual(['Unspecified participants']);
+  });
+});
+
+describe('splitTranscript', () => {
+  it('keeps short transcripts whole', () => {
+    expect(splitTranscript('Ana: hello', { maxChars: 100 })).toEqual(['Ana: hello']);
+  });
+
+  it('splits long transcripts into overlapping parts that fit', () => {
+    const lines = Array.from({ length: 30 }, (_, index) => `Speaker ${index % 3}: line number ${index} of the meeting`);
+    const chunks = splitTranscript(lines.join('\n'), { maxChars: 200, overlapChars: 60 });
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(200));
+    // Every line is in some part, and consecutive parts share their boundary line
+    lines.forEach(line => expect(chunks.some(chunk => chunk.split('\n').includes(line))).toBe(true));
+    chunks.slice(1).forEach((chunk, index) => {
+      const previousLines = chunks[index].split('\n');
+      expect(previousLines).toContain(chunk.split('\n')[0]);
+    });
+  });
+
+  it('cuts a single long line between sentences', () => {
+    const text = Array.from({ length: 20 }, (_, index) => `Sentence ${index} is here.`).join(' ');
+    splitTranscript(text, { maxChars: 120, overlapChars: 20 }).forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(120));
+  });
+});
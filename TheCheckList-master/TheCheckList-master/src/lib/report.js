@@ -0,0 +1,217 @@
+import { formatResolved } from './dates';
+import { formatTimestamp } from './transcript';
+
+// Builds shareable versions of a meeting report: Markdown for wikis, JSON for
+// scripts and a standalone HTML page laid out for printing or saving as PDF.
+
+const withResolved = (phrase, resolved) => {
+  const formatted = formatResolved(resolved);
+  return formatted ? `${phrase} (${formatted})` : phrase;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Keep Markdown special characters in spoken text from turning into formatting
+const escapeMarkdown = (value) => String(value).replace(/([\\`*_[\]#|<>])/g, '\\$1');
+
+// Timestamped (and speaker-labeled) transcript lines when segments are available, otherwise the plain transcript
+const transcriptLines = (transcript, segments) => (segments?.length > 0
+  ? segments.map(segment => ({
+    time: formatTimestamp(segment.start),
+    text: segment.speaker ? `${segment.speaker}: ${segment.text}` : segment.text
+  }))
+  : [{ time: null, text: transcript || '' }]);
+
+// "Priya · high priority · in progress" - the parts of an action item besides its task and deadline
+const actionItemDetails = (item) => [
+  item.assignee,
+  item.priority && `${item.priority} priority`,
+  item.status
+].filter(Boolean).join(' · ');
+
+// The meeting template's sections as [title, list or text] pairs, in template order
+const templateSections = (template, results) => (results.sections ? template?.sections || [] : [])
+  .map(section => [section.title, results.sections[section.id]]);
+
+export function buildMarkdownReport({ title, recordedAt, results, transcript, segments, template }) {
+  const { actionItems, meetingDetails, keyPoints, calendarEvents, summary } = results;
+  const { decisions = [], risks = [], openQuestions = [] } = results;
+  const lines = [
+    `# ${escapeMarkdown(title)}`,
+    '',
+    `_Recorded ${new Date(recordedAt).toLocaleString()}_`,
+    '',
+    '## Summary',
+    '',
+    escapeMarkdown(summary),
+    ''
+  ];
+
+  templateSections(template, results).forEach(([sectionTitle, value]) => {
+    lines.push(`## ${escapeMarkdown(sectionTitle)}`, '');
+    if (Array.isArray(value)) {
+      lines.push(...(value.length > 0 ? value.map(item => `- ${escapeMarkdown(item)}`) : ['_Nothing noted_']));
+    } else {
+      lines.push(escapeMarkdown(value || 'Not specified'));
+    }
+    lines.push('');
+  });
+
+  lines.push('## Key Points', '');
+
+  lines.push(...(keyPoints.length > 0
+    ? keyPoints.map(point => `- ${escapeMarkdown(point)}`)
+    : ['_No key points detected_']));
+
+  lines.push('', '## Decisions', '');
+  lines.push(...(decisions.length > 0
+    ? decisions.map(decision => `- ${escapeMarkdown(decision)}`)
+    : ['_No decisions detected_']));
+
+  lines.push('', '## Risks', '');
+  lines.push(...(risks.length > 0
+    ? risks.map(risk => `- ${escapeMarkdown(risk)}`)
+    : ['_No risks detected_']));
+
+  lines.push('', '## Open Questions', '');
+  lines.push(...(openQuestions.length > 0
+    ? openQuestions.map(question => `- ${escapeMarkdown(question)}`)
+    : ['_No open questions detected_']));
+
+  lines.push('', '## Action Items', '');
+  lines.push(...(actionItems.length > 0
+    ? actionItems.map(item => {
+      const details = actionItemDetails(item);
+      return `- [${item.status === 'done' ? 'x' : ' '}] ${escapeMarkdown(item.task)} — due ${escapeMarkdown(withResolved(item.deadline, item.resolved))}${details ? ` (${escapeMarkdown(details)})` : ''}`;
+    })
+    : ['_No action items detected_']));
+
+  lines.push(
+    '',
+    '## Meeting Details',
+    '',
+    `- **Date:** ${escapeMarkdown(withResolved(meetingDetails.date, meetingDetails.resolved && { ...meetingDetails.resolved, time: null }))}`,
+    `- **Time:** ${escapeMarkdown(meetingDetails.time)}`,
+    `- **Participants:** ${escapeMarkdown(meetingDetails.participants.join(', '))}`,
+    '',
+    '## Calendar Events',
+    ''
+  );
+  lines.push(...(calendarEvents.length > 0
+    ? calendarEvents.map(event => `- **${escapeMarkdown(event.title)}** — ${escapeMarkdown(withResolved(`${event.date} at ${event.time}`, event.resolved))}`)
+    : ['_No calendar events detected_']));
+
+  lines.push('', '## Transcript', '');
+  lines.push(...transcriptLines(transcript, segments)
+    .map(line => (line.time ? `\`${line.time}\` ${escapeMarkdown(line.text)}  ` : escapeMarkdown(line.text))));
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+export function buildJsonReport({ title, recordedAt, timeZone, results, transcript, segments = [], template }) {
+  return JSON.stringify({
+    title,
+    recordedAt,
+    timeZone,
+    template: template ? { id: template.id, name: template.name } : undefined,
+    ...results,
+    transcript,
+    segments
+  }, null, 2);
+}
+
+const htmlList = (items, emptyText) => (items.length > 0
+  ? `<ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>`
+  : `<p class="empty">${escapeHtml(emptyText)}</p>`);
+
+export function buildHtmlReport({ title, recordedAt, results, transcript, segments, template }) {
+  const { actionItems, meetingDetails, keyPoints, calendarEvents, summary } = results;
+  const { decisions = [], risks = [], openQuestions = [] } = results;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #111827; max-width: 760px; margin: 2rem auto; padding: 0 1.5rem; line-height: 1.5; }
+  h1 { font-size: 1.75rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.1rem; color: #4338ca; border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; margin-top: 2rem; }
+  .meta { color: #6b7280; margin-top: 0; }
+  .empty { color: #6b7280; font-style: italic; }
+  .details { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; }
+  .details dt { font-weight: 600; }
+  .details dd { margin: 0; }
+  .transcript { white-space: pre-wrap; font-size: 0.9rem; color: #374151; margin: 0.25rem 0; }
+  .timestamp { color: #6b7280; font-family: ui-monospace, monospace; margin-right: 0.75rem; }
+  h2, li { break-inside: avoid; }
+  @media print { body { margin: 0; max-width: none; } h2 { break-after: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Recorded ${escapeHtml(new Date(recordedAt).toLocaleString())}</p>
+
+<h2>Summary</h2>
+<p>${escapeHtml(summary)}</p>
+${templateSections(template, results).map(([sectionTitle, value]) => `
+<h2>${escapeHtml(sectionTitle)}</h2>
+${Array.isArray(value) ? htmlList(value.map(escapeHtml), 'Nothing noted') : `<p>${escapeHtml(value || 'Not specified')}</p>`}
+`).join('')}
+<h2>Key Points</h2>
+${htmlList(keyPoints.map(escapeHtml), 'No key points detected')}
+
+<h2>Decisions</h2>
+${htmlList(decisions.map(escapeHtml), 'No decisions detected')}
+
+<h2>Risks</h2>
+${htmlList(risks.map(escapeHtml), 'No risks detected')}
+
+<h2>Open Questions</h2>
+${htmlList(openQuestions.map(escapeHtml), 'No open questions detected')}
+
+<h2>Action Items</h2>
+${htmlList(actionItems.map(item => {
+    const details = actionItemDetails(item);
+    return `<strong>${escapeHtml(item.task)}</strong> — due ${escapeHtml(withResolved(item.deadline, item.resolved))}${details ? ` <span class="meta">(${escapeHtml(details)})</span>` : ''}`;
+  }), 'No action items detected')}
+
+<h2>Meeting Details</h2>
+<dl class="details">
+  <dt>Date</dt><dd>${escapeHtml(withResolved(meetingDetails.date, meetingDetails.resolved && { ...meetingDetails.resolved, time: null }))}</dd>
+  <dt>Time</dt><dd>${escapeHtml(meetingDetails.time)}</dd>
+  <dt>Participants</dt><dd>${escapeHtml(meetingDetails.participants.join(', '))}</dd>
+</dl>
+
+<h2>Calendar Events</h2>
+${htmlList(calendarEvents.map(event => `<strong>${escapeHtml(event.title)}</strong> — ${escapeHtml(withResolved(`${event.date} at ${event.time}`, event.resolved))}`), 'No calendar events detected')}
+
+<h2>Transcript</h2>
+${transcriptLines(transcript, segments)
+    .map(line => `<p class="transcript">${line.time ? `<span class="timestamp">${line.time}</span>` : ''}${escapeHtml(line.text)}</p>`)
+    .join('\n')}
+</body>
+</html>
+`;
+}
+
+// Open the HTML report in a new window and bring up the print dialog (which also offers "Save as PDF")
+export function printHtmlReport(html) {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    throw new Error('The print window was blocked. Please allow pop-ups for this site.');
+  }
+
+  printWindow.document.open();
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.onafterprint = () => printWindow.close();
+  // Wait for layout before printing so the dialog doesn't show an empty page
+  setTimeout(() => printWindow.print(), 250);
+}
@@ -0,0 +1,136 @@
+// Minimal JSON schema support shared by the browser and the API server.
+// Supports: type (object, array, string, number, boolean), properties, required,
+// items, enum and minLength.
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+// Action item fields, and what they are when nobody said
+export const PRIORITIES = ['high', 'medium', 'low'];
+export const STATUSES = ['open', 'in progress', 'done'];
+export const ACTION_ITEM_DEFAULTS = { assignee: 'Unassigned', priority: 'medium', status: 'open' };
+
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['actionItems', 'meetingDetails', 'keyPoints', 'decisions', 'risks', 'openQuestions', 'calendarEvents', 'summary'],
+  properties: {
+    actionItems: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['task', 'deadline', 'assignee', 'priority', 'status'],
+        properties: {
+          task: nonEmptyString,
+          deadline: nonEmptyString,
+          assignee: nonEmptyString,
+          priority: { type: 'string', enum: PRIORITIES },
+          status: { type: 'string', enum: STATUSES }
+        }
+      }
+    },
+    meetingDetails: {
+      type: 'object',
+      required: ['date', 'time', 'participants'],
+      properties: {
+        date: nonEmptyString,
+        time: nonEmptyString,
+        participants: { type: 'array', items: nonEmptyString }
+      }
+    },
+    keyPoints: { type: 'array', items: nonEmptyString },
+    decisions: { type: 'array', items: nonEmptyString },
+    risks: { type: 'array', items: nonEmptyString },
+    openQuestions: { type: 'array', items: nonEmptyString },
+    calendarEvents: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'date', 'time'],
+        properties: {
+          title: nonEmptyString,
+          date: nonEmptyString,
+          time: nonEmptyString
+        }
+      }
+    },
+    summary: nonEmptyString
+  }
+};
+
+// Meetings analyzed before a field was added to the schema get its default
+export function withAnalysisDefaults(results) {
+  return {
+    ...results,
+    actionItems: results.actionItems.map(item => ({ ...ACTION_ITEM_DEFAULTS, ...item })),
+    decisions: results.decisions || [],
+    risks: results.risks || [],
+    openQuestions: results.openQuestions || []
+  };
+}
+
+// Notes combined from the analyses of the parts of a long meeting
+export const COMBINED_NOTES_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'keyPoints'],
+  properties: {
+    summary: nonEmptyString,
+    keyPoints: { type: 'array', items: nonEmptyString }
+  }
+};
+
+// An answer to a question about a meeting; `citations` are the numbers of the
+// transcript passages it is based on
+export const ANSWER_SCHEMA = {
+  type: 'object',
+  required: ['answer', 'citations'],
+  properties: {
+    answer: nonEmptyString,
+    citations: { type: 'array', items: { type: 'number' } }
+  }
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+// Returns a list of human-readable problems; an empty list means the value is valid
+export function validateAgainstSchema(value, schema, path = '$') {
+  const errors = [];
+  const actualType = typeOf(value);
+
+  if (schema.type && actualType !== schema.type) {
+    errors.push(`${path} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}, got ${actualType}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.type === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
@@ -0,0 +1,211 @@
+import { getMeetingSegments } from './transcript';
+import { DEFAULT_TEMPLATE_ID } from './templates';
+
+// Full-text search over saved meetings. Each meeting is cut into passages - its title,
+// summary, key points, action items and transcript segments - and every word is indexed
+// so a query only looks closely at meetings that contain all of its words.
+//
+// Queries are words (matched at the start of words, so "contract" finds "contracts")
+// and "quoted phrases"; a meeting matches when it contains all of them. Matching
+// ignores case and accents.
+
+// How much a match counts for, by where it was found
+const FIELD_WEIGHTS = { title: 3, summary: 2, keyPoints: 2, actionItems: 2, transcript: 1 };
+const SNIPPET_CHARS = 160;
+const SNIPPETS_PER_MEETING = 3;
+const NO_PARTICIPANTS = 'Unspecified participants';
+
+const foldChar = (char) => char.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+// Lowercased, accent-free text plus, for every character of it, where it came from in
+// the original (so matches in the folded text can be highlighted in the original)
+const foldText = (text) => {
+  let folded = '';
+  const positions = [];
+  for (let index = 0; index < text.length; index++) {
+    const char = foldChar(text[index]);
+    folded += char;
+    for (let i = 0; i < char.length; i++) positions.push(index);
+  }
+  positions.push(text.length);
+  return { folded, positions };
+};
+
+const tokenize = (foldedText) => foldedText.match(/[\p{L}\p{N}]+/gu) || [];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const passagesOf = (meeting) => {
+  const results = meeting.results || {};
+  const passages = [
+    { field: 'title', text: meeting.title || '' },
+    { field: 'summary', text: results.summary || '' },
+    ...(results.keyPoints || []).map(point => ({ field: 'keyPoints', text: point })),
+    ...(results.actionItems || []).map(item => ({ field: 'actionItems', text: item.task }))
+  ];
+
+  const segments = getMeetingSegments(meeting);
+  if (segments.length > 0) {
+    passages.push(...segments.map(segment => ({ field: 'transcript', text: segment.text, start: segment.start, speaker: segment.speaker })));
+  } else {
+    passages.push(...(meeting.transcript?.match(/[^.!?]+[.!?]*/g) || []).map(sentence => ({ field: 'transcript', text: sentence.trim() })));
+  }
+
+  return passages
+    .filter(passage => passage.text)
+    .map(passage => ({ ...passage, ...foldText(passage.text) }));
+};
+
+// People in a meeting: the participants found by the analysis and the speaker labels
+export function getMeetingParticipants(meeting) {
+  const participants = [
+    ...(meeting.results?.meetingDetails?.participants || []),
+    ...getMeetingSegments(meeting).map(segment => segment.speaker)
+  ].filter(name => name && name !== NO_PARTICIPANTS);
+  return [...new Set(participants)];
+}
+
+export function buildSearchIndex(meetings) {
+  const documents = new Map();
+  const postings = new Map();
+
+  meetings.forEach(meeting => {
+    const passages = passagesOf(meeting);
+    documents.set(meeting.id, { meeting, passages, participants: getMeetingParticipants(meeting) });
+
+    passages.forEach(passage => {
+      tokenize(passage.folded).forEach(token => {
+        if (!postings.has(token)) postings.set(token, new Set());
+        postings.get(token).add(meeting.id);
+      });
+    });
+  });
+
+  return { documents, postings };
+}
+
+// Words and "quoted phrases", folded like the index
+export function parseQuery(query) {
+  const terms = [];
+  const rest = foldText(query).folded.replace(/"([^"]*)"/g, (match, phrase) => {
+    const words = tokenize(phrase);
+    if (words.length > 0) terms.push(words);
+    return ' ';
+  });
+  tokenize(rest).forEach(word => terms.push([word]));
+  return terms;
+}
+
+// Meetings containing every word of the query, according to the index
+const candidateIds = (index, terms) => {
+  const words = [...new Set(terms.flat())];
+  let candidates = null;
+
+  words.forEach(word => {
+    const ids = new Set();
+    index.postings.forEach((meetingIds, token) => {
+      if (token.startsWith(word)) meetingIds.forEach(id => ids.add(id));
+    });
+    candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+  });
+
+  return candidates || new Set();
+};
+
+// Where each term occurs in a passage, as [start, end] ranges of the original text
+const findMatches = (passage, patterns) => patterns.map(pattern => [...passage.folded.matchAll(pattern)]
+  .map(match => [passage.positions[match.index], passage.positions[match.index + match[0].length]]));
+
+// A piece of the passage around its first match, split into highlighted and plain parts
+const buildSnippet = (passage, ranges) => {
+  const sorted = ranges.sort((a, b) => a[0] - b[0]);
+  const first = sorted[0][0];
+  const { text } = passage;
+  let start = Math.max(0, first - Math.floor(SNIPPET_CHARS / 3));
+  let end = Math.min(text.length, start + SNIPPET_CHARS);
+  if (end === text.length) start = Math.max(0, end - SNIPPET_CHARS);
+  // Don't start or end in the middle of a word
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < first) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > first) end = space;
+  }
+
+  const parts = [];
+  let position = start;
+  sorted.forEach(([matchStart, matchEnd]) => {
+    if (matchEnd <= position || matchStart >= end) return;
+    if (matchStart > position) parts.push({ text: text.slice(position, matchStart), highlight: false });
+    parts.push({ text: text.slice(Math.max(matchStart, position), Math.min(matchEnd, end)), highlight: true });
+    position = Math.min(matchEnd, end);
+  });
+  if (position < end) parts.push({ text: text.slice(position, end), highlight: false });
+
+  return {
+    field: passage.field,
+    start: passage.start ?? null,
+    speaker: passage.speaker || null,
+    parts,
+    truncatedStart: start > 0,
+    truncatedEnd: end < text.length
+  };
+};
+
+const matchesFilters = (document, { from, to, participant, templateId }) => {
+  const createdAt = new Date(document.meeting.createdAt);
+  if (from && createdAt < new Date(`${from}T00:00:00`)) return false;
+  if (to && createdAt > new Date(`${to}T23:59:59.999`)) return false;
+  if (participant && !document.participants.some(name => name.toLowerCase() === participant.toLowerCase())) return false;
+  if (templateId && (document.meeting.template?.id || DEFAULT_TEMPLATE_ID) !== templateId) return false;
+  return true;
+};
+
+// Matching meetings, best first: { meeting, score, snippets }. Without a query every
+// meeting that passes the filters is returned, newest first.
+// `filters` are { from, to } (YYYY-MM-DD dates), `participant` and `templateId`.
+export function searchMeetings(index, query, filters = {}) {
+  const terms = parseQuery(query);
+  const documents = [...index.documents.values()].filter(document => matchesFilters(document, filters));
+
+  if (terms.length === 0) {
+    return documents
+      .sort((a, b) => b.meeting.createdAt.localeCompare(a.meeting.createdAt))
+      .map(({ meeting }) => ({ meeting, score: 0, snippets: [] }));
+  }
+
+  const candidates = candidateIds(index, terms);
+  // Words match at their start; the highlight covers the whole word
+  const patterns = terms.map(words => new RegExp(`(?<![\\p{L}\\p{N}])${words.map(escapeRegExp).join('[^\\p{L}\\p{N}]+')}[\\p{L}\\p{N}]*`, 'gu'));
+
+  return documents
+    .filter(document => candidates.has(document.meeting.id))
+    .map(document => {
+      const found = new Set();
+      let score = 0;
+      const matched = [];
+
+      document.passages.forEach(passage => {
+        const matches = findMatches(passage, patterns);
+        const termsHere = matches.filter(ranges => ranges.length > 0).length;
+        if (termsHere === 0) return;
+
+        matches.forEach((ranges, term) => ranges.length > 0 && found.add(term));
+        score += FIELD_WEIGHTS[passage.field] * termsHere;
+        matched.push({ passage, ranges: matches.flat(), termsHere });
+      });
+
+      // Phrases have to appear as written, which the word index can't tell
+      if (found.size < terms.length) return null;
+
+      const snippets = matched
+        .sort((a, b) => b.termsHere - a.termsHere || FIELD_WEIGHTS[b.passage.field] - FIELD_WEIGHTS[a.passage.field])
+        .slice(0, SNIPPETS_PER_MEETING)
+        .map(({ passage, ranges }) => buildSnippet(passage, ranges));
+      return { meeting: document.meeting, score, snippets };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || b.meeting.createdAt.localeCompare(a.meeting.createdAt));
+}
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { buildSearchIndex, searchMeetings, parseQuery } from './search';
+
+const meeting = (id, fields) => ({
+  id,
+  title: `Meeting ${id}`,
+  createdAt: '2026-10-01T10:00:00.000Z',
+  transcript: '',
+  segments: [],
+  results: { summary: '', keyPoints: [], actionItems: [], meetingDetails: { participants: [] } },
+  ...fields
+});
+
+const meetings = [
+  meeting('a', {
+    title: 'Vendor sync',
+    createdAt: '2026-10-05T10:00:00.000Z',
+    segments: [
+      { id: 's1', start: 12, end: 15, speaker: 'Ana', text: 'We still have to sign the vendor contract.' },
+      { id: 's2', start: 40, end: 44, speaker: 'Ben', text: 'Lunch is at noon.' }
+    ],
+    template: { id: 'sales-call', name: 'Sales call' }
+  }),
+  meeting('b', {
+    createdAt: '2026-10-10T10:00:00.000Z',
+    transcript: 'The café renovation starts Monday. Contracts are unrelated here.',
+    results: { summary: 'Renovation planning', keyPoints: [], actionItems: [{ task: 'Call the contractor' }], meetingDetails: { participants: ['Cleo'] } }
+  })
+];
+const index = buildSearchIndex(meetings);
+
+describe('parseQuery', () => {
+  it('splits words and quoted phrases, folding case and accents', () => {
+    expect(parseQuery('Café "Vendor  Contract"')).toEqual([['vendor', 'contract'], ['cafe']]);
+  });
+});
+
+describe('searchMeetings', () => {
+  it('matches words at the start of words, ignoring case and accents', () => {
+    // The action item counts for more than a transcript line
+    expect(searchMeetings(index, 'contract').map(result => result.meeting.id)).toEqual(['b', 'a']);
+    expect(searchMeetings(index, 'CAFE').map(result => result.meeting.id)).toEqual(['b']);
+  });
+
+  it('requires every word and phrases as written', () => {
+    expect(searchMeetings(index, '"vendor contract"').map(result => result.meeting.id)).toEqual(['a']);
+    expect(searchMeetings(index, '"contract vendor"')).toEqual([]);
+    expect(searchMeetings(index, 'vendor renovation')).toEqual([]);
+  });
+
+  it('highlights whole matched words in snippets that link to the recording', () => {
+    const [result] = searchMeetings(index, 'contr', { participant: 'ana' });
+    const snippet = result.snippets.find(candidate => candidate.field === 'transcript');
+    expect(snippet).toMatchObject({ start: 12, speaker: 'Ana' });
+    expect(snippet.parts.filter(part => part.highlight).map(part => part.text)).toEqual(['contract']);
+  });
+
+  it('filters by date range, participant and meeting type', () => {
+    expect(searchMeetings(index, '', { from: '2026-10-06' }).map(result => result.meeting.id)).toEqual(['b']);
+    expect(searchMeetings(index, '', { to: '2026-10-05' }).map(result => result.meeting.id)).toEqual(['a']);
+    expect(searchMeetings(index, 'contract', { participant: 'Cleo' }).map(result => result.meeting.id)).toEqual(['b']);
+    expect(searchMeetings(index, '', { templateId: 'general' }).map(result => result.meeting.id)).toEqual(['b']);
+  });
+});
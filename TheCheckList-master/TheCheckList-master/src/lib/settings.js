@@ -0,0 +1,42 @@
+import { DEFAULT_LANGUAGE } from './languages';
+import { DEFAULT_TEMPLATE_ID } from './templates';
+
+const STORAGE_KEY = 'voicegenius.settings';
+
+export const DEFAULT_SETTINGS = {
+  // Empty values let the server use its configured defaults
+  provider: '',
+  model: '',
+  // Speech recognition locale and the language the analysis is written in
+  language: DEFAULT_LANGUAGE,
+  // Meeting template new meetings are analyzed with (see templates.js and templateStore.js)
+  templateId: DEFAULT_TEMPLATE_ID,
+  // Send the recording to the server's diarization service to label speakers
+  diarization: false,
+  // Live transcription engine: 'auto', 'webspeech' or 'server' (see transcriptionEngines.js)
+  engine: 'auto',
+  // Update running notes every this many minutes of new transcript while recording; 0 turns it off
+  liveAnalysisMinutes: 0,
+  // Pause the recording after this many seconds without speech (it resumes when someone speaks); 0 turns it off
+  autoPauseSilenceSeconds: 0,
+  // End the recording after this many minutes without speech; 0 turns it off
+  autoStopSilenceMinutes: 0
+};
+
+export function loadSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return { ...DEFAULT_SETTINGS, ...stored };
+  } catch (err) {
+    console.error('Failed to read saved settings:', err);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.error('Failed to save settings:', err);
+  }
+}
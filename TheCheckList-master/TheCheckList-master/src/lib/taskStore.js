@@ -0,0 +1,126 @@
+import { createId, runRequest, updateRecord } from './db';
+import { resolvedSortKey } from './dates';
+
+const STORE = 'tasks';
+
+export class DuplicateTaskError extends Error {
+  constructor(text) {
+    super(`"${text}" is already on your checklist`);
+    this.name = 'DuplicateTaskError';
+  }
+}
+
+// Task text the checklist can't store, with a message fit to show
+export class InvalidTaskTextError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidTaskTextError';
+  }
+}
+
+// Tasks count as duplicates when they only differ in case, punctuation or spacing
+export function normalizeTaskText(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const isConstraintError = (err) => err?.name === 'ConstraintError';
+
+// Trimmed text and its normalized form. Text without a letter or number ("?!") would
+// normalize to "" and collide with every other such task, so it is turned away.
+const prepareTaskText = (text) => {
+  const trimmedText = text.trim();
+  if (!trimmedText) {
+    throw new InvalidTaskTextError('Task text cannot be empty');
+  }
+  const normalizedText = normalizeTaskText(trimmedText);
+  if (!normalizedText) {
+    throw new InvalidTaskTextError('Task text needs at least one letter or number');
+  }
+  return { text: trimmedText, normalizedText };
+};
+
+// Tasks with a due date sort before undated ones, earliest due first
+const compareDue = (a, b) => {
+  const keyA = resolvedSortKey(a.due);
+  const keyB = resolvedSortKey(b.due);
+  if (keyA && keyB) return keyA.localeCompare(keyB);
+  if (keyA || keyB) return keyA ? -1 : 1;
+  return 0;
+};
+
+// Open tasks first, then by due date, then oldest first so the list doesn't reshuffle as tasks are added
+export async function listTasks() {
+  const tasks = await runRequest(STORE, 'readonly', store => store.getAll());
+  return tasks.sort((a, b) => Number(a.done) - Number(b.done)
+    || compareDue(a, b)
+    || a.createdAt.localeCompare(b.createdAt));
+}
+
+// `due` is the resolved deadline (see resolveDateTime in dates.js), kept next to the spoken `deadline`
+export async function addTask({ text, deadline = 'Not specified', due = null, meetingId = null }) {
+  const task = {
+    id: createId(),
+    ...prepareTaskText(text),
+    deadline,
+    due,
+    meetingId,
+    done: false,
+    createdAt: new Date().toISOString()
+  };
+
+  try {
+    await runRequest(STORE, 'readwrite', store => store.add(task));
+  } catch (err) {
+    if (isConstraintError(err)) {
+      throw new DuplicateTaskError(task.text);
+    }
+    throw err;
+  }
+  return task;
+}
+
+// Add every action item from a meeting, skipping ones already on the checklist
+export async function addTasksFromActionItems(actionItems, meetingId) {
+  const added = [];
+  let skipped = 0;
+
+  for (const item of actionItems) {
+    // Nothing to put on the checklist, and it would only be rejected
+    if (!normalizeTaskText(item.task)) {
+      skipped++;
+      continue;
+    }
+    try {
+      added.push(await addTask({ text: item.task, deadline: item.deadline, due: item.resolved || null, meetingId }));
+    } catch (err) {
+      if (!(err instanceof DuplicateTaskError)) {
+        throw err;
+      }
+      skipped++;
+    }
+  }
+
+  return { added, skipped };
+}
+
+// Read and write in one transaction, so a tick and an edit arriving together both stick
+export async function updateTask(id, changes) {
+  const textChanges = changes.text !== undefined ? prepareTaskText(changes.text) : {};
+
+  try {
+    return await updateRecord(STORE, id, task => ({ ...task, ...changes, ...textChanges, id }), 'Task not found');
+  } catch (err) {
+    if (isConstraintError(err)) {
+      throw new DuplicateTaskError(textChanges.text);
+    }
+    throw err;
+  }
+}
+
+export async function deleteTask(id) {
+  await runRequest(STORE, 'readwrite', store => store.delete(id));
+}
@@ -0,0 +1,48 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeAll } from 'vitest';
+
+let store;
+
+beforeAll(async () => {
+  // db.js looks for IndexedDB and crypto on window
+  globalThis.window = globalThis;
+  store = await import('./taskStore');
+});
+
+describe('taskStore', () => {
+  it('turns a duplicate into a DuplicateTaskError', async () => {
+    await store.addTask({ text: 'Send the deck' });
+    await expect(store.addTask({ text: 'send the deck!' })).rejects.toBeInstanceOf(store.DuplicateTaskError);
+  });
+
+  it('skips duplicates when adding action items instead of stopping', async () => {
+    const { added, skipped } = await store.addTasksFromActionItems([
+      { task: 'Send the deck', deadline: 'Friday' },
+      { task: 'Book a room', deadline: 'Not specified' },
+      { task: '?!', deadline: 'Not specified' }
+    ], 'meeting-1');
+    expect(added.map(task => task.text)).toEqual(['Book a room']);
+    expect(skipped).toBe(2);
+  });
+
+  it('rejects text without letters or numbers', async () => {
+    await expect(store.addTask({ text: '...' })).rejects.toThrow('letter or number');
+  });
+
+  it('updates in place and refuses to rename onto an existing task', async () => {
+    const task = await store.addTask({ text: 'Write the notes' });
+    await expect(store.updateTask(task.id, { text: 'Book a room' })).rejects.toBeInstanceOf(store.DuplicateTaskError);
+
+    // Two updates started together both stick
+    await Promise.all([
+      store.updateTask(task.id, { done: true }),
+      store.updateTask(task.id, { text: 'Write the meeting notes' })
+    ]);
+    const saved = (await store.listTasks()).find(candidate => candidate.id === task.id);
+    expect(saved).toMatchObject({ done: true, text: 'Write the meeting notes', normalizedText: 'write the meeting notes' });
+  });
+
+  it('reports tasks that are gone', async () => {
+    await expect(store.updateTask('missing', { done: true })).rejects.toThrow('Task not found');
+  });
+});
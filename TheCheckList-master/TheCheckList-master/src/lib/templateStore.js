@@ -0,0 +1,42 @@
+import { BUILT_IN_TEMPLATES, DEFAULT_TEMPLATE_ID, validateTemplate } from './templates';
+
+const STORAGE_KEY = 'voicegenius.templates';
+
+// Custom meeting templates are stored in this browser as JSON, in the same shape as
+// the built-in ones (see templates.js). A custom template can't reuse a built-in id.
+
+export function loadCustomTemplates() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    // Skip anything that was edited into an unusable shape outside the app
+    return Array.isArray(stored) ? stored.filter(template => validateTemplate(template).length === 0) : [];
+  } catch (err) {
+    console.error('Failed to read custom templates:', err);
+    return [];
+  }
+}
+
+export function saveCustomTemplates(templates) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+  } catch (err) {
+    console.error('Failed to save custom templates:', err);
+  }
+}
+
+export const isBuiltInTemplate = (id) => BUILT_IN_TEMPLATES.some(template => template.id === id);
+
+// Problems with a template the user wrote or imported, on top of the schema checks
+export function checkCustomTemplate(template) {
+  const errors = validateTemplate(template);
+  if (errors.length === 0 && isBuiltInTemplate(template.id)) {
+    errors.push(`"${template.id}" is the id of a built-in template; choose another id`);
+  }
+  return errors;
+}
+
+export const listTemplates = (customTemplates) => [...BUILT_IN_TEMPLATES, ...customTemplates];
+
+// Unknown ids (a deleted custom template) fall back to the general template
+export const findTemplate = (id, customTemplates) => listTemplates(customTemplates).find(template => template.id === id)
+  || BUILT_IN_TEMPLATES.find(template => template.id === DEFAULT_TEMPLATE_ID);
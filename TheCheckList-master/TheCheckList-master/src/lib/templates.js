@@ -0,0 +1,162 @@
+// Meeting templates, shared by the browser and the API server. A template tells the
+// analysis what kind of meeting it is looking at: extra `instructions` for the prompt,
+// the `sections` to extract on top of the standard notes, and which of the standard
+// result cards (`standardCards`) are worth showing for that kind of meeting.
+//
+// A section is { id, title, type, description, phrases }: `type` is 'list' (a list of
+// strings) or 'text' (one string), `description` tells the model what belongs in it
+// and `phrases` are what the offline fallback looks for in the transcript. The
+// extracted sections come back as `results.sections`, keyed by section id.
+//
+// Custom templates are plain JSON in this same shape (see templateStore.js).
+import { ANALYSIS_SCHEMA, validateAgainstSchema } from './schema.js';
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+export const SECTION_TYPES = ['list', 'text'];
+
+// The result cards every analysis has, in the order they are shown
+export const STANDARD_CARDS = ['actionItems', 'meetingDetails', 'keyPoints', 'decisions', 'risks', 'openQuestions', 'calendarEvents'];
+
+export const DEFAULT_TEMPLATE_ID = 'general';
+
+export const TEMPLATE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name', 'sections'],
+  properties: {
+    id: nonEmptyString,
+    name: nonEmptyString,
+    description: { type: 'string' },
+    instructions: { type: 'string' },
+    sections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'title', 'type'],
+        properties: {
+          id: nonEmptyString,
+          title: nonEmptyString,
+          type: { type: 'string', enum: SECTION_TYPES },
+          description: { type: 'string' },
+          phrases: { type: 'array', items: nonEmptyString }
+        }
+      }
+    },
+    standardCards: { type: 'array', items: { type: 'string', enum: STANDARD_CARDS } }
+  }
+};
+
+// The offline phrases are English; in other languages those sections are left to the LLM
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: DEFAULT_TEMPLATE_ID,
+    name: 'General meeting',
+    description: 'Action items, key points, decisions and events from any meeting',
+    sections: []
+  },
+  {
+    id: 'standup',
+    name: 'Standup',
+    description: 'What everyone did, what they are doing next and what is in their way',
+    instructions: 'This is a daily standup. Each person says what they did since the last standup, what they will do next and what blocks them. Start every item with the name of the person it is about when it is known.',
+    sections: [
+      { id: 'yesterday', title: 'Yesterday', type: 'list', description: 'What each person finished or worked on since the last standup', phrases: ['yesterday', 'finished', 'completed', 'wrapped up', 'done with', 'worked on'] },
+      { id: 'today', title: 'Today', type: 'list', description: 'What each person plans to work on next', phrases: ['today', 'working on', 'going to', 'plan to', 'next up'] },
+      { id: 'blockers', title: 'Blockers', type: 'list', description: 'What is stopping someone from making progress, and who could help', phrases: ['blocked', 'blocker', 'stuck', 'waiting on', 'waiting for'] }
+    ],
+    standardCards: ['actionItems', 'meetingDetails']
+  },
+  {
+    id: 'retro',
+    name: 'Retrospective',
+    description: 'What went well, what to improve and what the team will change',
+    instructions: 'This is a team retrospective. The action items are the changes the team committed to for the next iteration.',
+    sections: [
+      { id: 'wentWell', title: 'What went well', type: 'list', description: 'Things the team was happy with and wants to keep doing', phrases: ['went well', 'worked well', 'went great', 'happy with', 'liked', 'proud'] },
+      { id: 'toImprove', title: 'What to improve', type: 'list', description: 'Things that went badly, were frustrating or slowed the team down', phrases: ['improve', 'went wrong', "didn't work", 'did not work', 'frustrating', 'slowed us down', 'do better'] }
+    ],
+    standardCards: ['actionItems', 'meetingDetails', 'decisions']
+  },
+  {
+    id: 'one-on-one',
+    name: '1:1',
+    description: 'Topics, feedback and goals from a one-on-one',
+    instructions: 'This is a one-on-one between a manager and a report, or two colleagues.',
+    sections: [
+      { id: 'topics', title: 'Topics discussed', type: 'list', description: 'The subjects the two people talked about', phrases: ['talk about', 'wanted to discuss', 'update on', 'how is'] },
+      { id: 'feedback', title: 'Feedback', type: 'list', description: 'Feedback given in either direction, with who gave it', phrases: ['feedback', 'great job', 'well done', 'could have', 'would like you to'] },
+      { id: 'goals', title: 'Goals and growth', type: 'list', description: 'Career goals, development plans and progress on them', phrases: ['goal', 'career', 'promotion', 'learn', 'grow', 'develop'] }
+    ],
+    standardCards: ['actionItems', 'meetingDetails', 'openQuestions', 'calendarEvents']
+  },
+  {
+    id: 'sales-call',
+    name: 'Sales call',
+    description: 'Customer needs, objections, budget and next steps',
+    instructions: 'This is a sales call with a prospect or customer. The action items are the agreed next steps.',
+    sections: [
+      { id: 'needs', title: 'Customer needs', type: 'list', description: 'Problems, requirements and goals the customer described', phrases: ['we need', 'looking for', 'struggling with', 'requirement', 'pain point', 'would like'] },
+      { id: 'objections', title: 'Objections', type: 'list', description: 'Concerns or reasons not to buy the customer raised, and how they were answered', phrases: ['too expensive', 'concern', 'not sure', 'competitor', 'already use', 'worried'] },
+      { id: 'decisionMakers', title: 'Decision makers', type: 'list', description: 'Who decides or signs off on the purchase, and their role', phrases: ['sign off', 'decision maker', 'approve', 'my boss', 'procurement'] },
+      { id: 'budgetAndTimeline', title: 'Budget and timeline', type: 'text', description: 'The budget and the buying timeline the customer mentioned, or "Not specified"', phrases: ['budget', 'pricing', 'price', 'quarter', 'timeline'] }
+    ],
+    standardCards: ['actionItems', 'meetingDetails', 'openQuestions', 'calendarEvents']
+  },
+  {
+    id: 'interview',
+    name: 'Interview',
+    description: 'A candidate interview: strengths, concerns and a recommendation',
+    instructions: 'This is a job interview. Describe the candidate factually, based only on what was said.',
+    sections: [
+      { id: 'role', title: 'Role', type: 'text', description: 'The position the candidate is interviewing for, or "Not specified"', phrases: ['role', 'position', 'applying for'] },
+      { id: 'strengths', title: 'Strengths', type: 'list', description: 'Relevant experience and skills the candidate showed', phrases: ['experience', 'i built', 'i led', 'i managed', 'strong', 'skilled'] },
+      { id: 'concerns', title: 'Concerns', type: 'list', description: 'Gaps or doubts that came up', phrases: ['never', "haven't", 'not familiar', 'gap', 'concern', 'struggle'] },
+      { id: 'recommendation', title: 'Recommendation', type: 'text', description: 'The interviewer\'s overall impression and whether to move forward, if stated, or "Not specified"', phrases: ['move forward', 'next round', 'recommend', 'hire', 'good fit'] }
+    ],
+    standardCards: ['actionItems', 'meetingDetails', 'openQuestions', 'calendarEvents']
+  }
+];
+
+// Returns a list of problems with a (custom) template; an empty list means it can be used
+export function validateTemplate(template) {
+  const errors = validateAgainstSchema(template, TEMPLATE_SCHEMA);
+  if (errors.length > 0) return errors;
+
+  const seen = new Set();
+  template.sections.forEach((section, index) => {
+    // Section ids become JSON keys the model has to repeat exactly
+    if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(section.id)) {
+      errors.push(`$.sections[${index}].id must start with a letter and contain only letters, digits and _`);
+    }
+    if (seen.has(section.id)) {
+      errors.push(`$.sections[${index}].id "${section.id}" is used by more than one section`);
+    }
+    seen.add(section.id);
+  });
+  return errors;
+}
+
+// The analysis schema plus the template's sections
+export function analysisSchemaFor(template) {
+  const sections = template?.sections || [];
+  if (sections.length === 0) return ANALYSIS_SCHEMA;
+
+  return {
+    ...ANALYSIS_SCHEMA,
+    required: [...ANALYSIS_SCHEMA.required, 'sections'],
+    properties: {
+      ...ANALYSIS_SCHEMA.properties,
+      sections: {
+        type: 'object',
+        required: sections.map(section => section.id),
+        properties: Object.fromEntries(sections.map(section => [
+          section.id,
+          section.type === 'list' ? { type: 'array', items: nonEmptyString } : nonEmptyString
+        ]))
+      }
+    }
+  };
+}
+
+// Whether a standard card is shown for results analyzed with this template
+export const showsCard = (template, card) => !template?.standardCards || template.standardCards.includes(card);
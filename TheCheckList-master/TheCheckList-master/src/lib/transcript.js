@@ -0,0 +1,169 @@
+import { createId } from './db';
+
+// A transcript is a list of segments, one per final recognition result:
+// { id, text, start, end, confidence, alternatives, edited, sessionId, speaker }.
+// `start` and `end` are seconds from the start of the recording, `confidence` is 0-1
+// (null when the engine doesn't report it) and `alternatives` lists the recognizer's
+// other guesses for the phrase. `edited` is set once someone corrected the text by hand.
+// `sessionId` identifies the recognition session the segment came from - the browser
+// restarts recognition every so often. `speaker` is the label of whoever said it, or
+// null when unknown. Segments saved before alternatives existed lack those two fields.
+
+export function createSegment({ text, start, end, confidence = null, alternatives = [], sessionId = null, speaker = null }) {
+  const trimmedText = text.trim();
+  return {
+    id: createId(),
+    text: trimmedText,
+    start,
+    end: Math.max(start, end ?? start),
+    confidence: typeof confidence === 'number' && confidence > 0 ? confidence : null,
+    alternatives: [...new Set(alternatives.map(alternative => alternative.trim()))]
+      .filter(alternative => alternative && alternative !== trimmedText),
+    edited: false,
+    sessionId,
+    speaker
+  };
+}
+
+// Below this the recognizer was guessing; such phrases are highlighted for checking
+export const LOW_CONFIDENCE_THRESHOLD = 0.7;
+
+export function isLowConfidence(segment) {
+  return !segment.edited && segment.confidence !== null && segment.confidence < LOW_CONFIDENCE_THRESHOLD;
+}
+
+// Replace a segment's text with a correction; what was there before becomes an alternative
+export function correctSegment(segments, id, text) {
+  return segments.map(segment => {
+    if (segment.id !== id) return segment;
+    const correctedText = text.trim();
+    return {
+      ...segment,
+      text: correctedText,
+      alternatives: [...new Set([segment.text, ...(segment.alternatives || [])])].filter(alternative => alternative !== correctedText),
+      edited: true
+    };
+  });
+}
+
+export function segmentsToText(segments) {
+  return segments.map(segment => segment.text).join(' ');
+}
+
+// Meetings saved before segments existed only have `timeline` entries of { text, start }
+export function getMeetingSegments(meeting) {
+  if (Array.isArray(meeting.segments)) return meeting.segments;
+  if (!Array.isArray(meeting.timeline)) return [];
+
+  return meeting.timeline.map((entry, index) => ({
+    id: `${meeting.id}-${index}`,
+    text: entry.text,
+    start: entry.start,
+    end: meeting.timeline[index + 1]?.start ?? entry.start,
+    confidence: null,
+    alternatives: [],
+    edited: false,
+    sessionId: null,
+    speaker: null
+  }));
+}
+
+// Distinct speaker labels in order of first appearance
+export function listSpeakers(segments) {
+  return [...new Set(segments.map(segment => segment.speaker).filter(Boolean))];
+}
+
+export function renameSpeaker(segments, from, to) {
+  return segments.map(segment => (segment.speaker === from ? { ...segment, speaker: to } : segment));
+}
+
+// Transcript with one "Speaker: text" line per change of speaker, for the extraction prompt
+export function buildSpeakerTranscript(segments) {
+  const lines = [];
+  segments.forEach(segment => {
+    const previous = lines[lines.length - 1];
+    if (previous && previous.speaker === segment.speaker) {
+      previous.text += ` ${segment.text}`;
+    } else {
+      lines.push({ speaker: segment.speaker, text: segment.text });
+    }
+  });
+
+  return lines.map(line => (line.speaker ? `${line.speaker}: ${line.text}` : line.text)).join('\n');
+}
+
+// Label segments with the diarization turn they overlap most. Segments that already have a
+// speaker (set by hand) keep it; diarization ids like "SPEAKER_00" become "Speaker 1".
+export function assignSpeakers(segments, turns) {
+  const names = new Map();
+  const nameFor = (id) => {
+    if (!names.has(id)) {
+      names.set(id, `Speaker ${names.size + 1}`);
+    }
+    return names.get(id);
+  };
+
+  return segments.map(segment => {
+    if (segment.speaker) return segment;
+
+    let best = null;
+    let bestOverlap = 0;
+    turns.forEach(turn => {
+      // Zero-length segments count as a point in time
+      const overlap = Math.min(segment.end, turn.end) - Math.max(segment.start, turn.start);
+      const touches = segment.end === segment.start && segment.start >= turn.start && segment.start <= turn.end;
+      if (overlap > bestOverlap || (!best && touches)) {
+        best = turn;
+        bestOverlap = Math.max(overlap, 0);
+      }
+    });
+
+    return best ? { ...segment, speaker: nameFor(best.speaker) } : segment;
+  });
+}
+
+// "m:ss", or "h:mm:ss" for long recordings
+export function formatTimestamp(seconds) {
+  const totalSeconds = Math.floor(seconds);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const rest = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+// Index of the segment being heard at `time`: a segment stays active until the next one begins
+export function findActiveSegmentIndex(segments, time) {
+  if (time === null || time === undefined) return -1;
+
+  for (let index = segments.length - 1; index >= 0; index--) {
+    if (time >= segments[index].start) return index;
+  }
+  return -1;
+}
+
+// Pauses taken while recording are stored with the meeting as { at, duration }: `at` is
+// the point in the recording (seconds, like segment times) where it was paused and
+// `duration` how long the break lasted. The audio itself has no gap, so segment
+// times still match playback.
+
+// Segments with the pauses between them, in order: entries are { segment, index } or { pause }
+export function withPauses(segments, pauses = []) {
+  const remaining = [...pauses].sort((a, b) => a.at - b.at);
+  const entries = [];
+  segments.forEach((segment, index) => {
+    while (remaining.length > 0 && remaining[0].at <= segment.start) {
+      entries.push({ pause: remaining.shift() });
+    }
+    entries.push({ segment, index });
+  });
+  return [...entries, ...remaining.map(pause => ({ pause }))];
+}
+
+// "45 s", "12 min" or "1 h 5 min"
+export function formatDuration(seconds) {
+  const totalMinutes = Math.round(seconds / 60);
+  if (seconds < 60) return `${Math.round(seconds)} s`;
+  if (totalMinutes < 60) return `${totalMinutes} min`;
+  const minutes = totalMinutes % 60;
+  return `${Math.floor(totalMinutes / 60)} h${minutes > 0 ? ` ${minutes} min` : ''}`;
+}
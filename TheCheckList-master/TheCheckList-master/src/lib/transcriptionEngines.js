@@ -0,0 +1,304 @@
+import { createId } from './db';
+import { transcribeAudio } from './analysis';
+
+// Transcription engines turn the live microphone stream into transcript segments.
+// Every engine is created with callbacks and exposes the same interface:
+//
+//   const engine = createXxxEngine({ language, getOffset, onSegment, onError, onFailure });
+//   engine.start(stream);  // begin transcribing
+//   await engine.stop();   // stop and wait for the last segments to arrive
+//
+// Pausing a recording stops the engine and starts it again on the same stream.
+//
+// `getOffset()` returns seconds since the recording started. `onSegment` receives
+// { text, start, end, confidence, alternatives, sessionId }. `onError(message)` reports problems
+// the engine recovers from; `onFailure(error)` means the engine gave up - when
+// `error.canFallBack` is set another engine may still work with the same stream.
+
+export const ENGINES = [
+  { id: 'webspeech', label: 'Browser speech recognition' },
+  { id: 'server', label: 'Server transcription' }
+];
+
+export class TranscriptionEngineError extends Error {
+  constructor(message, { canFallBack = false } = {}) {
+    super(message);
+    this.name = 'TranscriptionEngineError';
+    this.canFallBack = canFallBack;
+  }
+}
+
+export function isWebSpeechSupported() {
+  return 'SpeechRecognition' in window || 'webkitSpeechRecognition' in window;
+}
+
+// The engine to start with: the user's choice, or Web Speech when the browser has it.
+// Null when nothing can transcribe: no Web Speech and no server transcription.
+export function chooseEngine(preference, { serverAvailable }) {
+  if (preference === 'server') return 'server';
+  if (isWebSpeechSupported()) return 'webspeech';
+  return serverAvailable ? 'server' : null;
+}
+
+const MAX_RESTART_FAILURES = 3;
+const RESTART_DELAY_MS = 300;
+// Errors after which the speech service won't come back by restarting
+const FALLBACK_ERRORS = ['network', 'service-not-allowed', 'language-not-supported'];
+const MICROPHONE_ERRORS = {
+  'not-allowed': 'Microphone access denied. Please allow microphone access in your browser settings and try again.',
+  'audio-capture': 'Unable to capture audio from your microphone. Please check that your microphone is connected and working properly.'
+};
+
+// Chrome's Web Speech API. Recognition ends by itself every so often, so it is
+// restarted while recording; each run gets its own session id. Repeated failures
+// to restart (typically network errors) end the engine so the caller can fall back.
+export function createWebSpeechEngine({ language, getOffset, onSegment, onError, onFailure }) {
+  const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+  let recognition = null;
+  let running = false;
+  let sessionId = null;
+  let phraseStart = null;
+  let consecutiveFailures = 0;
+  let lastError = null;
+  let restartTimer = null;
+  let resolveStopped = null;
+
+  const fail = (error) => {
+    running = false;
+    clearTimeout(restartTimer);
+    onFailure(error);
+  };
+
+  const handleResult = (event) => {
+    // Only look at results that changed in this event - earlier final results are already stored
+    for (let i = event.resultIndex; i < event.results.length; i++) {
+      if (event.results[i].isFinal) {
+        const [bestAlternative, ...otherAlternatives] = Array.from(event.results[i]);
+        if (bestAlternative.transcript.trim()) {
+          const end = getOffset();
+          onSegment({
+            text: bestAlternative.transcript,
+            start: phraseStart ?? end,
+            end,
+            confidence: bestAlternative.confidence,
+            alternatives: otherAlternatives.map(alternative => alternative.transcript),
+            sessionId
+          });
+        }
+        phraseStart = null;
+        consecutiveFailures = 0;
+      } else if (phraseStart == null) {
+        // First interim result of a new phrase - this is roughly when the speaker started talking
+        phraseStart = getOffset();
+      }
+    }
+  };
+
+  const handleError = (event) => {
+    console.log('Speech recognition error:', event.error, event);
+    lastError = event.error;
+
+    // Silence and our own stop() are normal
+    if (event.error === 'no-speech' || event.error === 'aborted') return;
+
+    if (MICROPHONE_ERRORS[event.error]) {
+      fail(new TranscriptionEngineError(MICROPHONE_ERRORS[event.error]));
+    } else if (FALLBACK_ERRORS.includes(event.error)) {
+      consecutiveFailures++;
+    } else {
+      onError(`Speech recognition error: ${event.error}.`);
+    }
+  };
+
+  const restart = () => {
+    if (!running) return;
+    try {
+      recognition.start();
+      console.log('Restarted speech recognition');
+    } catch (err) {
+      console.log('Failed to restart recognition:', err);
+      consecutiveFailures++;
+      scheduleRestart();
+    }
+  };
+
+  // Back off a little more after each failure, and give up after a few in a row
+  const scheduleRestart = () => {
+    if (consecutiveFailures >= MAX_RESTART_FAILURES) {
+      fail(new TranscriptionEngineError(
+        lastError === 'network'
+          ? 'The browser speech service could not be reached.'
+          : `Browser speech recognition stopped working (${lastError || 'unknown error'}).`,
+        { canFallBack: true }
+      ));
+      return;
+    }
+    restartTimer = setTimeout(restart, RESTART_DELAY_MS * 2 ** consecutiveFailures);
+  };
+
+  const createRecognition = () => {
+    const instance = new SpeechRecognition();
+    instance.continuous = true;
+    instance.interimResults = true; // Interim results tell us when a phrase started
+    instance.lang = language;
+    instance.maxAlternatives = 3;
+
+    instance.onstart = () => {
+      sessionId = createId();
+      lastError = null;
+      console.log('Speech recognition started, session', sessionId);
+    };
+    instance.onresult = handleResult;
+    instance.onerror = handleError;
+    instance.onend = () => {
+      console.log('Speech recognition ended');
+      phraseStart = null;
+      if (running) {
+        // Errors that can't be fixed by restarting end the engine right away
+        if (['service-not-allowed', 'language-not-supported'].includes(lastError)) {
+          consecutiveFailures = MAX_RESTART_FAILURES;
+        }
+        scheduleRestart();
+      } else {
+        resolveStopped?.();
+      }
+    };
+    return instance;
+  };
+
+  return {
+    id: 'webspeech',
+
+    start() {
+      if (!SpeechRecognition) {
+        throw new TranscriptionEngineError('Speech recognition is not supported in this browser.', { canFallBack: true });
+      }
+      running = true;
+      consecutiveFailures = 0;
+      recognition = createRecognition();
+      recognition.start();
+    },
+
+    stop() {
+      running = false;
+      clearTimeout(restartTimer);
+      if (!recognition) return Promise.resolve();
+
+      return new Promise((resolve) => {
+        // Final results arrive before "end"; don't wait forever if it never fires
+        const timeout = setTimeout(resolve, 1500);
+        resolveStopped = () => {
+          clearTimeout(timeout);
+          resolve();
+        };
+        try {
+          recognition.stop();
+        } catch (err) {
+          console.log('Error stopping recognition:', err);
+          resolveStopped();
+        }
+      });
+    }
+  };
+}
+
+const SERVER_CHUNK_SECONDS = 15;
+
+const pickMimeType = () => ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4']
+  .find(type => window.MediaRecorder?.isTypeSupported?.(type));
+
+// Records the stream in short standalone files with its own MediaRecorder and
+// uploads each one to the API server's /api/transcribe endpoint. Chunks are cut
+// on a fixed schedule, so a word spoken right at a boundary can be lost.
+export function createServerEngine({ language, getOffset, onSegment, onError, onFailure }) {
+  let stream = null;
+  let recorder = null;
+  let running = false;
+  let chunkTimer = null;
+  let uploads = Promise.resolve();
+  let failedUploads = 0;
+
+  const upload = (blob, offset, duration) => {
+    const sessionId = createId();
+    uploads = uploads
+      .then(() => transcribeAudio(blob, { language, offset }))
+      .then(({ text, segments }) => {
+        failedUploads = 0;
+        if (segments.length > 0) {
+          segments.forEach(segment => onSegment({ ...segment, sessionId }));
+        } else if (text.trim()) {
+          onSegment({ text, start: offset, end: offset + duration, confidence: null, sessionId });
+        }
+      })
+      .catch(err => {
+        console.error('Chunk transcription failed:', err);
+        failedUploads++;
+        if (failedUploads >= MAX_RESTART_FAILURES && running) {
+          running = false;
+          clearTimeout(chunkTimer);
+          onFailure(new TranscriptionEngineError(`Server transcription failed: ${err.message}`));
+        } else {
+          onError(`Part of the recording could not be transcribed: ${err.message}`);
+        }
+      });
+  };
+
+  const recordChunk = () => {
+    const chunks = [];
+    const offset = getOffset();
+    const mimeType = pickMimeType();
+    const chunkRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+
+    chunkRecorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        chunks.push(event.data);
+      }
+    };
+    chunkRecorder.onstop = () => {
+      if (chunks.length > 0) {
+        upload(new Blob(chunks, { type: chunkRecorder.mimeType }), offset, getOffset() - offset);
+      }
+      // Start the next chunk straight away so nothing is missed between files
+      if (running) {
+        recordChunk();
+      }
+      chunkRecorder._resolveStopped?.();
+    };
+
+    chunkRecorder.start();
+    recorder = chunkRecorder;
+    chunkTimer = setTimeout(() => {
+      if (chunkRecorder.state !== 'inactive') {
+        chunkRecorder.stop();
+      }
+    }, SERVER_CHUNK_SECONDS * 1000);
+  };
+
+  return {
+    id: 'server',
+
+    start(mediaStream) {
+      stream = mediaStream;
+      running = true;
+      failedUploads = 0;
+      recordChunk();
+    },
+
+    async stop() {
+      running = false;
+      clearTimeout(chunkTimer);
+      if (recorder && recorder.state !== 'inactive') {
+        await new Promise((resolve) => {
+          recorder._resolveStopped = resolve;
+          recorder.stop();
+        });
+      }
+      // Wait for the last chunks to come back from the server
+      await uploads;
+    }
+  };
+}
+
+export function createEngine(id, options) {
+  return id === 'server' ? createServerEngine(options) : createWebSpeechEngine(options);
+}
@@ -0,0 +1,35 @@
+import workletUrl from './voiceActivityWorklet.js?worker&url';
+
+// Input level metering and voice activity detection for the microphone stream. The
+// work happens in an AudioWorklet (voiceActivityWorklet.js) off the main thread.
+// `onUpdate({ level, speaking })` is called about 20 times a second.
+// Resolves with a monitor whose close() releases the audio context.
+export async function createVoiceActivityMonitor(stream, { onUpdate }) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass || !window.AudioWorkletNode) {
+    throw new Error('This browser does not support AudioWorklet');
+  }
+
+  const audioContext = new AudioContextClass();
+  let source;
+  let node;
+  try {
+    await audioContext.audioWorklet.addModule(workletUrl);
+    source = audioContext.createMediaStreamSource(stream);
+    // No outputs: the node only listens, nothing is played back
+    node = new AudioWorkletNode(audioContext, 'voice-activity', { numberOfInputs: 1, numberOfOutputs: 0 });
+    node.port.onmessage = (event) => onUpdate(event.data);
+    source.connect(node);
+  } catch (err) {
+    audioContext.close();
+    throw err;
+  }
+
+  return {
+    close() {
+      node.port.onmessage = null;
+      source.disconnect();
+      return audioContext.close();
+    }
+  };
+}
@@ -0,0 +1,80 @@
+// AudioWorklet processor - runs on the audio rendering thread, not the page. Loaded
+// with audioWorklet.addModule() (see voiceActivity.js), so it can't import anything.
+//
+// About 20 times a second it posts { level, speaking } to the page: `level` is the
+// input volume on a 0-100 scale and `speaking` whether someone seems to be talking.
+// Speech is sound clearly louder than the background noise, which is tracked as it
+// changes so a noisy room or a fan doesn't count as talking.
+
+const REPORT_INTERVAL_SECONDS = 0.05;
+const SPEECH_TO_NOISE_RATIO = 3;
+// However quiet the room, sound below this is never speech
+const MIN_SPEECH_RMS = 0.004;
+// Sound has to last this long to start speech (skips clicks and bumps)...
+const SPEECH_ONSET_SECONDS = 0.15;
+// ...and silence this long to end it (keeps the pauses between words inside speech)
+const SPEECH_HANGOVER_SECONDS = 0.5;
+
+class VoiceActivityProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.sumOfSquares = 0;
+    this.sampleCount = 0;
+    this.noiseFloor = null;
+    this.loudSeconds = 0;
+    this.quietSeconds = 0;
+    this.speaking = false;
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (channel) {
+      for (let i = 0; i < channel.length; i++) {
+        this.sumOfSquares += channel[i] * channel[i];
+      }
+      this.sampleCount += channel.length;
+    }
+
+    if (this.sampleCount >= sampleRate * REPORT_INTERVAL_SECONDS) {
+      this.report();
+    }
+    // Keep running for as long as the node exists
+    return true;
+  }
+
+  report() {
+    const rms = Math.sqrt(this.sumOfSquares / this.sampleCount);
+    const seconds = this.sampleCount / sampleRate;
+    this.sumOfSquares = 0;
+    this.sampleCount = 0;
+
+    // The noise floor drops quickly to quiet moments and rises slowly, so speech
+    // itself hardly moves it
+    if (this.noiseFloor === null) {
+      this.noiseFloor = rms;
+    } else if (rms < this.noiseFloor) {
+      this.noiseFloor = this.noiseFloor * 0.8 + rms * 0.2;
+    } else {
+      this.noiseFloor = this.noiseFloor * 0.995 + rms * 0.005;
+    }
+
+    const loud = rms > Math.max(this.noiseFloor * SPEECH_TO_NOISE_RATIO, MIN_SPEECH_RMS);
+    if (loud) {
+      this.loudSeconds += seconds;
+      this.quietSeconds = 0;
+      if (this.loudSeconds >= SPEECH_ONSET_SECONDS) this.speaking = true;
+    } else {
+      this.quietSeconds += seconds;
+      this.loudSeconds = 0;
+      if (this.quietSeconds >= SPEECH_HANGOVER_SECONDS) this.speaking = false;
+    }
+
+    this.port.postMessage({
+      // Same scale as the old meter: amplified so normal speech fills a good part of the bar
+      level: Math.min(100, Math.round(rms * 2000)),
+      speaking: this.speaking
+    });
+  }
+}
+
+registerProcessor('voice-activity', VoiceActivityProcessor);
@@ -1,10 +1,21 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// Forward API calls to the local server (see server/index.js)
+const apiProxy = {
+  '/api': process.env.API_SERVER_URL || 'http://localhost:8787',
+};
+
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
   optimizeDeps: {
     exclude: ['lucide-react'],
   },
+  server: {
+    proxy: apiProxy,
+  },
+  preview: {
+    proxy: apiProxy,
+  },
 }); 
\ No newline at end of file